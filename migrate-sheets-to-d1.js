@@ -0,0 +1,731 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { execFileSync } = require("child_process");
+require("dotenv").config();
+
+/**
+ * One-shot migration from the Google Sheets layout to the D1 database.
+ *
+ * Reads every sheet the bot uses, validates and normalizes the rows, reports
+ * anomalies and writes an idempotent SQL file that is then applied with
+ * `wrangler d1 execute`. Re-running it replaces the migrated rows with the
+ * spreadsheet's current values, so it is safe to run again before cutover.
+ *
+ * Usage:
+ *   node migrate-sheets-to-d1.js <database> [--local|--remote] [--dry-run] [--out file.sql]
+ *
+ * Requires SPREADSHEET_ID and GDRIVE_API_CREDENTIALS (in .env or the environment),
+ * and the schema migrations in /migrations to have been applied first.
+ */
+
+const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
+const GDRIVE_API_CREDENTIALS = process.env.GDRIVE_API_CREDENTIALS;
+
+const args = process.argv.slice(2);
+const DATABASE = args.find((arg) => !arg.startsWith("--"));
+const TARGET = args.includes("--remote") ? "--remote" : "--local";
+const DRY_RUN = args.includes("--dry-run");
+const outIndex = args.indexOf("--out");
+const OUT_FILE =
+	outIndex !== -1 ? args[outIndex + 1] : "sheets-migration.sql";
+
+// Collected problems, printed at the end
+const anomalies = [];
+
+function reportAnomaly(sheet, rowNumber, message) {
+	anomalies.push({ sheet, rowNumber, message });
+}
+
+/**
+ * Normalizes a Discord ID. IDs written with USER_ENTERED may have been turned
+ * into numbers by Sheets (e.g. "1.23457E+17"), which cannot be recovered.
+ */
+function toSnowflake(value) {
+	const id = String(value ?? "").trim();
+	return /^\d{15,21}$/.test(id) ? id : null;
+}
+
+/**
+ * Normalizes an integer stored as a (possibly formatted) string like "1,234".
+ */
+function toInteger(value) {
+	const text = String(value ?? "")
+		.trim()
+		.replace(/,/g, "");
+	return /^-?\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+/**
+ * Normalizes a timestamp to an ISO string, accepting anything Date can parse.
+ */
+function toIsoDate(value) {
+	const text = String(value ?? "").trim();
+	if (!text) return null;
+	const date = new Date(text);
+	return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toText(value) {
+	const text = String(value ?? "").trim();
+	return text || null;
+}
+
+/**
+ * How each sheet maps onto its SQL table. `normalize` returns the row to
+ * insert, or null to skip it. Tables with a `key` keep the first row for each
+ * key, matching how the bot reads them (it always uses the first match).
+ */
+const SHEETS = [
+	{
+		sheet: "Currency",
+		table: "currency",
+		columns: ["user_id", "balance"],
+		key: ["user_id"],
+		normalize(values, rowNumber) {
+			const userId = toSnowflake(values[0]);
+			if (!userId) {
+				reportAnomaly("Currency", rowNumber, `invalid user ID "${values[0]}"`);
+				return null;
+			}
+			let balance = toInteger(values[1]);
+			if (balance === null) {
+				reportAnomaly(
+					"Currency",
+					rowNumber,
+					`invalid balance "${values[1]}" for ${userId}, using 0`
+				);
+				balance = 0;
+			}
+			return { user_id: userId, balance };
+		},
+	},
+	{
+		sheet: "Transactions",
+		table: "transactions",
+		columns: [
+			"id",
+			"user_id",
+			"amount",
+			"reason",
+			"reference_id",
+			"balance_after",
+			"created_at",
+			"note",
+		],
+		key: ["id"],
+		normalize(values, rowNumber) {
+			const id = toText(values[0]);
+			const userId = toSnowflake(values[1]);
+			const amount = toInteger(values[2]);
+			const reason = toText(values[3]);
+			const balanceAfter = toInteger(values[5]);
+			const createdAt = toIsoDate(values[6]);
+			if (
+				!id ||
+				!userId ||
+				amount === null ||
+				!reason ||
+				balanceAfter === null ||
+				!createdAt
+			) {
+				reportAnomaly(
+					"Transactions",
+					rowNumber,
+					`invalid ledger entry "${values.join('", "')}"`
+				);
+				return null;
+			}
+			return {
+				id,
+				user_id: userId,
+				amount,
+				reason,
+				reference_id: toText(values[4]),
+				balance_after: balanceAfter,
+				created_at: createdAt,
+				note: toText(values[7]),
+			};
+		},
+	},
+	{
+		sheet: "Items",
+		table: "items",
+		columns: [
+			"name",
+			"price",
+			"role_id",
+			"image_filename",
+			"description",
+			"disabled",
+		],
+		key: ["role_id"],
+		normalize(values, rowNumber) {
+			const roleId = toSnowflake(values[2]);
+			if (!roleId) {
+				reportAnomaly("Items", rowNumber, `invalid role ID "${values[2]}"`);
+				return null;
+			}
+			let price = toInteger(values[1]);
+			if (price === null || price < 0) {
+				reportAnomaly(
+					"Items",
+					rowNumber,
+					`invalid price "${values[1]}" for role ${roleId}, using 999999`
+				);
+				price = 999999;
+			}
+			return {
+				name: toText(values[0]) || "Unnamed Item",
+				price,
+				role_id: roleId,
+				image_filename: toText(values[3]),
+				description: toText(values[4]),
+				disabled: ["1", "true", "yes"].includes(
+					String(values[5] ?? "")
+						.trim()
+						.toLowerCase()
+				)
+					? 1
+					: 0,
+			};
+		},
+	},
+	{
+		sheet: "UserRoles",
+		table: "user_roles",
+		columns: ["user_id", "role_id"],
+		normalize(values, rowNumber) {
+			return normalizeUserRole("UserRoles", values, rowNumber);
+		},
+	},
+	{
+		sheet: "EquippedRoles",
+		table: "equipped_roles",
+		columns: ["user_id", "role_id"],
+		normalize(values, rowNumber) {
+			return normalizeUserRole("EquippedRoles", values, rowNumber);
+		},
+	},
+	{
+		sheet: "DailyRewards",
+		table: "daily_rewards",
+		columns: ["user_id", "last_claim_date", "current_streak", "best_streak"],
+		key: ["user_id"],
+		normalize(values, rowNumber) {
+			const row = normalizeUsage(
+				"DailyRewards",
+				"last_claim_date",
+				values,
+				rowNumber
+			);
+			if (!row) return null;
+
+			// Sheets from before streaks have no streak columns
+			const currentStreak = toInteger(values[2]) ?? 1;
+			return {
+				...row,
+				current_streak: currentStreak,
+				best_streak: Math.max(toInteger(values[3]) ?? 1, currentStreak),
+			};
+		},
+	},
+	{
+		sheet: "CoinflipUsage",
+		table: "coinflip_usage",
+		columns: ["user_id", "last_usage_date", "period_start_date", "plays_used"],
+		key: ["user_id"],
+		normalize(values, rowNumber) {
+			const row = normalizeUsage(
+				"CoinflipUsage",
+				"last_usage_date",
+				values,
+				rowNumber
+			);
+			if (!row) return null;
+
+			// Sheets from before per-day play counts only have the last flip
+			return {
+				...row,
+				period_start_date: toIsoDate(values[2]) || row.last_usage_date,
+				plays_used: toInteger(values[3]) ?? 1,
+			};
+		},
+	},
+	{
+		sheet: "Leaderboard",
+		table: "leaderboard",
+		columns: ["user_id", "total_earned", "daily_claims"],
+		key: ["user_id"],
+		normalize(values, rowNumber) {
+			const userId = toSnowflake(values[0]);
+			if (!userId) {
+				reportAnomaly("Leaderboard", rowNumber, `invalid user ID "${values[0]}"`);
+				return null;
+			}
+			const totalEarned = toInteger(values[1]);
+			const dailyClaims = toInteger(values[2]);
+			if (totalEarned === null || dailyClaims === null) {
+				reportAnomaly(
+					"Leaderboard",
+					rowNumber,
+					`invalid totals "${values[1]}"/"${values[2]}" for ${userId}, using 0`
+				);
+			}
+			return {
+				user_id: userId,
+				total_earned: totalEarned ?? 0,
+				daily_claims: dailyClaims ?? 0,
+			};
+		},
+	},
+	{
+		sheet: "Giveaways",
+		table: "giveaways",
+		columns: [
+			"id",
+			"title",
+			"description",
+			"prize",
+			"winners_count",
+			"end_time",
+			"channel_id",
+			"message_id",
+			"creator_id",
+			"created_at",
+			"status",
+			"required_role_ids",
+			"excluded_role_ids",
+			"min_balance",
+			"min_member_days",
+			"entry_cost",
+			"max_tickets",
+			"prize_type",
+			"prize_value",
+			"winner_cooldown_days",
+			"guild_id",
+			"ending_at",
+		],
+		key: ["id"],
+		normalize(values, rowNumber) {
+			const id = toText(values[0]);
+			const endTime = toIsoDate(values[5]);
+			if (!id || !endTime) {
+				reportAnomaly(
+					"Giveaways",
+					rowNumber,
+					`missing ID or invalid end time "${values[5]}"`
+				);
+				return null;
+			}
+			const status = toText(values[10]) || "active";
+			if (!["active", "ending", "ended"].includes(status)) {
+				reportAnomaly("Giveaways", rowNumber, `unknown status "${status}"`);
+			}
+			return {
+				id,
+				title: toText(values[1]) || "Untitled Giveaway",
+				description: toText(values[2]),
+				prize: toText(values[3]) || "",
+				winners_count: toInteger(values[4]) || 1,
+				end_time: endTime,
+				channel_id: toSnowflake(values[6]),
+				// Old giveaways stored a placeholder instead of the real message ID
+				message_id: toSnowflake(values[7]),
+				creator_id: toSnowflake(values[8]),
+				created_at: toIsoDate(values[9]) || endTime,
+				status,
+				required_role_ids: toText(values[11]),
+				excluded_role_ids: toText(values[12]),
+				min_balance: toInteger(values[13]) || 0,
+				min_member_days: toInteger(values[14]) || 0,
+				entry_cost: toInteger(values[15]) || 0,
+				max_tickets: toInteger(values[16]) || 1,
+				prize_type: toText(values[17]),
+				prize_value: toText(values[18]),
+				winner_cooldown_days: toInteger(values[19]),
+				guild_id: toSnowflake(values[20]),
+				ending_at: toIsoDate(values[21]),
+			};
+		},
+	},
+	{
+		sheet: "GiveawayParticipants",
+		table: "giveaway_participants",
+		columns: ["giveaway_id", "user_id", "joined_at", "tickets", "coins_paid"],
+		unique: ["giveaway_id", "user_id"],
+		normalize(values, rowNumber) {
+			const giveawayId = toText(values[0]);
+			const userId = toSnowflake(values[1]);
+			if (!giveawayId || !userId) {
+				reportAnomaly(
+					"GiveawayParticipants",
+					rowNumber,
+					`invalid giveaway/user "${values[0]}"/"${values[1]}"`
+				);
+				return null;
+			}
+			return {
+				giveaway_id: giveawayId,
+				user_id: userId,
+				joined_at: toIsoDate(values[2]) || new Date(0).toISOString(),
+				tickets: toInteger(values[3]) || 1,
+				coins_paid: toInteger(values[4]) || 0,
+			};
+		},
+	},
+	{
+		sheet: "GiveawayWinners",
+		table: "giveaway_winners",
+		columns: [
+			"giveaway_id",
+			"user_id",
+			"win_date",
+			"prize_status",
+			"draw_seed",
+			"snapshot_hash",
+			"excluded_user_ids",
+			"superseded_at",
+		],
+		normalize(values, rowNumber) {
+			const giveawayId = toText(values[0]);
+			const userId = toSnowflake(values[1]);
+			const winDate = toIsoDate(values[2]);
+			if (!giveawayId || !userId || !winDate) {
+				reportAnomaly(
+					"GiveawayWinners",
+					rowNumber,
+					`invalid winner row "${values.join('", "')}"`
+				);
+				return null;
+			}
+			return {
+				giveaway_id: giveawayId,
+				user_id: userId,
+				win_date: winDate,
+				prize_status: toText(values[3]) || "none",
+				draw_seed: toText(values[4]),
+				snapshot_hash: toText(values[5]),
+				excluded_user_ids: toText(values[6]),
+				superseded_at: toIsoDate(values[7]),
+			};
+		},
+	},
+	{
+		sheet: "AuditLog",
+		table: "audit_log",
+		columns: [
+			"id",
+			"actor_id",
+			"action",
+			"target_id",
+			"details",
+			"reason",
+			"created_at",
+		],
+		key: ["id"],
+		normalize(values, rowNumber) {
+			const id = toText(values[0]);
+			const actorId = toSnowflake(values[1]);
+			const action = toText(values[2]);
+			const createdAt = toIsoDate(values[6]);
+			if (!id || !actorId || !action || !createdAt) {
+				reportAnomaly(
+					"AuditLog",
+					rowNumber,
+					`invalid audit entry "${values.join('", "')}"`
+				);
+				return null;
+			}
+			return {
+				id,
+				actor_id: actorId,
+				action,
+				target_id: toText(values[3]),
+				details: toText(values[4]),
+				reason: toText(values[5]),
+				created_at: createdAt,
+			};
+		},
+	},
+	{
+		sheet: "Settings",
+		table: "settings",
+		columns: ["guild_id", "key", "value", "updated_at", "updated_by"],
+		key: ["guild_id", "key"],
+		normalize(values, rowNumber) {
+			const guildId = toSnowflake(values[0]);
+			const key = toText(values[1]);
+			const value = toText(values[2]);
+			if (!guildId || !key || value === null) {
+				reportAnomaly(
+					"Settings",
+					rowNumber,
+					`invalid setting "${values.join('", "')}"`
+				);
+				return null;
+			}
+			return {
+				guild_id: guildId,
+				key,
+				value,
+				updated_at: toIsoDate(values[3]) || new Date(0).toISOString(),
+				updated_by: toSnowflake(values[4]),
+			};
+		},
+	},
+	{
+		sheet: "DailyRoleBonuses",
+		table: "daily_role_bonuses",
+		columns: [
+			"guild_id",
+			"role_id",
+			"multiplier",
+			"flat_bonus",
+			"updated_at",
+			"updated_by",
+		],
+		key: ["guild_id", "role_id"],
+		normalize(values, rowNumber) {
+			const guildId = toSnowflake(values[0]);
+			const roleId = toSnowflake(values[1]);
+			const multiplier = parseFloat(String(values[2] ?? "").trim() || "1");
+			const flatBonus = toInteger(values[3]) ?? 0;
+			if (!guildId || !roleId || !(multiplier >= 1) || flatBonus < 0) {
+				reportAnomaly(
+					"DailyRoleBonuses",
+					rowNumber,
+					`invalid role bonus "${values.join('", "')}"`
+				);
+				return null;
+			}
+			return {
+				guild_id: guildId,
+				role_id: roleId,
+				multiplier,
+				flat_bonus: flatBonus,
+				updated_at: toIsoDate(values[4]) || new Date(0).toISOString(),
+				updated_by: toSnowflake(values[5]),
+			};
+		},
+	},
+];
+
+function normalizeUserRole(sheet, values, rowNumber) {
+	const userId = toSnowflake(values[0]);
+	const roleId = toSnowflake(values[1]);
+	if (!userId || !roleId) {
+		reportAnomaly(
+			sheet,
+			rowNumber,
+			`invalid user/role "${values[0]}"/"${values[1]}"`
+		);
+		return null;
+	}
+	return { user_id: userId, role_id: roleId };
+}
+
+function normalizeUsage(sheet, dateColumn, values, rowNumber) {
+	const userId = toSnowflake(values[0]);
+	const date = toIsoDate(values[1]);
+	if (!userId || !date) {
+		reportAnomaly(
+			sheet,
+			rowNumber,
+			`invalid user/timestamp "${values[0]}"/"${values[1]}"`
+		);
+		return null;
+	}
+	return { user_id: userId, [dateColumn]: date };
+}
+
+/**
+ * Creates a Google API access token for the service account.
+ */
+async function getGoogleAuthToken() {
+	const credentials = JSON.parse(GDRIVE_API_CREDENTIALS);
+	const now = Math.floor(Date.now() / 1000);
+	const encode = (obj) =>
+		Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+	const message = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({
+		iss: credentials.client_email,
+		scope: "https://www.googleapis.com/auth/spreadsheets.readonly",
+		aud: "https://oauth2.googleapis.com/token",
+		iat: now,
+		exp: now + 3600,
+	})}`;
+	const signature = crypto
+		.createSign("RSA-SHA256")
+		.update(message)
+		.sign(credentials.private_key, "base64url");
+
+	const response = await fetch("https://oauth2.googleapis.com/token", {
+		method: "POST",
+		headers: { "Content-Type": "application/x-www-form-urlencoded" },
+		body: `grant_type=urn:ietf:params:oauth:grant-type:jwt-bearer&assertion=${message}.${signature}`,
+	});
+	const tokenData = await response.json();
+	if (!tokenData.access_token) {
+		throw new Error(
+			"Could not authenticate with Google: " +
+				(tokenData.error_description || tokenData.error || "Unknown error")
+		);
+	}
+	return tokenData.access_token;
+}
+
+/**
+ * Reads every sheet in a single batchGet request.
+ * @returns {Promise<object>} Raw rows keyed by sheet name.
+ */
+async function readSheets(token) {
+	const ranges = SHEETS.map(
+		({ sheet, columns }) =>
+			`ranges=${encodeURIComponent(
+				`${sheet}!A:${String.fromCharCode(64 + columns.length)}`
+			)}`
+	).join("&");
+	const url = `https://sheets.googleapis.com/v4/spreadsheets/${SPREADSHEET_ID}/values:batchGet?${ranges}`;
+
+	const response = await fetch(url, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+	if (!response.ok) {
+		throw new Error(
+			`Failed to read spreadsheet: HTTP ${response.status} ${await response.text()}`
+		);
+	}
+
+	const data = await response.json();
+	const rowsBySheet = {};
+	SHEETS.forEach(({ sheet }, index) => {
+		rowsBySheet[sheet] = data.valueRanges[index].values || [];
+	});
+	return rowsBySheet;
+}
+
+function sqlValue(value) {
+	if (value === null || value === undefined) return "NULL";
+	if (typeof value === "number") return String(value);
+	return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Normalizes one sheet and builds its idempotent SQL statements.
+ */
+function buildStatements(config, rawRows) {
+	const { sheet, table, columns, key } = config;
+	const identity = key || config.unique || columns;
+	const seen = new Map();
+	const statements = [];
+	let skipped = 0;
+
+	// Row 1 is the header, so data starts at sheet row 2
+	rawRows.slice(1).forEach((values, index) => {
+		const rowNumber = index + 2;
+		if (values.every((value) => String(value ?? "").trim() === "")) return;
+
+		const row = config.normalize(values, rowNumber);
+		if (!row) {
+			skipped++;
+			return;
+		}
+
+		const identityKey = identity.map((column) => row[column]).join("|");
+		if (seen.has(identityKey)) {
+			if (key) {
+				reportAnomaly(
+					sheet,
+					rowNumber,
+					`duplicate ${key.join("/")} ${identityKey} ignored (row ${seen.get(
+						identityKey
+					)} is used)`
+				);
+			}
+			skipped++;
+			return;
+		}
+		seen.set(identityKey, rowNumber);
+
+		const columnList = columns.join(", ");
+		const valueList = columns.map((column) => sqlValue(row[column])).join(", ");
+
+		if (key) {
+			statements.push(
+				`INSERT OR REPLACE INTO ${table} (${columnList}) VALUES (${valueList});`
+			);
+		} else {
+			const match = identity
+				.map((column) =>
+					row[column] === null
+						? `${column} IS NULL`
+						: `${column} = ${sqlValue(row[column])}`
+				)
+				.join(" AND ");
+			statements.push(
+				`INSERT INTO ${table} (${columnList}) SELECT ${valueList} WHERE NOT EXISTS (SELECT 1 FROM ${table} WHERE ${match});`
+			);
+		}
+	});
+
+	return { statements, skipped };
+}
+
+(async () => {
+	try {
+		if (!DATABASE) {
+			console.error(
+				"Usage: node migrate-sheets-to-d1.js <database> [--local|--remote] [--dry-run] [--out file.sql]"
+			);
+			process.exit(1);
+		}
+		if (!SPREADSHEET_ID || !GDRIVE_API_CREDENTIALS) {
+			console.error("SPREADSHEET_ID and GDRIVE_API_CREDENTIALS must be set.");
+			process.exit(1);
+		}
+
+		console.log("Reading spreadsheet...");
+		const token = await getGoogleAuthToken();
+		const rowsBySheet = await readSheets(token);
+
+		const sql = [`-- Generated by migrate-sheets-to-d1.js on ${new Date().toISOString()}`];
+		for (const config of SHEETS) {
+			const { statements, skipped } = buildStatements(
+				config,
+				rowsBySheet[config.sheet]
+			);
+			console.log(
+				`${config.sheet}: ${statements.length} rows to migrate, ${skipped} skipped`
+			);
+			sql.push(`\n-- ${config.sheet}`, ...statements);
+		}
+
+		if (anomalies.length > 0) {
+			console.log(`\nFound ${anomalies.length} anomalies:`);
+			for (const { sheet, rowNumber, message } of anomalies) {
+				console.log(`  ${sheet} row ${rowNumber}: ${message}`);
+			}
+		} else {
+			console.log("\nNo anomalies found.");
+		}
+
+		fs.writeFileSync(OUT_FILE, sql.join("\n") + "\n");
+		console.log(`\nWrote ${OUT_FILE}`);
+
+		if (DRY_RUN) {
+			console.log("Dry run: not writing to the database.");
+			return;
+		}
+
+		console.log(`Applying to D1 database ${DATABASE} (${TARGET})...`);
+		execFileSync(
+			"npx",
+			["wrangler", "d1", "execute", DATABASE, TARGET, "--file", OUT_FILE, "--yes"],
+			{ stdio: "inherit" }
+		);
+		console.log("Migration complete.");
+	} catch (error) {
+		console.error(error);
+		process.exit(1);
+	}
+})();
@@ -0,0 +1,81 @@
+-- Migration number: 0001
+-- Initial schema mirroring the Google Sheets layout (see src/storage/schema.js).
+-- Table and column names are the sheet/column names in snake_case.
+-- Discord IDs are stored as TEXT because snowflakes exceed JavaScript's safe integer range.
+
+CREATE TABLE IF NOT EXISTS currency (
+	user_id TEXT PRIMARY KEY,
+	balance INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS items (
+	name TEXT NOT NULL,
+	price INTEGER NOT NULL,
+	role_id TEXT PRIMARY KEY,
+	image_filename TEXT,
+	description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+	user_id TEXT NOT NULL,
+	role_id TEXT NOT NULL,
+	UNIQUE (user_id, role_id)
+);
+
+CREATE TABLE IF NOT EXISTS equipped_roles (
+	user_id TEXT NOT NULL,
+	role_id TEXT NOT NULL,
+	UNIQUE (user_id, role_id)
+);
+
+CREATE TABLE IF NOT EXISTS daily_rewards (
+	user_id TEXT PRIMARY KEY,
+	last_claim_date TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS coinflip_usage (
+	user_id TEXT PRIMARY KEY,
+	last_usage_date TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS leaderboard (
+	user_id TEXT PRIMARY KEY,
+	total_earned INTEGER NOT NULL DEFAULT 0,
+	daily_claims INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS giveaways (
+	id TEXT PRIMARY KEY,
+	title TEXT NOT NULL,
+	description TEXT,
+	prize TEXT NOT NULL,
+	winners_count INTEGER NOT NULL DEFAULT 1,
+	end_time TEXT NOT NULL,
+	channel_id TEXT,
+	message_id TEXT,
+	creator_id TEXT,
+	created_at TEXT NOT NULL,
+	status TEXT NOT NULL DEFAULT 'active'
+);
+
+CREATE INDEX IF NOT EXISTS idx_giveaways_status_end_time
+	ON giveaways (status, end_time);
+
+CREATE TABLE IF NOT EXISTS giveaway_participants (
+	giveaway_id TEXT NOT NULL,
+	user_id TEXT NOT NULL,
+	joined_at TEXT NOT NULL,
+	UNIQUE (giveaway_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS giveaway_winners (
+	giveaway_id TEXT NOT NULL,
+	user_id TEXT NOT NULL,
+	win_date TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_giveaway_winners_giveaway_id
+	ON giveaway_winners (giveaway_id);
+
+CREATE INDEX IF NOT EXISTS idx_giveaway_winners_win_date
+	ON giveaway_winners (win_date);
@@ -0,0 +1,15 @@
+-- Migration number: 0002
+-- Ledger of every balance change, written by creditCurrency/debitCurrency.
+
+CREATE TABLE IF NOT EXISTS transactions (
+	id TEXT PRIMARY KEY,
+	user_id TEXT NOT NULL,
+	amount INTEGER NOT NULL,
+	reason TEXT NOT NULL,
+	reference_id TEXT,
+	balance_after INTEGER NOT NULL,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_id_created_at
+	ON transactions (user_id, created_at);
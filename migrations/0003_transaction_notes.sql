@@ -0,0 +1,4 @@
+-- Migration number: 0003
+-- Free-text note on ledger entries (payment notes, admin reasons).
+
+ALTER TABLE transactions ADD COLUMN note TEXT;
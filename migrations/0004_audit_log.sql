@@ -0,0 +1,15 @@
+-- Migration number: 0004
+-- Log of administrative actions (/eco and later admin commands).
+
+CREATE TABLE IF NOT EXISTS audit_log (
+	id TEXT PRIMARY KEY,
+	actor_id TEXT NOT NULL,
+	action TEXT NOT NULL,
+	target_id TEXT,
+	details TEXT,
+	reason TEXT,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_target_id
+	ON audit_log (target_id);
@@ -0,0 +1,4 @@
+-- Migration number: 0005
+-- Lets admins take an item off sale without deleting it (/shopadmin edit).
+
+ALTER TABLE items ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,8 @@
+-- Migration number: 0006
+-- Optional entry requirements for giveaways (/giveaway create).
+-- Role lists are comma-separated role IDs.
+
+ALTER TABLE giveaways ADD COLUMN required_role_ids TEXT;
+ALTER TABLE giveaways ADD COLUMN excluded_role_ids TEXT;
+ALTER TABLE giveaways ADD COLUMN min_balance INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE giveaways ADD COLUMN min_member_days INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,9 @@
+-- Migration number: 0007
+-- Paid giveaway entries: a ticket price and cap per giveaway, and how many
+-- tickets each participant holds and paid for (refunded on cancel).
+
+ALTER TABLE giveaways ADD COLUMN entry_cost INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE giveaways ADD COLUMN max_tickets INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE giveaway_participants ADD COLUMN tickets INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE giveaway_participants ADD COLUMN coins_paid INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,9 @@
+-- Migration number: 0008
+-- Structured giveaway prizes (coins or a shop role) delivered automatically.
+-- prize_status on each winner row tracks delivery so rerolls never pay twice:
+-- none (free-text prize), pending, delivering, delivered, failed or skipped.
+
+ALTER TABLE giveaways ADD COLUMN prize_type TEXT;
+ALTER TABLE giveaways ADD COLUMN prize_value TEXT;
+
+ALTER TABLE giveaway_winners ADD COLUMN prize_status TEXT NOT NULL DEFAULT 'none';
@@ -0,0 +1,8 @@
+-- Migration number: 0009
+-- Verifiable giveaway draws. Each winner row records the draw's seed, the
+-- SHA-256 of the pool it was drawn from and the recent winners excluded from
+-- that pool, so /giveaway verify can recompute the result.
+
+ALTER TABLE giveaway_winners ADD COLUMN draw_seed TEXT;
+ALTER TABLE giveaway_winners ADD COLUMN snapshot_hash TEXT;
+ALTER TABLE giveaway_winners ADD COLUMN excluded_user_ids TEXT;
@@ -0,0 +1,5 @@
+-- Migration number: 0010
+-- Per-giveaway winner cooldown in days (0 = none). NULL falls back to the
+-- WINNER_COOLDOWN_DAYS variable, or 60 days when that isn't set.
+
+ALTER TABLE giveaways ADD COLUMN winner_cooldown_days INTEGER;
@@ -0,0 +1,21 @@
+-- Migration number: 0011
+-- Rerolls can replace individual winners. Replaced winner rows are kept and
+-- marked with superseded_at; rows without it are the current winners.
+
+ALTER TABLE giveaway_winners ADD COLUMN superseded_at TEXT;
+
+-- Earlier rerolls always redrew everyone, so any draw followed by a later draw
+-- of the same giveaway was superseded when that later draw happened
+UPDATE giveaway_winners
+SET superseded_at = (
+	SELECT MIN(later.win_date)
+	FROM giveaway_winners AS later
+	WHERE later.giveaway_id = giveaway_winners.giveaway_id
+		AND later.win_date > giveaway_winners.win_date
+)
+WHERE EXISTS (
+	SELECT 1
+	FROM giveaway_winners AS later
+	WHERE later.giveaway_id = giveaway_winners.giveaway_id
+		AND later.win_date > giveaway_winners.win_date
+);
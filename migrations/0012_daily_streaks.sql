@@ -0,0 +1,8 @@
+-- Migration number: 0012
+-- Daily reward streaks. Everyone who has claimed before starts on a one-day
+-- streak, so their next claim inside the grace window continues it.
+
+ALTER TABLE daily_rewards ADD COLUMN current_streak INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE daily_rewards ADD COLUMN best_streak INTEGER NOT NULL DEFAULT 0;
+
+UPDATE daily_rewards SET current_streak = 1, best_streak = 1;
@@ -0,0 +1,15 @@
+-- Migration number: 0013
+-- Per-server economy settings changed with /config. Settings without a row
+-- use their built-in default (or environment variable override).
+
+CREATE TABLE IF NOT EXISTS settings (
+	guild_id TEXT NOT NULL,
+	key TEXT NOT NULL,
+	value TEXT NOT NULL,
+	updated_at TEXT NOT NULL,
+	updated_by TEXT,
+	PRIMARY KEY (guild_id, key)
+);
+
+-- Giveaways remember their server so the cron job can read its settings
+ALTER TABLE giveaways ADD COLUMN guild_id TEXT;
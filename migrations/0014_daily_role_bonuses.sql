@@ -0,0 +1,13 @@
+-- Migration number: 0014
+-- Per-role /daily bonuses set with /config rolebonus. A member gets the bonus
+-- of every role they have; multipliers add up and flat bonuses are summed.
+
+CREATE TABLE IF NOT EXISTS daily_role_bonuses (
+	guild_id TEXT NOT NULL,
+	role_id TEXT NOT NULL,
+	multiplier REAL NOT NULL DEFAULT 1,
+	flat_bonus INTEGER NOT NULL DEFAULT 0,
+	updated_at TEXT NOT NULL,
+	updated_by TEXT,
+	PRIMARY KEY (guild_id, role_id)
+);
@@ -0,0 +1,9 @@
+-- Migration number: 0015
+-- Several coinflips per day. A period starts with the first flip and lasts
+-- until the coinflip cooldown ends; rows from before this count as a period
+-- with one flip that started at the last flip.
+
+ALTER TABLE coinflip_usage ADD COLUMN period_start_date TEXT;
+ALTER TABLE coinflip_usage ADD COLUMN plays_used INTEGER NOT NULL DEFAULT 1;
+
+UPDATE coinflip_usage SET period_start_date = last_usage_date;
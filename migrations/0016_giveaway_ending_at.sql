@@ -0,0 +1,6 @@
+-- Migration number: 0016
+-- When a giveaway was claimed for ending. A claim that is still "ending" long
+-- after this is treated as abandoned (the worker died) and can be taken over.
+-- Giveaways stuck in "ending" before this have no time and count as abandoned.
+
+ALTER TABLE giveaways ADD COLUMN ending_at TEXT;
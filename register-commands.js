@@ -6,6 +6,25 @@ const CLIENT_ID = process.env.CLIENT_ID;
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const GUILD_ID = process.env.GUILD_ID;
 
+// Keys of the settings in src/services/settingsService.js
+const SETTING_CHOICES = [
+	{ name: "Daily reward", value: "dailyReward" },
+	{ name: "Daily cooldown (hours)", value: "dailyCooldownHours" },
+	{ name: "Daily reset mode", value: "dailyResetMode" },
+	{ name: "Daily streak bonus", value: "dailyStreakBonus" },
+	{ name: "Daily streak bonus cap", value: "dailyMaxStreakBonus" },
+	{ name: "Daily streak grace (hours)", value: "dailyStreakGraceHours" },
+	{ name: "Daily streak milestones", value: "dailyStreakMilestones" },
+	{ name: "Coinflip cooldown (hours)", value: "coinflipCooldownHours" },
+	{ name: "Coinflip reset mode", value: "coinflipResetMode" },
+	{ name: "Reset timezone", value: "resetTimezone" },
+	{ name: "Coinflip payout (%)", value: "coinflipPayoutPercent" },
+	{ name: "Coinflip house edge (%)", value: "coinflipHouseEdgePercent" },
+	{ name: "Coinflip max bet", value: "coinflipMaxBet" },
+	{ name: "Coinflips per day", value: "coinflipDailyPlays" },
+	{ name: "Giveaway winner cooldown (days)", value: "winnerCooldownDays" },
+];
+
 const commands = [
 	{
 		name: "balance",
@@ -31,10 +50,39 @@ const commands = [
 		name: "daily",
 		description: "Claim your daily coins",
 	},
+	{
+		name: "transactions",
+		description: "View your coin transaction history",
+	},
+	{
+		name: "pay",
+		description: "Send coins to another member",
+		options: [
+			{
+				name: "user",
+				description: "Who to pay",
+				type: 6, // USER type
+				required: true,
+			},
+			{
+				name: "amount",
+				description: "Amount of coins to send",
+				type: 4, // INTEGER type
+				required: true,
+				min_value: 1,
+			},
+			{
+				name: "note",
+				description: "Optional note for the recipient",
+				type: 3, // STRING type
+				required: false,
+				max_length: 200,
+			},
+		],
+	},
 	{
 		name: "coinflip",
-		description:
-			"Bet coins on a coinflip - win double or lose it all! (Once per day)",
+		description: "Call heads or tails and bet coins on a coinflip",
 		options: [
 			{
 				name: "amount",
@@ -43,6 +91,339 @@ const commands = [
 				required: true,
 				min_value: 1,
 			},
+			{
+				name: "side",
+				description: "The side you think the coin will land on",
+				type: 3, // STRING
+				required: true,
+				choices: [
+					{ name: "Heads", value: "heads" },
+					{ name: "Tails", value: "tails" },
+				],
+			},
+		],
+	},
+	{
+		name: "eco",
+		description: "Manage member coin balances (admin only)",
+		options: [
+			{
+				name: "give",
+				description: "Give coins to a member",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "user",
+						description: "The member whose balance to change",
+						type: 6, // USER
+						required: true,
+					},
+					{
+						name: "amount",
+						description: "Amount of coins to give",
+						type: 4, // INTEGER
+						required: true,
+						min_value: 1,
+					},
+					{
+						name: "reason",
+						description:
+							"Why the balance is being changed (saved to the audit log)",
+						type: 3, // STRING
+						required: true,
+						max_length: 200,
+					},
+				],
+			},
+			{
+				name: "take",
+				description: "Take coins from a member",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "user",
+						description: "The member whose balance to change",
+						type: 6, // USER
+						required: true,
+					},
+					{
+						name: "amount",
+						description: "Amount of coins to take",
+						type: 4, // INTEGER
+						required: true,
+						min_value: 1,
+					},
+					{
+						name: "reason",
+						description:
+							"Why the balance is being changed (saved to the audit log)",
+						type: 3, // STRING
+						required: true,
+						max_length: 200,
+					},
+				],
+			},
+			{
+				name: "set",
+				description: "Set a member's balance to an exact amount",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "user",
+						description: "The member whose balance to change",
+						type: 6, // USER
+						required: true,
+					},
+					{
+						name: "amount",
+						description: "The new balance",
+						type: 4, // INTEGER
+						required: true,
+						min_value: 0,
+					},
+					{
+						name: "reason",
+						description:
+							"Why the balance is being changed (saved to the audit log)",
+						type: 3, // STRING
+						required: true,
+						max_length: 200,
+					},
+				],
+			},
+			{
+				name: "reset",
+				description: "Reset a member's balance to 0",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "user",
+						description: "The member whose balance to change",
+						type: 6, // USER
+						required: true,
+					},
+					{
+						name: "reason",
+						description:
+							"Why the balance is being changed (saved to the audit log)",
+						type: 3, // STRING
+						required: true,
+						max_length: 200,
+					},
+				],
+			},
+		],
+	},
+	{
+		name: "shopadmin",
+		description: "Manage shop items (admin only)",
+		options: [
+			{
+				name: "add",
+				description: "Add a role to the shop",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "role",
+						description: "The role to sell",
+						type: 8, // ROLE
+						required: true,
+					},
+					{
+						name: "price",
+						description: "Price in coins",
+						type: 4, // INTEGER
+						required: true,
+						min_value: 0,
+					},
+					{
+						name: "name",
+						description: "Display name (default: the role's name)",
+						type: 3, // STRING
+						required: false,
+						max_length: 50,
+					},
+					{
+						name: "description",
+						description: "Item description",
+						type: 3, // STRING
+						required: false,
+						max_length: 200,
+					},
+					{
+						name: "image",
+						description: "Image URL or Google Drive file ID",
+						type: 3, // STRING
+						required: false,
+					},
+				],
+			},
+			{
+				name: "edit",
+				description: "Edit, disable or re-enable a shop item",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "role",
+						description: "The role whose item to edit",
+						type: 8, // ROLE
+						required: true,
+					},
+					{
+						name: "name",
+						description: "New display name",
+						type: 3, // STRING
+						required: false,
+						max_length: 50,
+					},
+					{
+						name: "price",
+						description: "New price in coins",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 0,
+					},
+					{
+						name: "description",
+						description: "New description",
+						type: 3, // STRING
+						required: false,
+						max_length: 200,
+					},
+					{
+						name: "image",
+						description: "New image URL or Google Drive file ID",
+						type: 3, // STRING
+						required: false,
+					},
+					{
+						name: "enabled",
+						description: "Whether the item can be bought",
+						type: 5, // BOOLEAN
+						required: false,
+					},
+				],
+			},
+			{
+				name: "remove",
+				description: "Delete an item from the shop",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "role",
+						description: "The role whose item to delete",
+						type: 8, // ROLE
+						required: true,
+					},
+				],
+			},
+			{
+				name: "list",
+				description: "List every shop item, including disabled ones",
+				type: 1, // SUB_COMMAND
+			},
+			{
+				name: "check",
+				description: "Check that the bot can assign every role in the shop",
+				type: 1, // SUB_COMMAND
+			},
+		],
+	},
+	{
+		name: "config",
+		description: "View and change the economy settings (admin only)",
+		options: [
+			{
+				name: "view",
+				description: "Show every setting and its current value",
+				type: 1, // SUB_COMMAND
+			},
+			{
+				name: "set",
+				description: "Change a setting",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "setting",
+						description: "The setting to change",
+						type: 3, // STRING
+						required: true,
+						choices: SETTING_CHOICES,
+					},
+					{
+						name: "value",
+						description:
+							"The new value, e.g. 25, midnight, Europe/Berlin, 7:50,30:250 (milestones) or 25% (max bet)",
+						type: 3, // STRING
+						required: true,
+						max_length: 200,
+					},
+				],
+			},
+			{
+				name: "reset",
+				description: "Put a setting back to its default",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "setting",
+						description: "The setting to reset",
+						type: 3, // STRING
+						required: true,
+						choices: SETTING_CHOICES,
+					},
+				],
+			},
+			{
+				name: "rolebonus",
+				description: "Give members with a role extra /daily coins",
+				type: 2, // SUB_COMMAND_GROUP
+				options: [
+					{
+						name: "set",
+						description: "Add or change a role's daily bonus",
+						type: 1, // SUB_COMMAND
+						options: [
+							{
+								name: "role",
+								description: "The role that gets the bonus",
+								type: 8, // ROLE
+								required: true,
+							},
+							{
+								name: "multiplier",
+								description:
+									"Multiplies the daily reward and streak bonus (e.g. 1.5)",
+								type: 10, // NUMBER
+								required: false,
+								min_value: 1,
+								max_value: 10,
+							},
+							{
+								name: "bonus",
+								description: "Flat coins added to every claim",
+								type: 4, // INTEGER
+								required: false,
+								min_value: 0,
+								max_value: 1000000,
+							},
+						],
+					},
+					{
+						name: "remove",
+						description: "Remove a role's daily bonus",
+						type: 1, // SUB_COMMAND
+						options: [
+							{
+								name: "role",
+								description: "The role to remove the bonus from",
+								type: 8, // ROLE
+								required: true,
+							},
+						],
+					},
+				],
+			},
 		],
 	},
 	{
@@ -60,12 +441,6 @@ const commands = [
 						type: 3, // STRING
 						required: true,
 					},
-					{
-						name: "prize",
-						description: "What the winner(s) will receive",
-						type: 3, // STRING
-						required: true,
-					},
 					{
 						name: "duration",
 						description: "Duration in minutes",
@@ -74,6 +449,26 @@ const commands = [
 						min_value: 1,
 						max_value: 10080, // 1 week max
 					},
+					{
+						name: "prize",
+						description:
+							"What the winner(s) will receive (optional with prize_coins/prize_item)",
+						type: 3, // STRING
+						required: false,
+					},
+					{
+						name: "prize_coins",
+						description: "Coins paid to each winner automatically",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 1,
+					},
+					{
+						name: "prize_item",
+						description: "Shop role unlocked for each winner automatically",
+						type: 8, // ROLE
+						required: false,
+					},
 					{
 						name: "winners",
 						description: "Number of winners (default: 1)",
@@ -88,6 +483,58 @@ const commands = [
 						type: 3, // STRING
 						required: false,
 					},
+					{
+						name: "required_roles",
+						description: "Roles entrants must all have (mention them)",
+						type: 3, // STRING
+						required: false,
+					},
+					{
+						name: "excluded_roles",
+						description: "Roles that can't enter (mention them)",
+						type: 3, // STRING
+						required: false,
+					},
+					{
+						name: "min_balance",
+						description: "Minimum coin balance to enter",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 1,
+					},
+					{
+						name: "min_member_days",
+						description: "Minimum days in the server to enter",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 1,
+						max_value: 3650,
+					},
+					{
+						name: "entry_cost",
+						description: "Coins per ticket (makes this a paid giveaway)",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 1,
+					},
+					{
+						name: "max_tickets",
+						description:
+							"Most tickets one person can buy (paid giveaways, default: 1)",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 1,
+						max_value: 100,
+					},
+					{
+						name: "winner_cooldown",
+						description:
+							"Days before past winners can win again (0 = none, default: server setting)",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 0,
+						max_value: 365,
+					},
 				],
 			},
 			{
@@ -97,9 +544,10 @@ const commands = [
 				options: [
 					{
 						name: "id",
-						description: "Giveaway ID",
+						description: "Giveaway (start typing its title)",
 						type: 3, // STRING
 						required: true,
+						autocomplete: true,
 					},
 				],
 			},
@@ -110,9 +558,133 @@ const commands = [
 				options: [
 					{
 						name: "id",
-						description: "Giveaway ID",
+						description: "Giveaway (start typing its title)",
+						type: 3, // STRING
+						required: true,
+						autocomplete: true,
+					},
+					{
+						name: "user",
+						description: "Replace only this winner (default: redraw everyone)",
+						type: 6, // USER
+						required: false,
+					},
+					{
+						name: "users",
+						description: "Replace several winners (mention them)",
+						type: 3, // STRING
+						required: false,
+					},
+					{
+						name: "include_delivered",
+						description:
+							"Also replace winners who already received their prize (default: keep them)",
+						type: 5, // BOOLEAN
+						required: false,
+					},
+				],
+			},
+			{
+				name: "cancel",
+				description: "Cancel an active giveaway and refund paid tickets",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "id",
+						description: "Giveaway (start typing its title)",
+						type: 3, // STRING
+						required: true,
+						autocomplete: true,
+					},
+				],
+			},
+			{
+				name: "list",
+				description: "List active and recently finished giveaways",
+				type: 1, // SUB_COMMAND
+			},
+			{
+				name: "info",
+				description: "Show a giveaway's details",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "id",
+						description: "Giveaway (start typing its title)",
+						type: 3, // STRING
+						required: true,
+						autocomplete: true,
+					},
+				],
+			},
+			{
+				name: "edit",
+				description: "Change an active giveaway",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "id",
+						description: "Giveaway (start typing its title)",
+						type: 3, // STRING
+						required: true,
+						autocomplete: true,
+					},
+					{
+						name: "title",
+						description: "New title",
+						type: 3, // STRING
+						required: false,
+					},
+					{
+						name: "prize",
+						description:
+							"New prize description (not for coin or shop role prizes)",
+						type: 3, // STRING
+						required: false,
+					},
+					{
+						name: "duration",
+						description: "New end time, in minutes from now",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 1,
+						max_value: 10080, // 1 week max
+					},
+					{
+						name: "winners",
+						description: "New number of winners",
+						type: 4, // INTEGER
+						required: false,
+						min_value: 1,
+						max_value: 20,
+					},
+				],
+			},
+			{
+				name: "participants",
+				description: "List who entered a giveaway",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "id",
+						description: "Giveaway (start typing its title)",
+						type: 3, // STRING
+						required: true,
+						autocomplete: true,
+					},
+				],
+			},
+			{
+				name: "verify",
+				description: "Recompute a giveaway's draws from their seeds",
+				type: 1, // SUB_COMMAND
+				options: [
+					{
+						name: "id",
+						description: "Giveaway (start typing its title)",
 						type: 3, // STRING
 						required: true,
+						autocomplete: true,
 					},
 				],
 			},
@@ -0,0 +1,142 @@
+/**
+ * User Lock - Durable Object that serializes economy operations per user
+ *
+ * One UserLock instance exists per user ID. Balance-changing work (purchases,
+ * daily claims, coinflips, transfers, refunds, prizes) runs in runWithUserLock
+ * so a double-click or two simultaneous commands run one after the other
+ * instead of racing on the same balance.
+ */
+
+// How long a holder may keep the lock before it is considered abandoned
+const LEASE_MS = 30 * 1000;
+// How long a caller waits for the lock before giving up
+const ACQUIRE_TIMEOUT_MS = 15 * 1000;
+
+// Shown to a user whose operation couldn't get the lock in time
+export const USER_BUSY_MESSAGE =
+	"⏳ You already have another action in progress. Please try again in a moment.";
+
+/**
+ * Durable Object holding a single lease-based lock. Durable Objects process
+ * requests for one ID on a single thread, so the in-memory state is consistent.
+ */
+export class UserLock {
+	constructor(state, env) {
+		this.state = state;
+		this.holder = null;
+		this.expiresAt = 0;
+		this.waiters = [];
+	}
+
+	async fetch(request) {
+		const url = new URL(request.url);
+		const { token } = await request.json();
+
+		switch (url.pathname) {
+			case "/acquire":
+				return await this.acquire(token);
+			case "/release":
+				return this.release(token);
+			default:
+				return new Response("Not found", { status: 404 });
+		}
+	}
+
+	async acquire(token) {
+		const deadline = Date.now() + ACQUIRE_TIMEOUT_MS;
+
+		while (this.holder && Date.now() < this.expiresAt) {
+			const remaining = deadline - Date.now();
+			if (remaining <= 0) {
+				return new Response("Lock busy", { status: 409 });
+			}
+
+			// Wait until released, the lease expires or we run out of time
+			await new Promise((resolve) => {
+				this.waiters.push(resolve);
+				setTimeout(resolve, Math.min(remaining, this.expiresAt - Date.now()));
+			});
+		}
+
+		this.holder = token;
+		this.expiresAt = Date.now() + LEASE_MS;
+		return new Response("Acquired", { status: 200 });
+	}
+
+	release(token) {
+		if (this.holder === token) {
+			this.holder = null;
+			this.expiresAt = 0;
+
+			// Wake every waiter; the first to resume takes the lock and the
+			// others see it held again and go back to waiting
+			const waiters = this.waiters;
+			this.waiters = [];
+			waiters.forEach((resolve) => resolve());
+		}
+		return new Response("Released", { status: 200 });
+	}
+}
+
+/**
+ * Runs an operation while holding the lock for a user.
+ * When the USER_LOCK binding isn't configured the operation runs unserialized.
+ * @param {string} userId - The Discord user's ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {Function} operation - Async function to run while holding the lock.
+ * @returns {Promise<boolean>} True if the operation ran, false if the lock couldn't be acquired.
+ */
+export async function runWithUserLock(userId, env, operation) {
+	if (!env.USER_LOCK) {
+		await operation();
+		return true;
+	}
+
+	const stub = env.USER_LOCK.get(env.USER_LOCK.idFromName(userId));
+	const token = crypto.randomUUID();
+	const body = JSON.stringify({ token });
+
+	const acquired = await stub.fetch("https://user-lock/acquire", {
+		method: "POST",
+		body,
+	});
+	if (!acquired.ok) {
+		console.error(`Could not acquire lock for user ${userId}`);
+		return false;
+	}
+
+	try {
+		await operation();
+		return true;
+	} finally {
+		try {
+			await stub.fetch("https://user-lock/release", { method: "POST", body });
+		} catch (e) {
+			// The lease expires on its own, so a failed release only delays the next caller
+			console.error(`Error releasing lock for user ${userId}:`, e);
+		}
+	}
+}
+
+/**
+ * Runs an operation while holding the locks for several users, such as both
+ * sides of a transfer. Locks are taken in ID order so two operations on the
+ * same users can't each hold one lock and wait for the other.
+ * @param {Array<string>} userIds - The Discord user IDs.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {Function} operation - Async function to run while holding the locks.
+ * @returns {Promise<boolean>} True if the operation ran, false if a lock couldn't be acquired.
+ */
+export async function runWithUserLocks(userIds, env, operation) {
+	const [first, ...rest] = [...new Set(userIds)].sort();
+	if (first === undefined) {
+		await operation();
+		return true;
+	}
+
+	let ran = false;
+	const locked = await runWithUserLock(first, env, async () => {
+		ran = await runWithUserLocks(rest, env, operation);
+	});
+	return locked && ran;
+}
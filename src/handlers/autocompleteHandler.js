@@ -0,0 +1,29 @@
+/**
+ * Autocomplete Handler - Suggests values while a slash command is being typed
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import { handleGiveawayAutocomplete } from "./commands/index.js";
+
+/**
+ * Handles incoming autocomplete requests from Discord.
+ * @param {object} interaction The interaction object from Discord.
+ * @param {object} env The Cloudflare Worker environment variables.
+ */
+export async function handleAutocomplete(interaction, env) {
+	const commandName = interaction.data.name;
+
+	switch (commandName) {
+		case "giveaway":
+			return await handleGiveawayAutocomplete(interaction, env);
+		default:
+			console.error(`No autocomplete for command: ${commandName}`);
+			return new Response(
+				JSON.stringify({
+					type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+					data: { choices: [] },
+				}),
+				{ headers: { "Content-Type": "application/json" } }
+			);
+	}
+}
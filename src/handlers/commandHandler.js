@@ -12,6 +12,11 @@ import {
 	handleLeaderboardCommand,
 	handleCoinflipCommand,
 	handleGiveawayCommand,
+	handleTransactionsCommand,
+	handlePayCommand,
+	handleEcoCommand,
+	handleShopAdminCommand,
+	handleConfigCommand,
 } from "./commands/index.js";
 
 /**
@@ -40,6 +45,16 @@ export async function handleApplicationCommand(interaction, env, ctx) {
 			return await handleCoinflipCommand(interaction, env, ctx);
 		case "giveaway":
 			return await handleGiveawayCommand(interaction, env, ctx);
+		case "transactions":
+			return await handleTransactionsCommand(interaction, env, ctx);
+		case "pay":
+			return await handlePayCommand(interaction, env, ctx);
+		case "eco":
+			return await handleEcoCommand(interaction, env, ctx);
+		case "shopadmin":
+			return await handleShopAdminCommand(interaction, env, ctx);
+		case "config":
+			return await handleConfigCommand(interaction, env, ctx);
 		default:
 			console.error(`Unknown command: ${commandName}`);
 			return new Response(
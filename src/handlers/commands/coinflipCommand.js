@@ -3,13 +3,23 @@
  */
 
 import { InteractionResponseType } from "discord-interactions";
-import { getCurrency, updateCurrency } from "../../services/currencyService.js";
 import {
-	canUseCoinflip,
-	getNextCoinflipTime,
+	getCurrency,
+	creditCurrency,
+	debitCurrency,
+} from "../../services/currencyService.js";
+import {
+	getCoinflipMaxBet,
+	getCoinflipPlays,
+	getCoinflipWinChance,
 	recordCoinflipUsage,
 } from "../../services/coinflipService.js";
+import { getSettings } from "../../services/settingsService.js";
 import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	runWithUserLock,
+	USER_BUSY_MESSAGE,
+} from "../../durableObjects/userLock.js";
 
 /**
  * Handles the /coinflip command.
@@ -18,156 +28,238 @@ export async function handleCoinflipCommand(interaction, env, ctx) {
 	ctx.waitUntil(
 		(async () => {
 			const userId = interaction.member.user.id;
-			const userName = interaction.member.user.username;
-			const userAvatar = `https://cdn.discordapp.com/avatars/${userId}/${interaction.member.user.avatar}.png`;
+			const ran = await runWithUserLock(userId, env, async () => {
+				const userName = interaction.member.user.username;
+				const userAvatar = `https://cdn.discordapp.com/avatars/${userId}/${interaction.member.user.avatar}.png`;
 
-			// Check if user can use coinflip (once per day limit)
-			const canFlip = await canUseCoinflip(userId, env);
+				const guildId = interaction.guild_id;
+				const settings = await getSettings(guildId, env);
 
-			if (!canFlip) {
-				const nextFlipTime = await getNextCoinflipTime(userId, env);
-				await editInteractionResponse(interaction, env, {
-					embeds: [
-						{
-							title: "⏰ Daily Coinflip Already Used",
-							description: "You've already used your daily coinflip today!",
-							color: 0xff6b6b, // Red
-							thumbnail: { url: userAvatar },
-							fields: [
-								{
-									name: "Next Coinflip Available",
-									value: `<t:${Math.floor(nextFlipTime / 1000)}:R>`,
-									inline: false,
-								},
-							],
-							footer: { text: "Come back tomorrow to gamble again!" },
-						},
-					],
-					flags: 64,
-				});
-				return;
-			}
+				// Check if user has a coinflip left (coinflipDailyPlays per day)
+				const plays = await getCoinflipPlays(userId, guildId, env);
 
-			// Get the bet amount from the command options
-			const betAmount = interaction.data.options?.[0]?.value || 0;
+				if (plays.playsLeft <= 0) {
+					const nextFlipTime = plays.resetsAt ?? Date.now();
+					await editInteractionResponse(interaction, env, {
+						embeds: [
+							{
+								title: "⏰ Daily Coinflip Already Used",
+								description:
+									settings.coinflipDailyPlays === 1
+										? "You've already used your daily coinflip today!"
+										: `You've already used all ${settings.coinflipDailyPlays} of your coinflips today!`,
+								color: 0xff6b6b, // Red
+								thumbnail: { url: userAvatar },
+								fields: [
+									{
+										name: "Next Coinflip Available",
+										value: `<t:${Math.floor(nextFlipTime / 1000)}:R>`,
+										inline: false,
+									},
+								],
+								footer: { text: "Come back tomorrow to gamble again!" },
+							},
+						],
+						flags: 64,
+					});
+					return;
+				}
 
-			// Validate bet amount
-			if (betAmount <= 0) {
-				await editInteractionResponse(interaction, env, {
-					embeds: [
-						{
-							title: "❌ Invalid Bet",
-							description: "Please bet at least 1 coin!",
-							color: 0xff6b6b,
-							thumbnail: { url: userAvatar },
-						},
-					],
-					flags: 64,
-				});
-				return;
-			}
+				// Get the bet amount and the called side from the command options
+				const options = interaction.data.options || [];
+				const betAmount =
+					options.find((opt) => opt.name === "amount")?.value || 0;
+				const playerChoice =
+					options.find((opt) => opt.name === "side")?.value === "tails"
+						? "tails"
+						: "heads";
 
-			const currentBalance = await getCurrency(userId, env);
+				// Validate bet amount
+				if (betAmount <= 0) {
+					await editInteractionResponse(interaction, env, {
+						embeds: [
+							{
+								title: "❌ Invalid Bet",
+								description: "Please bet at least 1 coin!",
+								color: 0xff6b6b,
+								thumbnail: { url: userAvatar },
+							},
+						],
+						flags: 64,
+					});
+					return;
+				}
 
-			// Check if user has enough coins
-			if (currentBalance < betAmount) {
-				await editInteractionResponse(interaction, env, {
-					embeds: [
+				const currentBalance = await getCurrency(userId, env);
+
+				// Check if user has enough coins
+				if (currentBalance < betAmount) {
+					await editInteractionResponse(interaction, env, {
+						embeds: [
+							{
+								title: "💸 Insufficient Funds",
+								description: `You only have **${currentBalance.toLocaleString()} coins** but tried to bet **${betAmount.toLocaleString()} coins**!`,
+								color: 0xff6b6b,
+								thumbnail: { url: userAvatar },
+								footer: { text: "Play more or use /daily to earn more coins" },
+							},
+						],
+						flags: 64,
+					});
+					return;
+				}
+
+				// Check the server's bet limit
+				const maxBet = getCoinflipMaxBet(currentBalance, settings);
+				if (maxBet !== null && betAmount > maxBet) {
+					const limitNote =
+						"percent" in settings.coinflipMaxBet
+							? ` (${settings.coinflipMaxBet.percent}% of your balance)`
+							: "";
+					await editInteractionResponse(interaction, env, {
+						embeds: [
+							{
+								title: "🚫 Bet Too High",
+								description: `The most you can bet is **${maxBet.toLocaleString()} coins**${limitNote}, but you tried to bet **${betAmount.toLocaleString()} coins**!`,
+								color: 0xff6b6b,
+								thumbnail: { url: userAvatar },
+							},
+						],
+						flags: 64,
+					});
+					return;
+				}
+
+				// Take the stake up front so the bet can't exceed the balance at flip time
+				const stake = await debitCurrency(
+					userId,
+					betAmount,
+					"coinflip_bet",
+					env,
+					interaction.id
+				);
+				if (!stake.success) {
+					await editInteractionResponse(interaction, env, {
+						content:
+							stake.error === "insufficient_funds"
+								? `You only have **${stake.balance.toLocaleString()} coins** but tried to bet **${betAmount.toLocaleString()} coins**!`
+								: "There was an error updating your balance. Please try again later.",
+						flags: 64,
+					});
+					return;
+				}
+
+				// Record the coinflip usage
+				const flipRecorded = await recordCoinflipUsage(userId, guildId, env);
+				if (!flipRecorded) {
+					await creditCurrency(
+						userId,
+						betAmount,
+						"coinflip_refund",
+						env,
+						interaction.id
+					);
+					await editInteractionResponse(interaction, env, {
+						content:
+							"There was an error recording your coinflip usage. Please try again later.",
+						flags: 64,
+					});
+					return;
+				}
+
+				// Flip the coin (50/50 unless the server has a house edge)
+				const isWin = Math.random() < getCoinflipWinChance(settings);
+				const coinResult = isWin
+					? playerChoice
+					: playerChoice === "heads"
+					? "tails"
+					: "heads";
+				const playsLeft = plays.playsLeft - 1;
+
+				let newBalance = stake.balance;
+				let resultTitle;
+				let resultDescription;
+				let resultColor;
+
+				if (isWin) {
+					// Player wins - return the stake plus the configured payout
+					const winnings = Math.floor(
+						(betAmount * settings.coinflipPayoutPercent) / 100
+					);
+					const payout = await creditCurrency(
+						userId,
+						betAmount + winnings,
+						"coinflip_win",
+						env,
+						interaction.id
+					);
+					if (!payout.success) {
+						await editInteractionResponse(interaction, env, {
+							content:
+								"You won, but there was an error paying out your winnings. Please contact an admin.",
+							flags: 64,
+						});
+						return;
+					}
+					newBalance = payout.balance;
+					resultTitle = "🎉 You Won!";
+					resultDescription = `You called **${playerChoice}** and the coin landed on **${coinResult}**!\nYou won **${winnings.toLocaleString()} coins**!`;
+					resultColor = 0x4caf50; // Green
+				} else {
+					// Player loses - the stake is already gone
+					resultTitle = "💸 You Lost!";
+					resultDescription = `You called **${playerChoice}** and the coin landed on **${coinResult}**!\nYou lost **${betAmount.toLocaleString()} coins**!`;
+					resultColor = 0xff6b6b; // Red
+				}
+
+				// Create the result embed
+				const embed = {
+					title: resultTitle,
+					description: resultDescription,
+					color: resultColor,
+					thumbnail: { url: userAvatar },
+					fields: [
+						{
+							name: "🪙 Your Bet",
+							value: `**${betAmount.toLocaleString()} coins**`,
+							inline: true,
+						},
 						{
-							title: "💸 Insufficient Funds",
-							description: `You only have **${currentBalance.toLocaleString()} coins** but tried to bet **${betAmount.toLocaleString()} coins**!`,
-							color: 0xff6b6b,
-							thumbnail: { url: userAvatar },
-							footer: { text: "Play more or use /daily to earn more coins" },
+							name: "🎯 Result",
+							value: `**${coinResult.toUpperCase()}**`,
+							inline: true,
+						},
+						{
+							name: "💰 New Balance",
+							value: `**${newBalance.toLocaleString()} coins**`,
+							inline: true,
 						},
 					],
-					flags: 64,
-				});
-				return;
-			}
+					footer: {
+						text:
+							playsLeft > 0
+								? `You have ${playsLeft} coinflip${
+										playsLeft === 1 ? "" : "s"
+								  } left today.`
+								: isWin
+								? "Lucky! Come back tomorrow to gamble again!"
+								: "Better luck tomorrow!",
+					},
+					timestamp: new Date().toISOString(),
+				};
 
-			// Record the coinflip usage
-			const flipRecorded = await recordCoinflipUsage(userId, env);
-			if (!flipRecorded) {
 				await editInteractionResponse(interaction, env, {
-					content:
-						"There was an error recording your coinflip usage. Please try again later.",
+					embeds: [embed],
 					flags: 64,
 				});
-				return;
-			}
-
-			// Flip the coin (50/50 chance)
-			const isWin = Math.random() < 0.5;
-			const coinResult = isWin ? "heads" : "tails";
-			const playerChoice = "heads"; // Player always calls heads for simplicity
-
-			let newBalance;
-			let resultTitle;
-			let resultDescription;
-			let resultColor;
-
-			if (isWin) {
-				// Player wins - double their bet
-				const winnings = betAmount;
-				newBalance = currentBalance + winnings;
-				resultTitle = "🎉 You Won!";
-				resultDescription = `The coin landed on **${coinResult}**!\nYou won **${winnings.toLocaleString()} coins**!`;
-				resultColor = 0x4caf50; // Green
-			} else {
-				// Player loses - lose their bet
-				newBalance = currentBalance - betAmount;
-				resultTitle = "💸 You Lost!";
-				resultDescription = `The coin landed on **${coinResult}**!\nYou lost **${betAmount.toLocaleString()} coins**!`;
-				resultColor = 0xff6b6b; // Red
-			}
+			});
 
-			// Update the user's balance
-			const balanceUpdated = await updateCurrency(userId, newBalance, env);
-			if (!balanceUpdated) {
+			if (!ran) {
 				await editInteractionResponse(interaction, env, {
-					content:
-						"There was an error updating your balance. Please try again later.",
+					content: USER_BUSY_MESSAGE,
 					flags: 64,
 				});
-				return;
 			}
-
-			// Create the result embed
-			const embed = {
-				title: resultTitle,
-				description: resultDescription,
-				color: resultColor,
-				thumbnail: { url: userAvatar },
-				fields: [
-					{
-						name: "🪙 Your Bet",
-						value: `**${betAmount.toLocaleString()} coins**`,
-						inline: true,
-					},
-					{
-						name: "🎯 Result",
-						value: `**${coinResult.toUpperCase()}**`,
-						inline: true,
-					},
-					{
-						name: "💰 New Balance",
-						value: `**${newBalance.toLocaleString()} coins**`,
-						inline: true,
-					},
-				],
-				footer: {
-					text: isWin
-						? "Lucky! Come back tomorrow to gamble again!"
-						: "Better luck tomorrow!",
-				},
-				timestamp: new Date().toISOString(),
-			};
-
-			await editInteractionResponse(interaction, env, {
-				embeds: [embed],
-				flags: 64,
-			});
 		})()
 	);
 
@@ -0,0 +1,328 @@
+/**
+ * Config Command Handler - Admin economy settings
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import {
+	formatSettingValue,
+	getDefaultSettings,
+	getSavedSettings,
+	parseSettingValue,
+	resetSetting,
+	saveSetting,
+	SETTINGS,
+} from "../../services/settingsService.js";
+import {
+	getDailyRoleBonuses,
+	removeDailyRoleBonus,
+	setDailyRoleBonus,
+} from "../../services/dailyRewardService.js";
+import { recordAuditLog } from "../../services/auditService.js";
+import { formatRoleBonus } from "../../ui/dailyBuilder.js";
+import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	hasAdminPermissions,
+	createPermissionDeniedResponse,
+} from "../../utils/permissions.js";
+
+/**
+ * Handles the /config command with subcommands.
+ */
+export async function handleConfigCommand(interaction, env, ctx) {
+	if (!hasAdminPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("change the bot's settings"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const subcommand = interaction.data.options?.[0]?.name;
+	if (subcommand === "rolebonus") {
+		return await handleRoleBonusCommand(interaction, env, ctx);
+	}
+
+	const options = interaction.data.options?.[0]?.options || [];
+	const key = options.find((opt) => opt.name === "setting")?.value;
+
+	let validationError = null;
+	if (!["view", "set", "reset"].includes(subcommand)) {
+		validationError = "Unknown config subcommand.";
+	} else if (!interaction.guild_id) {
+		validationError = "Settings can only be changed inside a server.";
+	} else if (subcommand !== "view" && !SETTINGS[key]) {
+		validationError = `Unknown setting \`${key}\`.`;
+	}
+
+	// Check the new value before deferring so typos get an instant answer
+	let parsed = null;
+	if (!validationError && subcommand === "set") {
+		parsed = parseSettingValue(
+			key,
+			options.find((opt) => opt.name === "value")?.value
+		);
+		validationError = parsed.error || null;
+	}
+
+	if (validationError) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: { content: `❌ ${validationError}`, flags: 64 },
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const guildId = interaction.guild_id;
+
+			if (subcommand === "view") {
+				const saved = await getSavedSettings(guildId, env);
+				const roleBonuses = await getDailyRoleBonuses(guildId, env);
+				await editInteractionResponse(interaction, env, {
+					embeds: [
+						buildSettingsEmbed(saved, getDefaultSettings(env), roleBonuses),
+					],
+					flags: 64,
+				});
+				return;
+			}
+
+			const adminId = interaction.member.user.id;
+			const defaults = getDefaultSettings(env);
+			const saved = await getSavedSettings(guildId, env);
+			const previous = key in saved ? saved[key] : defaults[key];
+			const next = subcommand === "set" ? parsed.value : defaults[key];
+
+			const success =
+				subcommand === "set"
+					? await saveSetting(guildId, key, next, adminId, env)
+					: await resetSetting(guildId, key, env);
+
+			if (!success) {
+				await editInteractionResponse(interaction, env, {
+					content: "There was an error saving the setting. Please try again.",
+					flags: 64,
+				});
+				return;
+			}
+
+			const details = `${key}: ${formatSettingValue(
+				key,
+				previous
+			)} -> ${formatSettingValue(key, next)}`;
+			const logged = await recordAuditLog(
+				adminId,
+				`config_${subcommand}`,
+				guildId,
+				details,
+				null,
+				env
+			);
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [
+					{
+						title:
+							subcommand === "set"
+								? "⚙️ Setting Updated"
+								: "🔄 Setting Reset to Default",
+						description: `**${SETTINGS[key].label}** was changed by <@${adminId}>.`,
+						color: 0x4caf50, // Green
+						fields: [
+							{
+								name: "Before",
+								value: `\`${formatSettingValue(key, previous)}\``,
+								inline: true,
+							},
+							{
+								name: "After",
+								value: `**\`${formatSettingValue(key, next)}\`**`,
+								inline: true,
+							},
+						],
+						footer: logged
+							? undefined
+							: { text: "⚠️ The audit log entry could not be saved." },
+						timestamp: new Date().toISOString(),
+					},
+				],
+				flags: 64,
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the /config rolebonus subcommand group, which sets up extra /daily
+ * coins for members with a role.
+ */
+async function handleRoleBonusCommand(interaction, env, ctx) {
+	const action = interaction.data.options[0].options?.[0]?.name;
+	const options = interaction.data.options[0].options?.[0]?.options || [];
+	const roleId = options.find((opt) => opt.name === "role")?.value;
+	const multiplier =
+		Math.round(
+			(options.find((opt) => opt.name === "multiplier")?.value ?? 1) * 100
+		) / 100;
+	const flatBonus = options.find((opt) => opt.name === "bonus")?.value ?? 0;
+
+	let validationError = null;
+	if (!["set", "remove"].includes(action)) {
+		validationError = "Unknown config subcommand.";
+	} else if (!interaction.guild_id) {
+		validationError = "Settings can only be changed inside a server.";
+	} else if (roleId === interaction.guild_id) {
+		validationError =
+			"@everyone can't have a bonus; change the daily reward instead.";
+	} else if (action === "set" && multiplier === 1 && flatBonus === 0) {
+		validationError =
+			"Give the role a `multiplier` above 1, a flat `bonus`, or both.";
+	}
+
+	if (validationError) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: { content: `❌ ${validationError}`, flags: 64 },
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const guildId = interaction.guild_id;
+			const adminId = interaction.member.user.id;
+			const bonus = { roleId, multiplier, flatBonus };
+
+			let failure = null;
+			if (action === "set") {
+				const saved = await setDailyRoleBonus(
+					guildId,
+					roleId,
+					multiplier,
+					flatBonus,
+					adminId,
+					env
+				);
+				if (!saved) {
+					failure =
+						"There was an error saving the role bonus. Please try again.";
+				}
+			} else {
+				const { removed, error } = await removeDailyRoleBonus(
+					guildId,
+					roleId,
+					env
+				);
+				if (error) {
+					failure = "Failed to remove the role bonus. Please try again.";
+				} else if (!removed) {
+					failure = `<@&${roleId}> doesn't have a daily bonus.`;
+				}
+			}
+
+			if (failure) {
+				await editInteractionResponse(interaction, env, {
+					content: failure,
+					flags: 64,
+				});
+				return;
+			}
+
+			const logged = await recordAuditLog(
+				adminId,
+				`config_rolebonus_${action}`,
+				roleId,
+				action === "set" ? `daily bonus: ${formatRoleBonus(bonus)}` : "removed",
+				null,
+				env
+			);
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [
+					{
+						title:
+							action === "set"
+								? "🎭 Role Bonus Saved"
+								: "🗑️ Role Bonus Removed",
+						description:
+							action === "set"
+								? `Members with <@&${roleId}> now get **${formatRoleBonus(
+										bonus
+								  )}** on every /daily claim.`
+								: `Members with <@&${roleId}> no longer get extra /daily coins.`,
+						color: 0x4caf50, // Green
+						footer: logged
+							? undefined
+							: { text: "⚠️ The audit log entry could not be saved." },
+						timestamp: new Date().toISOString(),
+					},
+				],
+				flags: 64,
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Builds the /config view embed listing every setting and its current value.
+ * @param {object} saved - The values the server has saved.
+ * @param {object} defaults - The default values.
+ * @param {Array<object>} roleBonuses - The server's daily role bonuses.
+ * @returns {object} The embed.
+ */
+function buildSettingsEmbed(saved, defaults, roleBonuses) {
+	return {
+		title: "⚙️ Server Settings",
+		description:
+			"Change a setting with `/config set`, or go back to its default with `/config reset`.",
+		color: 0x5865f2, // Blurple
+		fields: Object.entries(SETTINGS)
+			.map(([key, setting]) => {
+				const value =
+					key in saved
+						? `**\`${formatSettingValue(
+								key,
+								saved[key]
+						  )}\`** (default \`${formatSettingValue(key, defaults[key])}\`)`
+						: `\`${formatSettingValue(key, defaults[key])}\` (default)`;
+				return {
+					name: setting.label,
+					value: `${value}\n${setting.description}`,
+					inline: false,
+				};
+			})
+			.concat({
+				name: "Daily role bonuses",
+				value:
+					roleBonuses.length > 0
+						? roleBonuses
+								.map((bonus) => `<@&${bonus.roleId}> ${formatRoleBonus(bonus)}`)
+								.join("\n")
+						: "None yet. Add one with `/config rolebonus set`.",
+				inline: false,
+			}),
+	};
+}
@@ -3,14 +3,30 @@
  */
 
 import { InteractionResponseType } from "discord-interactions";
-import { getCurrency, updateCurrency } from "../../services/currencyService.js";
 import {
+	creditCurrency,
+	debitCurrency,
+} from "../../services/currencyService.js";
+import {
+	calculateDailyReward,
 	canClaimDailyReward,
+	getDailyCooldownEnd,
+	getDailyRoleBonuses,
+	getDailyStreak,
 	getNextClaimTime,
 	recordDailyClaim,
 } from "../../services/dailyRewardService.js";
 import { recordEarnings } from "../../services/leaderboardService.js";
+import { getSettings } from "../../services/settingsService.js";
+import {
+	buildDailyAlreadyClaimedEmbed,
+	buildDailyClaimedEmbed,
+} from "../../ui/dailyBuilder.js";
 import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	runWithUserLock,
+	USER_BUSY_MESSAGE,
+} from "../../durableObjects/userLock.js";
 
 /**
  * Handles the /daily command.
@@ -19,98 +35,119 @@ export async function handleDailyCommand(interaction, env, ctx) {
 	ctx.waitUntil(
 		(async () => {
 			const userId = interaction.member.user.id;
-			const userName = interaction.member.user.username;
-			const userAvatar = `https://cdn.discordapp.com/avatars/${userId}/${interaction.member.user.avatar}.png`;
+			const ran = await runWithUserLock(userId, env, async () => {
+				const user = interaction.member.user;
+				const guildId = interaction.guild_id;
+				const settings = await getSettings(guildId, env);
 
-			// Check if user can claim daily reward
-			const canClaim = await canClaimDailyReward(userId, env);
+				// Check if user can claim daily reward
+				const canClaim = await canClaimDailyReward(userId, guildId, env);
+				const streak = await getDailyStreak(userId, guildId, env);
 
-			if (!canClaim) {
-				const nextClaimTime = await getNextClaimTime(userId, env);
-				await editInteractionResponse(interaction, env, {
-					embeds: [
-						{
-							title: "⏰ Daily Reward Already Claimed",
-							description: `You've already claimed your daily reward today!`,
-							color: 0xff6b6b, // Red
-							thumbnail: { url: userAvatar },
-							fields: [
-								{
-									name: "Next Claim Available",
-									value: `<t:${Math.floor(nextClaimTime / 1000)}:R>`,
-									inline: false,
-								},
-							],
-							footer: { text: "Come back tomorrow for your next reward!" },
-						},
-					],
-					flags: 64,
+				if (!canClaim) {
+					const nextClaimTime = await getNextClaimTime(userId, guildId, env);
+					await editInteractionResponse(interaction, env, {
+						embeds: [
+							buildDailyAlreadyClaimedEmbed(
+								user,
+								nextClaimTime,
+								streak,
+								settings
+							),
+						],
+						flags: 64,
+					});
+					return;
+				}
+
+				// Continue the streak (or start a new one) and work out the reward
+				const currentStreak = streak.currentStreak + 1;
+				const bestStreak = Math.max(streak.bestStreak, currentStreak);
+				const roleBonuses = await getDailyRoleBonuses(
+					guildId,
+					env,
+					interaction.member.roles || []
+				);
+				const reward = calculateDailyReward(
+					currentStreak,
+					settings,
+					roleBonuses
+				);
+				const rewardAmount = reward.total;
+
+				// Give daily reward
+				const credit = await creditCurrency(
+					userId,
+					rewardAmount,
+					"daily",
+					env,
+					interaction.id,
+					currentStreak > 1 ? `Day ${currentStreak} streak` : null
+				);
+				if (!credit.success) {
+					await editInteractionResponse(interaction, env, {
+						content:
+							"There was an error updating your balance. Please try again later.",
+						flags: 64,
+					});
+					return;
+				}
+				const newBalance = credit.balance;
+
+				// Record the claim
+				const claimRecorded = await recordDailyClaim(userId, env, {
+					currentStreak,
+					bestStreak,
 				});
-				return;
-			}
+				if (!claimRecorded) {
+					// Try to take the reward back if recording fails
+					await debitCurrency(
+						userId,
+						rewardAmount,
+						"daily_reversal",
+						env,
+						interaction.id
+					);
+					await editInteractionResponse(interaction, env, {
+						content:
+							"There was an error recording your daily claim. Please try again later.",
+						flags: 64,
+					});
+					return;
+				}
 
-			// Give daily reward
-			const rewardAmount = 10;
-			const currentBalance = await getCurrency(userId, env);
-			const newBalance = currentBalance + rewardAmount;
+				// Record the earnings for leaderboard tracking
+				await recordEarnings(userId, rewardAmount, env);
 
-			const balanceUpdated = await updateCurrency(userId, newBalance, env);
-			if (!balanceUpdated) {
+				// Success response
+				const nextClaimTime = getDailyCooldownEnd(Date.now(), settings);
 				await editInteractionResponse(interaction, env, {
-					content:
-						"There was an error updating your balance. Please try again later.",
+					embeds: [
+						buildDailyClaimedEmbed(
+							user,
+							reward,
+							newBalance,
+							{
+								currentStreak,
+								bestStreak,
+								breaksAt:
+									nextClaimTime +
+									settings.dailyStreakGraceHours * 60 * 60 * 1000,
+							},
+							nextClaimTime,
+							settings
+						),
+					],
 					flags: 64,
 				});
-				return;
-			}
+			});
 
-			// Record the claim
-			const claimRecorded = await recordDailyClaim(userId, env);
-			if (!claimRecorded) {
-				// Try to refund the coins if recording fails
-				await updateCurrency(userId, currentBalance, env);
+			if (!ran) {
 				await editInteractionResponse(interaction, env, {
-					content:
-						"There was an error recording your daily claim. Please try again later.",
+					content: USER_BUSY_MESSAGE,
 					flags: 64,
 				});
-				return;
 			}
-
-			// Record the earnings for leaderboard tracking
-			await recordEarnings(userId, rewardAmount, env);
-
-			// Success response
-			await editInteractionResponse(interaction, env, {
-				embeds: [
-					{
-						title: "🎁 Daily Reward Claimed!",
-						description: `**${userName}** claimed their daily reward!`,
-						color: 0x4caf50, // Green
-						thumbnail: { url: userAvatar },
-						fields: [
-							{
-								name: "💰 Reward",
-								value: `**+${rewardAmount.toLocaleString()} coins**`,
-								inline: true,
-							},
-							{
-								name: "💳 New Balance",
-								value: `**${newBalance.toLocaleString()} coins**`,
-								inline: true,
-							},
-							{
-								name: "⏰ Next Reward",
-								value: "Available in 24 hours",
-								inline: false,
-							},
-						],
-						footer: { text: "Come back tomorrow for another reward!" },
-						timestamp: new Date().toISOString(),
-					},
-				],
-				flags: 64,
-			});
 		})()
 	);
 
@@ -0,0 +1,201 @@
+/**
+ * Eco Command Handler - Admin balance management
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import {
+	creditCurrency,
+	debitCurrency,
+	setCurrency,
+} from "../../services/currencyService.js";
+import { recordAuditLog } from "../../services/auditService.js";
+import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	hasShopPermissions,
+	createPermissionDeniedResponse,
+} from "../../utils/permissions.js";
+import {
+	runWithUserLock,
+	USER_BUSY_MESSAGE,
+} from "../../durableObjects/userLock.js";
+
+const ACTION_TITLES = {
+	give: "➕ Coins Given",
+	take: "➖ Coins Taken",
+	set: "✏️ Balance Set",
+	reset: "🔄 Balance Reset",
+};
+
+/**
+ * Handles the /eco command with subcommands.
+ */
+export async function handleEcoCommand(interaction, env, ctx) {
+	if (!hasShopPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("manage the economy"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const subcommand = interaction.data.options?.[0]?.name;
+	if (!ACTION_TITLES[subcommand]) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: {
+					content: "Unknown eco subcommand.",
+					flags: 64,
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const adminId = interaction.member.user.id;
+			const options = interaction.data.options[0].options || [];
+			const targetId = options.find((opt) => opt.name === "user")?.value;
+			const amount = options.find((opt) => opt.name === "amount")?.value || 0;
+			const reason = options.find((opt) => opt.name === "reason")?.value;
+			let result;
+
+			const ran = await runWithUserLock(targetId, env, async () => {
+				result = await applyEcoAction(
+					subcommand,
+					targetId,
+					amount,
+					adminId,
+					reason,
+					env
+				);
+			});
+
+			if (!ran) {
+				await editInteractionResponse(interaction, env, {
+					content: USER_BUSY_MESSAGE,
+					flags: 64,
+				});
+				return;
+			}
+
+			if (!result.success) {
+				await editInteractionResponse(interaction, env, {
+					embeds: [
+						{
+							title: "❌ Balance Not Changed",
+							description:
+								result.error === "insufficient_funds"
+									? `<@${targetId}> only has **${result.balance.toLocaleString()} coins**, so **${amount.toLocaleString()} coins** can't be taken. Use \`/eco set\` to lower their balance instead.`
+									: "There was an error updating the balance. Please try again.",
+							color: 0xff6b6b,
+						},
+					],
+					flags: 64,
+				});
+				return;
+			}
+
+			const details = `${result.previousBalance} -> ${result.balance} coins`;
+			const logged = await recordAuditLog(
+				adminId,
+				`eco_${subcommand}`,
+				targetId,
+				details,
+				reason,
+				env
+			);
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [
+					{
+						title: ACTION_TITLES[subcommand],
+						description: `<@${targetId}>'s balance was changed by <@${adminId}>.`,
+						color: 0x4caf50, // Green
+						fields: [
+							{
+								name: "Before",
+								value: `${result.previousBalance.toLocaleString()} coins`,
+								inline: true,
+							},
+							{
+								name: "After",
+								value: `**${result.balance.toLocaleString()} coins**`,
+								inline: true,
+							},
+							{ name: "Reason", value: reason, inline: false },
+						],
+						footer: logged
+							? undefined
+							: { text: "⚠️ The audit log entry could not be saved." },
+						timestamp: new Date().toISOString(),
+					},
+				],
+				flags: 64,
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Applies one /eco action to a user's balance. Every change goes through the
+ * ledger with the acting admin as the reference and their reason as the note.
+ * @param {string} action - "give", "take", "set" or "reset".
+ * @param {string} targetId - The user whose balance changes.
+ * @param {number} amount - The amount for give/take/set.
+ * @param {string} adminId - The acting admin's ID.
+ * @param {string} reason - The admin's reason.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<{success: boolean, balance: number, previousBalance?: number, error?: string}>} The balance change result.
+ */
+async function applyEcoAction(action, targetId, amount, adminId, reason, env) {
+	switch (action) {
+		case "give":
+			return await creditCurrency(
+				targetId,
+				amount,
+				"admin_give",
+				env,
+				adminId,
+				reason
+			);
+		case "take":
+			return await debitCurrency(
+				targetId,
+				amount,
+				"admin_take",
+				env,
+				adminId,
+				reason
+			);
+		case "set":
+			return await setCurrency(
+				targetId,
+				amount,
+				"admin_set",
+				env,
+				adminId,
+				reason
+			);
+		case "reset":
+			return await setCurrency(
+				targetId,
+				0,
+				"admin_reset",
+				env,
+				adminId,
+				reason
+			);
+	}
+}
@@ -15,7 +15,7 @@ export async function handleEquipCommand(interaction, env, ctx) {
 		(async () => {
 			const userId = interaction.member.user.id;
 			const unlockedRoles = await getUnlockedRoles(userId, env);
-			const allItems = await getItems(env);
+			const allItems = await getItems(env, true);
 			console.log(`User ${userId} has unlocked roles:`, unlockedRoles);
 
 			if (!unlockedRoles || unlockedRoles.length === 0) {
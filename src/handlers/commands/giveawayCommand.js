@@ -5,17 +5,49 @@
 import { InteractionResponseType } from "discord-interactions";
 import {
 	createGiveaway,
-	selectWinners,
+	rerollGiveaway,
 	getGiveaway,
 	getGiveawayParticipants,
-	updateGiveawayStatus,
+	endGiveaway,
+	cancelGiveaway,
+	verifyGiveawayDraws,
+	getGiveaways,
+	getGiveawayEntries,
+	getGiveawayWinners,
+	updateGiveaway,
+	isAbandonedEnding,
 } from "../../services/giveawayService.js";
+import {
+	updateGiveawayPost,
+	refreshActiveGiveawayPost,
+} from "../../services/giveawayPostService.js";
+import { deliverGiveawayPrizes } from "../../services/giveawayPrizeService.js";
+import { getItems } from "../../services/itemService.js";
+import {
+	buildGiveawayMessage,
+	buildGiveawayResultsEmbed,
+	buildPrizeDeliveryField,
+	buildCooldownRelaxedField,
+	buildGiveawayVerifyEmbed,
+	buildGiveawayListEmbed,
+	buildGiveawayInfoEmbed,
+	buildGiveawayParticipantsMessage,
+} from "../../ui/giveawayBuilder.js";
 import { editInteractionResponse } from "../../utils/discordUtils.js";
 import {
 	hasGiveawayPermissions,
 	createPermissionDeniedResponse,
 } from "../../utils/permissions.js";
 
+// Which giveaways each subcommand's `id` autocomplete suggests (all when unset)
+const AUTOCOMPLETE_STATUSES = {
+	end: ["active"],
+	cancel: ["active"],
+	edit: ["active"],
+	reroll: ["ended"],
+	verify: ["ended"],
+};
+
 /**
  * Handles the /giveaway command with subcommands.
  */
@@ -29,6 +61,18 @@ export async function handleGiveawayCommand(interaction, env, ctx) {
 			return await handleEndGiveaway(interaction, env, ctx);
 		case "reroll":
 			return await handleRerollGiveaway(interaction, env, ctx);
+		case "cancel":
+			return await handleCancelGiveaway(interaction, env, ctx);
+		case "verify":
+			return await handleVerifyGiveaway(interaction, env, ctx);
+		case "list":
+			return await handleListGiveaways(interaction, env, ctx);
+		case "info":
+			return await handleGiveawayInfo(interaction, env, ctx);
+		case "edit":
+			return await handleEditGiveaway(interaction, env, ctx);
+		case "participants":
+			return await handleGiveawayParticipants(interaction, env, ctx);
 		default:
 			return new Response(
 				JSON.stringify({
@@ -58,16 +102,84 @@ async function handleCreateGiveaway(interaction, env, ctx) {
 		);
 	}
 
+	const options = interaction.data.options[0].options;
+	const prizeText = options.find((opt) => opt.name === "prize")?.value;
+	const prizeCoins = options.find((opt) => opt.name === "prize_coins")?.value;
+	const prizeRoleId = options.find((opt) => opt.name === "prize_item")?.value;
+
+	let prizeError = null;
+	if (prizeCoins && prizeRoleId) {
+		prizeError = "Choose either `prize_coins` or `prize_item`, not both.";
+	} else if (!prizeText && !prizeCoins && !prizeRoleId) {
+		prizeError =
+			"Describe the prize with `prize`, or set `prize_coins` or `prize_item`.";
+	}
+
+	if (prizeError) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: { content: `❌ ${prizeError}`, flags: 64 },
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
 	ctx.waitUntil(
 		(async () => {
-			const options = interaction.data.options[0].options;
 			const title = options.find((opt) => opt.name === "title")?.value;
-			const prize = options.find((opt) => opt.name === "prize")?.value;
+			let prize = prizeText;
+			let deliverable = null;
+
+			if (prizeCoins) {
+				deliverable = { type: "coins", value: String(prizeCoins) };
+				prize ||= `${prizeCoins.toLocaleString()} coins`;
+			} else if (prizeRoleId) {
+				// Only shop items can be handed out, so winners can equip them
+				const item = (await getItems(env, true)).find(
+					(i) => i.role_id === prizeRoleId
+				);
+				if (!item) {
+					await editInteractionResponse(interaction, env, {
+						content: `❌ <@&${prizeRoleId}> isn't a shop item. Add it with \`/shopadmin add\` first.`,
+						allowed_mentions: { parse: [] },
+					});
+					return;
+				}
+				deliverable = { type: "role", value: prizeRoleId };
+				prize ||= `${item.name} (<@&${prizeRoleId}>)`;
+			}
 			const duration = options.find((opt) => opt.name === "duration")?.value;
 			const winners = options.find((opt) => opt.name === "winners")?.value || 1;
 			const description =
 				options.find((opt) => opt.name === "description")?.value ||
-				"React with 🎉 to enter!";
+				"Click the button below to enter!";
+			const requirements = {
+				requiredRoleIds: parseIds(
+					options.find((opt) => opt.name === "required_roles")?.value
+				),
+				excludedRoleIds: parseIds(
+					options.find((opt) => opt.name === "excluded_roles")?.value
+				),
+				minBalance:
+					options.find((opt) => opt.name === "min_balance")?.value || 0,
+				minMemberDays:
+					options.find((opt) => opt.name === "min_member_days")?.value || 0,
+			};
+			const entryCost =
+				options.find((opt) => opt.name === "entry_cost")?.value || 0;
+			const tickets = {
+				entryCost,
+				// Free giveaways are always one entry per person
+				maxTickets:
+					entryCost > 0
+						? options.find((opt) => opt.name === "max_tickets")?.value || 1
+						: 1,
+			};
+
+			// Unset uses the server default; 0 turns the cooldown off
+			const winnerCooldownDays =
+				options.find((opt) => opt.name === "winner_cooldown")?.value ?? null;
 
 			// Calculate end time
 			const endTime = new Date(Date.now() + duration * 60 * 1000);
@@ -75,44 +187,24 @@ async function handleCreateGiveaway(interaction, env, ctx) {
 			// Generate giveaway ID first
 			const giveawayId = Date.now().toString();
 
-			// Create the giveaway embed
-			const embed = {
-				title: `🎉 ${title}`,
-				description: `${description}\n\n**Prize:** ${prize}\n**Winners:** ${winners}\n**Ends:** <t:${Math.floor(
-					endTime.getTime() / 1000
-				)}:R>`,
-				color: 0xff6b6b,
-				footer: {
-					text: "React with 🎉 to enter the giveaway!",
-				},
-				timestamp: endTime.toISOString(),
+			const giveaway = {
+				id: giveawayId,
+				title,
+				description,
+				prize,
+				winnersCount: winners,
+				endTime: endTime.toISOString(),
+				requirements,
+				...tickets,
+				prizeType: deliverable?.type ?? null,
+				prizeValue: deliverable?.value ?? null,
 			};
 
-			// Send the giveaway message with the correct giveaway ID
-			await editInteractionResponse(interaction, env, {
-				embeds: [embed],
-				components: [
-					{
-						type: 1,
-						components: [
-							{
-								type: 2,
-								style: 1,
-								label: "🎉 Enter Giveaway",
-								custom_id: `giveaway_enter_${giveawayId}`,
-							},
-						],
-					},
-				],
-			});
-
-			// Get the message ID (this would need to be handled differently in production)
-			// For now, we'll use a placeholder
-			const messageId = "placeholder_message_id";
 			const channelId = interaction.channel_id;
 			const creatorId = interaction.member.user.id;
 
-			// Store giveaway in database using the same ID
+			// Save the giveaway before posting it, so the Enter button never
+			// points at a giveaway that doesn't exist
 			const createdGiveawayId = await createGiveaway(
 				title,
 				description,
@@ -120,14 +212,43 @@ async function handleCreateGiveaway(interaction, env, ctx) {
 				winners,
 				endTime.toISOString(),
 				channelId,
-				messageId,
+				null, // The message ID is saved once the giveaway is posted
 				creatorId,
 				env,
-				giveawayId // Pass the pre-generated ID
+				giveawayId, // Pass the pre-generated ID
+				requirements,
+				tickets,
+				deliverable,
+				winnerCooldownDays,
+				interaction.guild_id
 			);
 
 			if (!createdGiveawayId) {
 				console.error("Failed to create giveaway in database");
+				await editInteractionResponse(interaction, env, {
+					content: "❌ Couldn't save the giveaway. Please try again.",
+				});
+				return;
+			}
+
+			// Post the giveaway; the edited response is the giveaway message itself
+			const message = await editInteractionResponse(
+				interaction,
+				env,
+				buildGiveawayMessage(giveaway, 0)
+			);
+
+			if (!message) {
+				console.error("Failed to post giveaway message");
+				// Nobody can enter a giveaway that was never posted
+				await cancelGiveaway(giveawayId, env);
+				return;
+			}
+
+			if (!(await updateGiveaway(giveawayId, { messageId: message.id }, env))) {
+				console.error(
+					`Giveaway ${giveawayId} was posted but its message ID wasn't saved.`
+				);
 			}
 		})()
 	);
@@ -160,7 +281,7 @@ async function handleEndGiveaway(interaction, env, ctx) {
 			const options = interaction.data.options[0].options;
 			const giveawayId = options.find((opt) => opt.name === "id")?.value;
 
-			const giveaway = await getGiveaway(giveawayId, env);
+			const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
 			if (!giveaway) {
 				await editInteractionResponse(interaction, env, {
 					content: "Giveaway not found!",
@@ -169,7 +290,8 @@ async function handleEndGiveaway(interaction, env, ctx) {
 				return;
 			}
 
-			if (giveaway.status !== "active") {
+			// An abandoned "ending" claim can be finished from here as well
+			if (giveaway.status !== "active" && !isAbandonedEnding(giveaway)) {
 				await editInteractionResponse(interaction, env, {
 					content: "This giveaway has already ended!",
 					flags: 64,
@@ -177,43 +299,30 @@ async function handleEndGiveaway(interaction, env, ctx) {
 				return;
 			}
 
-			// Select winners
-			const winners = await selectWinners(
-				giveawayId,
-				giveaway.winnersCount,
-				env
-			);
-			const participants = await getGiveawayParticipants(giveawayId, env);
-
-			// Update giveaway status
-			await updateGiveawayStatus(giveawayId, "ended", env);
-
-			// Create results embed
-			const embed = {
-				title: `🎉 Giveaway Ended: ${giveaway.title}`,
-				description: `**Prize:** ${giveaway.prize}\n**Total Participants:** ${participants.length}`,
-				color: 0x4caf50,
-				fields: [],
-				timestamp: new Date().toISOString(),
-			};
+			const { ended, winners, participantCount, cooldownRelaxed } =
+				await endGiveaway(giveawayId, giveaway.winnersCount, env);
 
-			if (winners.length > 0) {
-				embed.fields.push({
-					name: `🏆 Winner${winners.length > 1 ? "s" : ""}`,
-					value: winners.map((id) => `<@${id}>`).join("\n"),
-					inline: false,
-				});
-				embed.description += `\n**Winner${
-					winners.length > 1 ? "s" : ""
-				}:** ${winners.map((id) => `<@${id}>`).join(", ")}`;
-			} else {
-				embed.fields.push({
-					name: "❌ No Winners",
-					value: "Not enough participants to select winners.",
-					inline: false,
+			// The scheduled job (or another admin) got there first
+			if (!ended) {
+				await editInteractionResponse(interaction, env, {
+					content: "This giveaway has already ended!",
+					flags: 64,
 				});
+				return;
 			}
 
+			const delivery = await deliverGiveawayPrizes(giveaway, winners, env);
+
+			await updateGiveawayPost(giveaway, env, winners);
+
+			const embed = buildGiveawayResultsEmbed(
+				giveaway,
+				winners,
+				participantCount,
+				delivery,
+				cooldownRelaxed
+			);
+
 			await editInteractionResponse(interaction, env, {
 				embeds: [embed],
 			});
@@ -248,7 +357,7 @@ async function handleRerollGiveaway(interaction, env, ctx) {
 			const options = interaction.data.options[0].options;
 			const giveawayId = options.find((opt) => opt.name === "id")?.value;
 
-			const giveaway = await getGiveaway(giveawayId, env);
+			const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
 			if (!giveaway) {
 				await editInteractionResponse(interaction, env, {
 					content: "Giveaway not found!",
@@ -265,14 +374,67 @@ async function handleRerollGiveaway(interaction, env, ctx) {
 				return;
 			}
 
-			// Select new winners
-			const newWinners = await selectWinners(
+			// Replace only the named winners, or everyone when none are given
+			const replaceUserIds = [
+				...new Set([
+					...parseIds(options.find((opt) => opt.name === "user")?.value),
+					...parseIds(options.find((opt) => opt.name === "users")?.value),
+				]),
+			];
+
+			const includeDelivered =
+				options.find((opt) => opt.name === "include_delivered")?.value ?? false;
+
+			const {
+				winners,
+				newWinners,
+				replaced,
+				kept,
+				notWinners,
+				cooldownRelaxed,
+			} = await rerollGiveaway(
 				giveawayId,
 				giveaway.winnersCount,
-				env
+				env,
+				replaceUserIds.length > 0 ? replaceUserIds : null,
+				includeDelivered
 			);
+
+			if (notWinners.length > 0) {
+				await editInteractionResponse(interaction, env, {
+					content: `❌ ${notWinners.map((id) => `<@${id}>`).join(", ")} ${
+						notWinners.length === 1 ? "isn't a" : "aren't"
+					} current winner${
+						notWinners.length === 1 ? "" : "s"
+					} of this giveaway.`,
+					allowed_mentions: { parse: [] },
+				});
+				return;
+			}
+
+			const keptMentions = kept.map((id) => `<@${id}>`).join(", ");
+			const keptNote = `Rerolling them would hand out the prize again; set \`include_delivered\` to replace them anyway (they keep what they received and no extra prize is sent).`;
+			const requested = replaceUserIds.filter((id) => !kept.includes(id));
+
+			// Everyone asked for already has their prize, so nothing was drawn
+			const targets = replaceUserIds.length > 0 ? replaceUserIds : winners;
+			if (kept.length > 0 && targets.every((id) => kept.includes(id))) {
+				await editInteractionResponse(interaction, env, {
+					content: `❌ ${keptMentions} already received the prize, so the winners are unchanged. ${keptNote}`,
+					allowed_mentions: { parse: [] },
+				});
+				return;
+			}
+
 			const participants = await getGiveawayParticipants(giveawayId, env);
 
+			// Winners who were already paid by an earlier draw are skipped
+			const delivery = await deliverGiveawayPrizes(giveaway, newWinners, env);
+
+			if (newWinners.length > 0) {
+				await updateGiveawayPost(giveaway, env, winners);
+			}
+
 			// Create reroll results embed
 			const embed = {
 				title: `🔄 Giveaway Rerolled: ${giveaway.title}`,
@@ -283,21 +445,441 @@ async function handleRerollGiveaway(interaction, env, ctx) {
 			};
 
 			if (newWinners.length > 0) {
+				if (replaced.length > 0) {
+					embed.fields.push({
+						name: "↩️ Replaced",
+						value: replaced.map((id) => `~~<@${id}>~~`).join("\n"),
+						inline: true,
+					});
+				}
 				embed.fields.push({
 					name: `🏆 New Winner${newWinners.length > 1 ? "s" : ""}`,
 					value: newWinners.map((id) => `<@${id}>`).join("\n"),
+					inline: true,
+				});
+				if (requested.length > replaced.length) {
+					embed.fields.push({
+						name: "⚠️ Not Enough Participants",
+						value: `Only ${newWinners.length} eligible participant${
+							newWinners.length === 1 ? " was" : "s were"
+						} left, so ${requested
+							.slice(replaced.length)
+							.map((id) => `<@${id}>`)
+							.join(", ")} kept their win.`,
+						inline: false,
+					});
+				}
+				embed.fields.push({
+					name: "🎉 Current Winners",
+					value: winners.map((id) => `<@${id}>`).join(", "),
 					inline: false,
 				});
 			} else {
 				embed.fields.push({
 					name: "❌ No Winners",
-					value: "Not enough participants to select winners.",
+					value:
+						"No eligible participants are left (earlier winners can't be drawn again), so the winners are unchanged.",
 					inline: false,
 				});
 			}
 
+			if (kept.length > 0) {
+				embed.fields.push({
+					name: "🔒 Kept (Prize Already Delivered)",
+					value: `${keptMentions}\n${keptNote}`,
+					inline: false,
+				});
+			}
+
+			if (cooldownRelaxed && newWinners.length > 0) {
+				embed.fields.push(buildCooldownRelaxedField());
+			}
+
+			const deliveryField = buildPrizeDeliveryField(giveaway, delivery);
+			if (deliveryField) {
+				embed.fields.push(deliveryField);
+			}
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [embed],
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the /giveaway cancel subcommand.
+ */
+async function handleCancelGiveaway(interaction, env, ctx) {
+	// Check permissions first
+	if (!hasGiveawayPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("cancel giveaways"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const options = interaction.data.options[0].options;
+			const giveawayId = options.find((opt) => opt.name === "id")?.value;
+
+			const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
+			if (!giveaway) {
+				await editInteractionResponse(interaction, env, {
+					content: "Giveaway not found!",
+					flags: 64,
+				});
+				return;
+			}
+
+			const { cancelled, refunded, failedRefunds } = await cancelGiveaway(
+				giveawayId,
+				env
+			);
+			if (!cancelled) {
+				await editInteractionResponse(interaction, env, {
+					content: "Only active giveaways can be cancelled.",
+					flags: 64,
+				});
+				return;
+			}
+
+			await updateGiveawayPost({ ...giveaway, status: "cancelled" }, env);
+
+			let description = `**${giveaway.title}** was cancelled. No winners will be drawn.`;
+			if (giveaway.entryCost > 0) {
+				description += `\n\nRefunded ticket purchases for **${refunded}** participant${
+					refunded === 1 ? "" : "s"
+				}.`;
+			}
+			if (failedRefunds.length > 0) {
+				description += `\n⚠️ Refunds failed for ${failedRefunds
+					.map((id) => `<@${id}>`)
+					.join(", ")}; use \`/eco give\` to refund them manually.`;
+			}
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [
+					{
+						title: "🚫 Giveaway Cancelled",
+						description,
+						color: 0x808080,
+						timestamp: new Date().toISOString(),
+					},
+				],
+				flags: 64,
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the /giveaway verify subcommand.
+ */
+async function handleVerifyGiveaway(interaction, env, ctx) {
+	// Check permissions first
+	if (!hasGiveawayPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("verify giveaways"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const options = interaction.data.options[0].options;
+			const giveawayId = options.find((opt) => opt.name === "id")?.value;
+
+			const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
+			if (!giveaway) {
+				await editInteractionResponse(interaction, env, {
+					content: "Giveaway not found!",
+					flags: 64,
+				});
+				return;
+			}
+
+			const draws = await verifyGiveawayDraws(giveawayId, env);
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [buildGiveawayVerifyEmbed(giveaway, draws)],
+				allowed_mentions: { parse: [] },
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the /giveaway list subcommand.
+ */
+async function handleListGiveaways(interaction, env, ctx) {
+	// Check permissions first
+	if (!hasGiveawayPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("list giveaways"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const giveaways = await getGiveaways(env, interaction.guild_id);
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [buildGiveawayListEmbed(giveaways)],
+				flags: 64,
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the /giveaway info subcommand.
+ */
+async function handleGiveawayInfo(interaction, env, ctx) {
+	// Check permissions first
+	if (!hasGiveawayPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("view giveaway details"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const options = interaction.data.options[0].options;
+			const giveawayId = options.find((opt) => opt.name === "id")?.value;
+
+			const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
+			if (!giveaway) {
+				await editInteractionResponse(interaction, env, {
+					content: "Giveaway not found!",
+					flags: 64,
+				});
+				return;
+			}
+
+			const entries = await getGiveawayEntries(giveawayId, env);
+			const winners = await getGiveawayWinners(giveawayId, env);
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [buildGiveawayInfoEmbed(giveaway, entries, winners)],
+				flags: 64,
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the /giveaway edit subcommand.
+ */
+async function handleEditGiveaway(interaction, env, ctx) {
+	// Check permissions first
+	if (!hasGiveawayPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("edit giveaways"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const options = interaction.data.options[0].options;
+	const giveawayId = options.find((opt) => opt.name === "id")?.value;
+	const title = options.find((opt) => opt.name === "title")?.value;
+	const prize = options.find((opt) => opt.name === "prize")?.value;
+	const duration = options.find((opt) => opt.name === "duration")?.value;
+	const winners = options.find((opt) => opt.name === "winners")?.value;
+
+	const changes = {};
+	if (title) changes.title = title;
+	if (prize) changes.prize = prize;
+	if (duration) {
+		changes.endTime = new Date(Date.now() + duration * 60 * 1000).toISOString();
+	}
+	if (winners) changes.winnersCount = winners;
+
+	if (Object.keys(changes).length === 0) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: {
+					content:
+						"❌ Nothing to change. Set at least one of `title`, `prize`, `duration` or `winners`.",
+					flags: 64,
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
+			if (!giveaway) {
+				await editInteractionResponse(interaction, env, {
+					content: "Giveaway not found!",
+					flags: 64,
+				});
+				return;
+			}
+
+			// The text of a coin or role prize has to match what is paid out
+			if (changes.prize && giveaway.prizeType) {
+				await editInteractionResponse(interaction, env, {
+					content:
+						"❌ This giveaway pays its prize automatically, so `prize` can't be edited. Cancel it and create a new one to change the prize.",
+					flags: 64,
+				});
+				return;
+			}
+
+			if (!(await updateGiveaway(giveawayId, changes, env))) {
+				await editInteractionResponse(interaction, env, {
+					content: "Only active giveaways can be edited.",
+					flags: 64,
+				});
+				return;
+			}
+
+			const updated = { ...giveaway, ...changes };
+			const postUpdated = await refreshActiveGiveawayPost(giveawayId, env);
+
+			const lines = [];
+			if (changes.title) lines.push(`**Title:** ${changes.title}`);
+			if (changes.prize) lines.push(`**Prize:** ${changes.prize}`);
+			if (changes.endTime) {
+				lines.push(
+					`**Ends:** <t:${Math.floor(
+						new Date(changes.endTime).getTime() / 1000
+					)}:R>`
+				);
+			}
+			if (changes.winnersCount)
+				lines.push(`**Winners:** ${changes.winnersCount}`);
+			if (!postUpdated) {
+				lines.push(
+					"\n⚠️ Couldn't update the giveaway post, so it still shows the old details."
+				);
+			}
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [
+					{
+						title: `✏️ Giveaway Updated: ${updated.title}`,
+						description: lines.join("\n"),
+						color: 0x4caf50,
+						footer: { text: `Giveaway ID: ${giveaway.id}` },
+						timestamp: new Date().toISOString(),
+					},
+				],
+				flags: 64,
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the /giveaway participants subcommand.
+ */
+async function handleGiveawayParticipants(interaction, env, ctx) {
+	// Check permissions first
+	if (!hasGiveawayPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("view giveaway participants"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			const options = interaction.data.options[0].options;
+			const giveawayId = options.find((opt) => opt.name === "id")?.value;
+
+			const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
+			if (!giveaway) {
+				await editInteractionResponse(interaction, env, {
+					content: "Giveaway not found!",
+					flags: 64,
+				});
+				return;
+			}
+
+			const entries = await getGiveawayEntries(giveawayId, env);
+			const { embed, components } = buildGiveawayParticipantsMessage(
+				giveaway,
+				entries,
+				0
+			);
+
 			await editInteractionResponse(interaction, env, {
 				embeds: [embed],
+				components,
+				allowed_mentions: { parse: [] },
+				flags: 64,
 			});
 		})()
 	);
@@ -305,7 +887,54 @@ async function handleRerollGiveaway(interaction, env, ctx) {
 	return new Response(
 		JSON.stringify({
 			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
 		}),
 		{ headers: { "Content-Type": "application/json" } }
 	);
 }
+
+/**
+ * Suggests giveaways by title for the `id` option of /giveaway subcommands.
+ * Autocomplete has to answer within Discord's 3 second window, so this
+ * responds directly instead of deferring.
+ */
+export async function handleGiveawayAutocomplete(interaction, env) {
+	const subcommand = interaction.data.options?.[0];
+	const focused = subcommand?.options?.find((opt) => opt.focused);
+	const query = String(focused?.value ?? "").toLowerCase();
+
+	let choices = [];
+	if (focused?.name === "id" && hasGiveawayPermissions(interaction)) {
+		const statuses = AUTOCOMPLETE_STATUSES[subcommand.name];
+		choices = (await getGiveaways(env, interaction.guild_id))
+			.filter(
+				(giveaway) =>
+					(!statuses || statuses.includes(giveaway.status)) &&
+					(giveaway.title.toLowerCase().includes(query) ||
+						giveaway.id.includes(query))
+			)
+			.slice(0, 25) // Discord shows at most 25 choices
+			.map((giveaway) => ({
+				name: `${giveaway.title} (${giveaway.status})`.slice(0, 100),
+				value: giveaway.id,
+			}));
+	}
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+			data: { choices },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Extracts role or user IDs from an option like "<@&123> <@456>" or "123, 456".
+ * @param {string|undefined} value - The option value.
+ * @returns {Array<string>} The unique IDs.
+ */
+function parseIds(value) {
+	const ids = String(value ?? "").match(/\d{17,20}/g) || [];
+	return [...new Set(ids)];
+}
@@ -9,4 +9,12 @@ export { handleUnequipCommand } from "./unequipCommand.js";
 export { handleDailyCommand } from "./dailyCommand.js";
 export { handleLeaderboardCommand } from "./leaderboardCommand.js";
 export { handleCoinflipCommand } from "./coinflipCommand.js";
-export { handleGiveawayCommand } from "./giveawayCommand.js";
+export {
+	handleGiveawayCommand,
+	handleGiveawayAutocomplete,
+} from "./giveawayCommand.js";
+export { handleTransactionsCommand } from "./transactionsCommand.js";
+export { handlePayCommand } from "./payCommand.js";
+export { handleEcoCommand } from "./ecoCommand.js";
+export { handleShopAdminCommand } from "./shopAdminCommand.js";
+export { handleConfigCommand } from "./configCommand.js";
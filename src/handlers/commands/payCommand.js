@@ -0,0 +1,241 @@
+/**
+ * Pay Command Handler
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import { transferCurrency } from "../../services/currencyService.js";
+import { sendDirectMessage } from "../../services/discordApiService.js";
+import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	runWithUserLocks,
+	USER_BUSY_MESSAGE,
+} from "../../durableObjects/userLock.js";
+
+// Payments of at least this many coins must be confirmed with a button
+const LARGE_PAYMENT_THRESHOLD = 1000;
+
+/**
+ * Handles the /pay command.
+ */
+export async function handlePayCommand(interaction, env, ctx) {
+	const senderId = interaction.member.user.id;
+	const options = interaction.data.options || [];
+	const recipientId = options.find((opt) => opt.name === "user")?.value;
+	const amount = options.find((opt) => opt.name === "amount")?.value || 0;
+	const note = options.find((opt) => opt.name === "note")?.value || null;
+	const recipient = interaction.data.resolved?.users?.[recipientId];
+
+	let validationError = null;
+	if (!recipientId || !recipient) {
+		validationError = "Please choose a user to pay.";
+	} else if (recipientId === senderId) {
+		validationError = "You can't pay yourself!";
+	} else if (recipient.bot) {
+		validationError = "You can't pay bots.";
+	} else if (amount <= 0) {
+		validationError = "Please pay at least 1 coin!";
+	}
+
+	if (validationError) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: {
+					embeds: [
+						{
+							title: "❌ Invalid Payment",
+							description: validationError,
+							color: 0xff6b6b,
+						},
+					],
+					flags: 64,
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	// Large payments need an explicit confirmation click
+	if (amount >= LARGE_PAYMENT_THRESHOLD) {
+		const fields = [
+			{ name: "To", value: `<@${recipientId}>`, inline: true },
+			{
+				name: "Amount",
+				value: `**${amount.toLocaleString()} coins**`,
+				inline: true,
+			},
+		];
+		if (note) {
+			fields.push({ name: "Note", value: note, inline: false });
+		}
+
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: {
+					embeds: [
+						{
+							title: "⚠️ Confirm Payment",
+							description: `Are you sure you want to send **${amount.toLocaleString()} coins** to <@${recipientId}>?`,
+							color: 0xffa500, // Orange
+							fields,
+						},
+					],
+					components: [
+						{
+							type: 1,
+							components: [
+								{
+									type: 2,
+									style: 3, // Success (green)
+									label: "✅ Confirm",
+									// The transfer ID makes a repeated click a no-op
+									custom_id: `pay_confirm_${recipientId}_${amount}_${crypto.randomUUID()}`,
+								},
+								{
+									type: 2,
+									style: 2,
+									label: "Cancel",
+									custom_id: "pay_cancel",
+								},
+							],
+						},
+					],
+					flags: 64,
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(processPayment(interaction, env, recipientId, amount, note));
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Transfers the coins, shows the sender a receipt and notifies the recipient.
+ * Used by /pay directly and by the confirm button for large payments.
+ * @param {object} interaction - The interaction whose response shows the result.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {string} recipientId - The receiving user's ID.
+ * @param {number} amount - The number of coins to send.
+ * @param {string|null} note - Optional payment note.
+ * @param {string} [transferId=null] - Optional unique ID that keeps the payment from being sent twice.
+ */
+export async function processPayment(
+	interaction,
+	env,
+	recipientId,
+	amount,
+	note,
+	transferId = null
+) {
+	const senderId = interaction.member.user.id;
+	let result;
+
+	const ran = await runWithUserLocks([senderId, recipientId], env, async () => {
+		result = await transferCurrency(
+			senderId,
+			recipientId,
+			amount,
+			note,
+			env,
+			transferId
+		);
+	});
+
+	if (!ran) {
+		await editInteractionResponse(interaction, env, {
+			content: USER_BUSY_MESSAGE,
+			embeds: [],
+			components: [],
+			flags: 64,
+		});
+		return;
+	}
+
+	if (result.error === "already_sent") {
+		// A repeated confirm click; the first one already shows the receipt
+		return;
+	}
+
+	if (!result.success) {
+		await editInteractionResponse(interaction, env, {
+			embeds: [
+				{
+					title:
+						result.error === "insufficient_funds"
+							? "💸 Insufficient Funds"
+							: "❌ Payment Failed",
+					description:
+						result.error === "insufficient_funds"
+							? `You only have **${result.balance.toLocaleString()} coins** but tried to send **${amount.toLocaleString()} coins**!`
+							: "There was an error processing your payment. No coins were sent.",
+					color: 0xff6b6b,
+				},
+			],
+			components: [],
+			flags: 64,
+		});
+		return;
+	}
+
+	const notified = await sendDirectMessage(
+		recipientId,
+		{
+			embeds: [
+				{
+					title: "💰 You Received Coins!",
+					description: `<@${senderId}> sent you **${amount.toLocaleString()} coins**!${
+						note ? `\n\n**Note:** ${note}` : ""
+					}`,
+					color: 0x4caf50,
+					footer: { text: "Use /balance to check your balance" },
+					timestamp: new Date().toISOString(),
+				},
+			],
+		},
+		env
+	);
+
+	const fields = [
+		{ name: "To", value: `<@${recipientId}>`, inline: true },
+		{
+			name: "Amount",
+			value: `**${amount.toLocaleString()} coins**`,
+			inline: true,
+		},
+		{
+			name: "💳 New Balance",
+			value: `**${result.balance.toLocaleString()} coins**`,
+			inline: true,
+		},
+	];
+	if (note) {
+		fields.push({ name: "Note", value: note, inline: false });
+	}
+
+	await editInteractionResponse(interaction, env, {
+		embeds: [
+			{
+				title: "✅ Payment Sent",
+				description: `You sent **${amount.toLocaleString()} coins** to <@${recipientId}>.`,
+				color: 0x4caf50, // Green
+				fields,
+				footer: notified
+					? undefined
+					: { text: "The recipient has DMs disabled and wasn't notified." },
+				timestamp: new Date().toISOString(),
+			},
+		],
+		components: [],
+		flags: 64,
+	});
+}
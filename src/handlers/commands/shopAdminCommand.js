@@ -0,0 +1,416 @@
+/**
+ * Shop Admin Command Handler - Manage shop items from Discord
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import {
+	getItems,
+	addItem,
+	updateItem,
+	removeItem,
+	getImageUrl,
+} from "../../services/itemService.js";
+import {
+	validateShopRole,
+	checkShopItems,
+} from "../../services/roleValidationService.js";
+import { recordAuditLog } from "../../services/auditService.js";
+import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	hasShopPermissions,
+	createPermissionDeniedResponse,
+} from "../../utils/permissions.js";
+
+/**
+ * Handles the /shopadmin command with subcommands.
+ */
+export async function handleShopAdminCommand(interaction, env, ctx) {
+	if (!hasShopPermissions(interaction)) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: createPermissionDeniedResponse("manage the shop"),
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const subcommand = interaction.data.options?.[0]?.name;
+	const handlers = {
+		add: handleAddItem,
+		edit: handleEditItem,
+		remove: handleRemoveItem,
+		list: handleListItems,
+		check: handleCheckItems,
+	};
+
+	if (!handlers[subcommand]) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: {
+					content: "Unknown shopadmin subcommand.",
+					flags: 64,
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(handlers[subcommand](interaction, env));
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles /shopadmin add.
+ */
+async function handleAddItem(interaction, env) {
+	const options = getSubcommandOptions(interaction);
+	const roleId = options.role;
+	const adminId = interaction.member.user.id;
+
+	const items = await getItems(env, true);
+	if (items.some((item) => item.role_id === roleId)) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			`<@&${roleId}> is already in the shop. Use \`/shopadmin edit\` to change it.`
+		);
+		return;
+	}
+
+	const imageError = await checkImage(options.image);
+	if (imageError) {
+		await sendResult(interaction, env, false, imageError);
+		return;
+	}
+
+	const validation = await validateShopRole(roleId, interaction.guild_id, env);
+	if (!validation.valid) {
+		await sendResult(interaction, env, false, validation.reason);
+		return;
+	}
+
+	const item = {
+		name:
+			options.name ||
+			interaction.data.resolved?.roles?.[roleId]?.name ||
+			"Unnamed Item",
+		price: options.price,
+		role_id: roleId,
+		image_filename: options.image || null,
+		description: options.description || null,
+	};
+
+	if (!(await addItem(item, env))) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			"There was an error saving the item. Please try again."
+		);
+		return;
+	}
+
+	await recordAuditLog(
+		adminId,
+		"shop_add",
+		roleId,
+		`${item.name} for ${item.price} coins`,
+		null,
+		env
+	);
+	await sendResult(
+		interaction,
+		env,
+		true,
+		`Added **${
+			item.name
+		}** (<@&${roleId}>) to the shop for **${item.price.toLocaleString()} coins**.`
+	);
+}
+
+/**
+ * Handles /shopadmin edit.
+ */
+async function handleEditItem(interaction, env) {
+	const options = getSubcommandOptions(interaction);
+	const roleId = options.role;
+	const adminId = interaction.member.user.id;
+
+	const items = await getItems(env, true);
+	const item = items.find((i) => i.role_id === roleId);
+	if (!item) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			`<@&${roleId}> is not in the shop. Use \`/shopadmin add\` first.`
+		);
+		return;
+	}
+
+	const changes = {};
+	if (options.name !== undefined) {
+		changes.name = options.name;
+	}
+	if (options.price !== undefined) {
+		changes.price = options.price;
+	}
+	if (options.description !== undefined) {
+		changes.description = options.description;
+	}
+	if (options.image !== undefined) {
+		changes.image_filename = options.image;
+	}
+	if (options.enabled !== undefined) {
+		changes.disabled = !options.enabled;
+	}
+
+	if (Object.keys(changes).length === 0) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			"Nothing to change. Pick at least one option to edit."
+		);
+		return;
+	}
+
+	const imageError = await checkImage(options.image);
+	if (imageError) {
+		await sendResult(interaction, env, false, imageError);
+		return;
+	}
+
+	// Re-check the role before putting a disabled item back on sale
+	if (item.disabled && changes.disabled === false) {
+		const validation = await validateShopRole(
+			roleId,
+			interaction.guild_id,
+			env
+		);
+		if (!validation.valid) {
+			await sendResult(interaction, env, false, validation.reason);
+			return;
+		}
+	}
+
+	if (!(await updateItem(roleId, changes, env))) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			"There was an error updating the item. Please try again."
+		);
+		return;
+	}
+
+	const summary = Object.entries(changes)
+		.map(([field, value]) =>
+			field === "disabled"
+				? value
+					? "disabled"
+					: "enabled"
+				: `${field}: ${value}`
+		)
+		.join(", ");
+
+	await recordAuditLog(adminId, "shop_edit", roleId, summary, null, env);
+	await sendResult(
+		interaction,
+		env,
+		true,
+		`Updated **${item.name}** (<@&${roleId}>): ${summary}`
+	);
+}
+
+/**
+ * Handles /shopadmin remove.
+ */
+async function handleRemoveItem(interaction, env) {
+	const options = getSubcommandOptions(interaction);
+	const roleId = options.role;
+	const adminId = interaction.member.user.id;
+
+	const items = await getItems(env, true);
+	const item = items.find((i) => i.role_id === roleId);
+	if (!item) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			`<@&${roleId}> is not in the shop.`
+		);
+		return;
+	}
+
+	if (!(await removeItem(roleId, env))) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			"There was an error removing the item. Please try again."
+		);
+		return;
+	}
+
+	await recordAuditLog(adminId, "shop_remove", roleId, item.name, null, env);
+	await sendResult(
+		interaction,
+		env,
+		true,
+		`Removed **${item.name}** (<@&${roleId}>) from the shop. Members who bought it can no longer equip it through the bot; use \`/shopadmin edit enabled:False\` instead to only stop new sales.`
+	);
+}
+
+/**
+ * Handles /shopadmin list.
+ */
+async function handleListItems(interaction, env) {
+	const items = await getItems(env, true);
+
+	if (items.length === 0) {
+		await editInteractionResponse(interaction, env, {
+			content: "The shop is empty. Use `/shopadmin add` to add a role.",
+			flags: 64,
+		});
+		return;
+	}
+
+	const lines = items.map(
+		(item) =>
+			`${item.disabled ? "🚫" : "✅"} **${item.name}** - <@&${
+				item.role_id
+			}> - ${item.price.toLocaleString()} coins`
+	);
+
+	let description = lines.join("\n");
+	if (description.length > 4000) {
+		description = description.substring(0, 3997) + "...";
+	}
+
+	await editInteractionResponse(interaction, env, {
+		embeds: [
+			{
+				title: "🛠️ Shop Items",
+				description,
+				color: 0x3498db, // Blue
+				footer: {
+					text: `${items.length} item${
+						items.length === 1 ? "" : "s"
+					} • 🚫 = disabled`,
+				},
+			},
+		],
+		flags: 64,
+	});
+}
+
+/**
+ * Handles /shopadmin check: reports every enabled item the bot can't assign.
+ */
+async function handleCheckItems(interaction, env) {
+	const items = await checkShopItems(
+		await getItems(env),
+		interaction.guild_id,
+		env,
+		false
+	);
+	const problems = items.filter((item) => item.unavailable_reason);
+
+	if (items.some((item) => !item.role_checked)) {
+		await sendResult(
+			interaction,
+			env,
+			false,
+			"Couldn't load the server's roles from Discord. Please try again."
+		);
+		return;
+	}
+
+	if (problems.length === 0) {
+		await sendResult(
+			interaction,
+			env,
+			true,
+			`All ${items.length} enabled item${
+				items.length === 1 ? "" : "s"
+			} can be sold.`
+		);
+		return;
+	}
+
+	let description = problems
+		.map(
+			(item) =>
+				`⚠️ **${item.name}** (<@&${item.role_id}>): ${item.unavailable_reason}`
+		)
+		.join("\n");
+	if (description.length > 4000) {
+		description = description.substring(0, 3997) + "...";
+	}
+
+	await editInteractionResponse(interaction, env, {
+		embeds: [
+			{
+				title: "⚠️ Shop Role Problems",
+				description,
+				color: 0xffa500, // Orange
+				footer: {
+					text: "These items are shown as unavailable in /shop until fixed.",
+				},
+			},
+		],
+		flags: 64,
+	});
+}
+
+/**
+ * Reads the current subcommand's options into an object keyed by option name.
+ * @param {object} interaction - The interaction object from Discord.
+ * @returns {object} The option values.
+ */
+function getSubcommandOptions(interaction) {
+	const options = interaction.data.options[0].options || [];
+	return Object.fromEntries(options.map((opt) => [opt.name, opt.value]));
+}
+
+/**
+ * Checks that an image option is a URL or Google Drive file ID the shop can display.
+ * @param {string|undefined} image - The image option value.
+ * @returns {Promise<string|null>} An error message, or null if the image is usable.
+ */
+async function checkImage(image) {
+	if (!image) return null;
+	if (await getImageUrl(image)) return null;
+	return "The image must be a direct image URL (e.g. a Discord CDN link) or a Google Drive file ID.";
+}
+
+/**
+ * Shows the result of a /shopadmin action.
+ * @param {object} interaction - The interaction object from Discord.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {boolean} success - Whether the action succeeded.
+ * @param {string} description - The message to show.
+ */
+async function sendResult(interaction, env, success, description) {
+	await editInteractionResponse(interaction, env, {
+		embeds: [
+			{
+				title: success ? "✅ Shop Updated" : "❌ Shop Not Updated",
+				description,
+				color: success ? 0x4caf50 : 0xff6b6b,
+			},
+		],
+		flags: 64,
+	});
+}
@@ -5,8 +5,10 @@
 import { InteractionResponseType } from "discord-interactions";
 import { getCurrency } from "../../services/currencyService.js";
 import { getItems } from "../../services/itemService.js";
+import { checkShopItems } from "../../services/roleValidationService.js";
 import { buildShopMessage } from "../../ui/shopBuilder.js";
 import { editInteractionResponse } from "../../utils/discordUtils.js";
+import { hasShopPermissions } from "../../utils/permissions.js";
 
 /**
  * Handles the /shop command.
@@ -16,7 +18,11 @@ export async function handleShopCommand(interaction, env, ctx) {
 	ctx.waitUntil(
 		(async () => {
 			const userId = interaction.member.user.id;
-			const items = await getItems(env);
+			const items = await checkShopItems(
+				await getItems(env),
+				interaction.guild_id,
+				env
+			);
 
 			if (!items || items.length === 0) {
 				await editInteractionResponse(interaction, env, {
@@ -30,6 +36,20 @@ export async function handleShopCommand(interaction, env, ctx) {
 			// Start with summary page (page -1)
 			const { embed, components } = await buildShopMessage(items, balance, -1);
 
+			// Let admins know when some roles can't be handed out
+			const unavailableCount = items.filter(
+				(item) => item.unavailable_reason
+			).length;
+			if (unavailableCount > 0 && hasShopPermissions(interaction)) {
+				embed.fields.push({
+					name: "⚠️ Admin Notice",
+					value: `${unavailableCount} item${
+						unavailableCount === 1 ? " is" : "s are"
+					} unavailable because the bot can't assign the role. Run \`/shopadmin check\` for details.`,
+					inline: false,
+				});
+			}
+
 			await editInteractionResponse(interaction, env, {
 				embeds: [embed],
 				components: components,
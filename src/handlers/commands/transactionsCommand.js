@@ -0,0 +1,35 @@
+/**
+ * Transactions Command Handler
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import { getTransactions } from "../../services/currencyService.js";
+import { buildTransactionsMessage } from "../../ui/transactionsBuilder.js";
+import { editInteractionResponse } from "../../utils/discordUtils.js";
+
+/**
+ * Handles the /transactions command.
+ */
+export async function handleTransactionsCommand(interaction, env, ctx) {
+	ctx.waitUntil(
+		(async () => {
+			const userId = interaction.member.user.id;
+			const transactions = await getTransactions(userId, env);
+			const { embed, components } = buildTransactionsMessage(transactions, 0);
+
+			await editInteractionResponse(interaction, env, {
+				embeds: [embed],
+				components: components,
+				flags: 64, // Ephemeral
+			});
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+			data: { flags: 64 },
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
@@ -9,8 +9,16 @@ import {
 	handlePageTurn,
 	handleSummaryPage,
 	handleViewDetails,
+	handleTransactionsPageTurn,
+	handlePayConfirm,
+	handlePayCancel,
+	handleGiveawayParticipantsPageTurn,
 } from "./components/index.js";
-import { handleGiveawayEnter } from "./components/giveawayButton.js";
+import {
+	handleGiveawayEnter,
+	handleGiveawayLeave,
+	handleGiveawayBuyTicket,
+} from "./components/giveawayButton.js";
 
 /**
  * Handles incoming button clicks and component interactions from Discord.
@@ -36,8 +44,26 @@ export async function handleMessageComponent(interaction, env, ctx) {
 		return await handleSummaryPage(interaction, env);
 	} else if (customId.startsWith("view_details_")) {
 		return await handleViewDetails(interaction, env);
+	} else if (
+		customId.startsWith("tx_prev_page_") ||
+		customId.startsWith("tx_next_page_")
+	) {
+		return await handleTransactionsPageTurn(interaction, env);
+	} else if (customId.startsWith("pay_confirm_")) {
+		return await handlePayConfirm(interaction, env, ctx);
+	} else if (customId === "pay_cancel") {
+		return await handlePayCancel(interaction, env);
 	} else if (customId.startsWith("giveaway_enter_")) {
 		return await handleGiveawayEnter(interaction, env, ctx);
+	} else if (customId.startsWith("giveaway_leave_")) {
+		return await handleGiveawayLeave(interaction, env, ctx);
+	} else if (customId.startsWith("giveaway_buy_")) {
+		return await handleGiveawayBuyTicket(interaction, env, ctx);
+	} else if (
+		customId.startsWith("gw_participants_prev_") ||
+		customId.startsWith("gw_participants_next_")
+	) {
+		return await handleGiveawayParticipantsPageTurn(interaction, env);
 	} else {
 		console.error(`Unknown component custom_id: ${customId}`);
 		return new Response(`Unknown component: ${customId}`, { status: 400 });
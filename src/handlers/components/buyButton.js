@@ -3,13 +3,21 @@
  */
 
 import { InteractionResponseType } from "discord-interactions";
-import { getCurrency, updateCurrency } from "../../services/currencyService.js";
+import {
+	creditCurrency,
+	debitCurrency,
+} from "../../services/currencyService.js";
 import { getItems } from "../../services/itemService.js";
+import { checkShopItems } from "../../services/roleValidationService.js";
 import {
 	getUnlockedRoles,
 	addUnlockedRole,
 } from "../../services/userRoleService.js";
 import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	runWithUserLock,
+	USER_BUSY_MESSAGE,
+} from "../../durableObjects/userLock.js";
 
 /**
  * Handles the "Buy" button click.
@@ -29,67 +37,99 @@ export async function handleBuyButton(interaction, env, ctx) {
 
 	ctx.waitUntil(
 		(async () => {
-			const items = await getItems(env);
-			const itemToBuy = items.find((item) => item.role_id === roleIdToBuy);
+			const ran = await runWithUserLock(userId, env, async () => {
+				const items = await getItems(env);
+				const itemToBuy = items.find((item) => item.role_id === roleIdToBuy);
 
-			if (!itemToBuy) {
-				await editInteractionResponse(interaction, env, {
-					content: "This item is no longer available.",
-					flags: 64,
-				});
-				return;
-			}
+				if (!itemToBuy) {
+					await editInteractionResponse(interaction, env, {
+						content: "This item is no longer available.",
+						flags: 64,
+					});
+					return;
+				}
 
-			// Check if user already owns the role
-			const unlockedRoles = await getUnlockedRoles(userId, env);
-			if (unlockedRoles.includes(roleIdToBuy)) {
-				await editInteractionResponse(interaction, env, {
-					content: "You already own this item.",
-					flags: 64,
-				});
-				return;
-			}
+				// Don't take coins for a role the bot can't assign
+				const [checkedItem] = await checkShopItems(
+					[itemToBuy],
+					interaction.guild_id,
+					env
+				);
+				if (checkedItem.unavailable_reason) {
+					console.error(
+						`Refusing to sell role ${roleIdToBuy}: ${checkedItem.unavailable_reason}`
+					);
+					await editInteractionResponse(interaction, env, {
+						content:
+							"This role can't be handed out right now, so it isn't for sale. Please let a server admin know.",
+						flags: 64,
+					});
+					return;
+				}
 
-			const currentBalance = await getCurrency(userId, env);
+				// Check if user already owns the role
+				const unlockedRoles = await getUnlockedRoles(userId, env);
+				if (unlockedRoles.includes(roleIdToBuy)) {
+					await editInteractionResponse(interaction, env, {
+						content: "You already own this item.",
+						flags: 64,
+					});
+					return;
+				}
 
-			if (currentBalance < itemToBuy.price) {
-				await editInteractionResponse(interaction, env, {
-					content: "You do not have enough coins to purchase this item.",
-					flags: 64,
-				});
-				return;
-			}
+				// The debit fails instead of going negative, so a stale balance can't overspend
+				const debit = await debitCurrency(
+					userId,
+					itemToBuy.price,
+					"shop_purchase",
+					env,
+					itemToBuy.role_id
+				);
+				if (!debit.success) {
+					await editInteractionResponse(interaction, env, {
+						content:
+							debit.error === "insufficient_funds"
+								? "You do not have enough coins to purchase this item."
+								: "There was an error updating your balance. Purchase failed.",
+						flags: 64,
+					});
+					return;
+				}
+
+				const roleUnlocked = await addUnlockedRole(
+					userId,
+					itemToBuy.role_id,
+					env
+				);
+				if (!roleUnlocked) {
+					// Attempt to refund user if unlocking fails
+					await creditCurrency(
+						userId,
+						itemToBuy.price,
+						"shop_refund",
+						env,
+						itemToBuy.role_id
+					);
+					await editInteractionResponse(interaction, env, {
+						content:
+							"There was an error saving your purchase. Your coins have been refunded.",
+						flags: 64,
+					});
+					return;
+				}
 
-			const newBalance = currentBalance - itemToBuy.price;
-			const currencyUpdated = await updateCurrency(userId, newBalance, env);
-			if (!currencyUpdated) {
 				await editInteractionResponse(interaction, env, {
-					content: "There was an error updating your balance. Purchase failed.",
+					content: `You have successfully purchased the **${itemToBuy.name}** role! Use the \`/equip\` command to apply it.`,
 					flags: 64,
 				});
-				return;
-			}
+			});
 
-			const roleUnlocked = await addUnlockedRole(
-				userId,
-				itemToBuy.role_id,
-				env
-			);
-			if (!roleUnlocked) {
-				// Attempt to refund user if unlocking fails
-				await updateCurrency(userId, currentBalance, env);
+			if (!ran) {
 				await editInteractionResponse(interaction, env, {
-					content:
-						"There was an error saving your purchase. Your coins have been refunded.",
+					content: USER_BUSY_MESSAGE,
 					flags: 64,
 				});
-				return;
 			}
-
-			await editInteractionResponse(interaction, env, {
-				content: `You have successfully purchased the **${itemToBuy.name}** role! Use the \`/equip\` command to apply it.`,
-				flags: 64,
-			});
 		})()
 	);
 
@@ -37,7 +37,7 @@ export async function handleEquipSelect(interaction, env, ctx) {
 					currentEquippedRoles
 				);
 
-				const allItems = await getItems(env);
+				const allItems = await getItems(env, true);
 				const successfullyEquipped = [];
 				const failedToEquip = [];
 				const alreadyEquipped = [];
@@ -3,7 +3,26 @@
  */
 
 import { InteractionResponseType } from "discord-interactions";
-import { joinGiveaway, hasUserJoined } from "../../services/giveawayService.js";
+import {
+	joinGiveaway,
+	hasUserJoined,
+	getGiveaway,
+	getUnmetRequirement,
+	addGiveawayTicket,
+	getUserTickets,
+	leaveGiveaway,
+} from "../../services/giveawayService.js";
+import {
+	getCurrency,
+	creditCurrency,
+	debitCurrency,
+} from "../../services/currencyService.js";
+import { refreshActiveGiveawayPost } from "../../services/giveawayPostService.js";
+import { editInteractionResponse } from "../../utils/discordUtils.js";
+import {
+	runWithUserLock,
+	USER_BUSY_MESSAGE,
+} from "../../durableObjects/userLock.js";
 
 /**
  * Handles giveaway enter button clicks.
@@ -23,6 +42,28 @@ export async function handleGiveawayEnter(interaction, env, ctx) {
 
 	const userId = interaction.member.user.id;
 
+	const giveaway = await getGiveaway(giveawayId, env);
+	if (
+		!giveaway ||
+		giveaway.status !== "active" ||
+		new Date(giveaway.endTime) <= new Date()
+	) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: {
+					content: "This giveaway has already ended.",
+					flags: 64, // Ephemeral
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	if (giveaway.entryCost > 0) {
+		return handlePaidEntry(interaction, env, ctx, giveaway);
+	}
+
 	// Check if user already joined
 	const alreadyJoined = await hasUserJoined(giveawayId, userId, env);
 
@@ -32,6 +73,27 @@ export async function handleGiveawayEnter(interaction, env, ctx) {
 				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
 				data: {
 					content: "You have already entered this giveaway!",
+					components: [buildLeaveButtonRow(giveawayId)],
+					flags: 64, // Ephemeral
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	const balance =
+		giveaway.requirements.minBalance > 0 ? await getCurrency(userId, env) : 0;
+	const unmetRequirement = getUnmetRequirement(
+		giveaway,
+		interaction.member,
+		balance
+	);
+	if (unmetRequirement) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+				data: {
+					embeds: [buildUnmetRequirementEmbed(unmetRequirement)],
 					flags: 64, // Ephemeral
 				},
 			}),
@@ -44,6 +106,9 @@ export async function handleGiveawayEnter(interaction, env, ctx) {
 	if (joined) {
 		console.log(`User ${userId} joined giveaway ${giveawayId}: ${joined}`);
 
+		// Refresh the participant count on the giveaway post
+		ctx.waitUntil(refreshActiveGiveawayPost(giveawayId, env));
+
 		return new Response(
 			JSON.stringify({
 				type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -67,3 +132,256 @@ export async function handleGiveawayEnter(interaction, env, ctx) {
 		);
 	}
 }
+
+/**
+ * Sells one ticket for a paid giveaway. Runs under the user's lock so the
+ * ticket cap can't be exceeded by double-clicking, and checks the entry
+ * requirements there against the balance before the ticket is paid for.
+ * A user who already holds a ticket is first asked whether to buy another or
+ * leave, instead of being charged straight away.
+ * @param {boolean} [fromChoice=false] - Whether this is the "Buy Another Ticket" button, which edits that message in place.
+ */
+function handlePaidEntry(interaction, env, ctx, giveaway, fromChoice = false) {
+	const userId = interaction.member.user.id;
+
+	ctx.waitUntil(
+		(async () => {
+			let content;
+			let components = [];
+			let embeds = [];
+			let bought = false;
+
+			const ran = await runWithUserLock(userId, env, async () => {
+				const balance = await getCurrency(userId, env);
+				const unmetRequirement = getUnmetRequirement(
+					giveaway,
+					interaction.member,
+					balance
+				);
+				if (unmetRequirement) {
+					embeds = [buildUnmetRequirementEmbed(unmetRequirement)];
+					return;
+				}
+
+				const tickets = await getUserTickets(giveaway.id, userId, env);
+				if (tickets >= giveaway.maxTickets) {
+					content = `You already have the maximum of **${
+						giveaway.maxTickets
+					}** ticket${
+						giveaway.maxTickets === 1 ? "" : "s"
+					} for this giveaway! Leaving refunds every ticket.`;
+					components = [buildLeaveButtonRow(giveaway.id)];
+					return;
+				}
+
+				if (tickets > 0 && !fromChoice) {
+					content = `You have **${tickets}/${
+						giveaway.maxTickets
+					}** tickets for this giveaway. Buy another for **${giveaway.entryCost.toLocaleString()} coins**, or leave to get every ticket refunded.`;
+					components = [buildLeaveButtonRow(giveaway.id, true)];
+					return;
+				}
+
+				const debit = await debitCurrency(
+					userId,
+					giveaway.entryCost,
+					"giveaway_entry",
+					env,
+					giveaway.id
+				);
+				if (!debit.success) {
+					content =
+						debit.error === "insufficient_funds"
+							? `A ticket costs **${giveaway.entryCost.toLocaleString()} coins** but you only have **${debit.balance.toLocaleString()} coins**.`
+							: "❌ Failed to enter the giveaway. Please try again later.";
+					return;
+				}
+
+				const ticketCount = await addGiveawayTicket(
+					giveaway.id,
+					userId,
+					giveaway.entryCost,
+					env
+				);
+				if (ticketCount === null) {
+					await creditCurrency(
+						userId,
+						giveaway.entryCost,
+						"giveaway_refund",
+						env,
+						giveaway.id
+					);
+					content =
+						"❌ Failed to save your ticket. Your coins have been refunded.";
+					return;
+				}
+
+				content = `🎟️ You bought a ticket! You now have **${ticketCount}/${
+					giveaway.maxTickets
+				}** ticket${
+					giveaway.maxTickets === 1 ? "" : "s"
+				}. Good luck!\n💳 New balance: **${debit.balance.toLocaleString()} coins**`;
+				components = [
+					buildLeaveButtonRow(giveaway.id, ticketCount < giveaway.maxTickets),
+				];
+				bought = true;
+			});
+
+			await editInteractionResponse(interaction, env, {
+				content: ran ? content : USER_BUSY_MESSAGE,
+				embeds: ran ? embeds : [],
+				components: ran ? components : [],
+				flags: 64,
+			});
+
+			if (bought) {
+				await refreshActiveGiveawayPost(giveaway.id, env);
+			}
+		})()
+	);
+
+	return new Response(
+		JSON.stringify(
+			fromChoice
+				? { type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE }
+				: {
+						type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+						data: { flags: 64 },
+				  }
+		),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the "Buy Another Ticket" button offered to users who already hold a
+ * ticket for a paid giveaway.
+ */
+export async function handleGiveawayBuyTicket(interaction, env, ctx) {
+	// Custom ID format: giveaway_buy_{giveawayId}
+	const giveawayId = interaction.data.custom_id.split("_")[2];
+
+	const giveaway = await getGiveaway(giveawayId, env);
+	if (
+		!giveaway ||
+		giveaway.status !== "active" ||
+		new Date(giveaway.endTime) <= new Date()
+	) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.UPDATE_MESSAGE,
+				data: {
+					content: "This giveaway has already ended.",
+					components: [],
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	return handlePaidEntry(interaction, env, ctx, giveaway, true);
+}
+
+/**
+ * Handles the Leave button offered to users who already entered a giveaway.
+ * Runs under the user's lock so leaving can't interleave with buying a ticket.
+ */
+export async function handleGiveawayLeave(interaction, env, ctx) {
+	// Custom ID format: giveaway_leave_{giveawayId}
+	const giveawayId = interaction.data.custom_id.split("_")[2];
+	const userId = interaction.member.user.id;
+
+	const giveaway = await getGiveaway(giveawayId, env);
+	if (
+		!giveaway ||
+		giveaway.status !== "active" ||
+		new Date(giveaway.endTime) <= new Date()
+	) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.UPDATE_MESSAGE,
+				data: {
+					content: "This giveaway is no longer running, so you can't leave it.",
+					components: [],
+				},
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	ctx.waitUntil(
+		(async () => {
+			let result;
+			const ran = await runWithUserLock(userId, env, async () => {
+				result = await leaveGiveaway(giveawayId, userId, env);
+			});
+
+			let content;
+			if (!ran) {
+				content = USER_BUSY_MESSAGE;
+			} else if (!result.left) {
+				content = "You're not entered in this giveaway.";
+			} else if (result.refundFailed) {
+				content =
+					"👋 You left the giveaway, but your ticket refund failed. Please contact an admin.";
+			} else if (result.refunded > 0) {
+				content = `👋 You left the giveaway and got **${result.refunded.toLocaleString()} coins** back.`;
+			} else {
+				content = "👋 You left the giveaway.";
+			}
+
+			await editInteractionResponse(interaction, env, {
+				content,
+				components: [],
+			});
+
+			if (ran && result.left) {
+				await refreshActiveGiveawayPost(giveaway.id, env);
+			}
+		})()
+	);
+
+	return new Response(
+		JSON.stringify({ type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE }),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Builds the embed telling a user why they can't enter a giveaway.
+ * @param {string} unmetRequirement - The requirement the user doesn't meet.
+ * @returns {object} The embed.
+ */
+function buildUnmetRequirementEmbed(unmetRequirement) {
+	return {
+		title: "🚫 You Can't Enter This Giveaway",
+		description: unmetRequirement,
+		color: 0xff6b6b,
+	};
+}
+
+/**
+ * Builds the action row holding a giveaway's Leave button.
+ * @param {string} giveawayId - The giveaway ID.
+ * @param {boolean} [canBuyMore=false] - Also offer a button to buy another ticket.
+ * @returns {object} The action row.
+ */
+function buildLeaveButtonRow(giveawayId, canBuyMore = false) {
+	const buttons = [
+		{
+			type: 2,
+			style: 4, // Danger
+			label: "Leave Giveaway",
+			custom_id: `giveaway_leave_${giveawayId}`,
+		},
+	];
+	if (canBuyMore) {
+		buttons.unshift({
+			type: 2,
+			style: 1, // Primary
+			label: "Buy Another Ticket",
+			custom_id: `giveaway_buy_${giveawayId}`,
+		});
+	}
+	return { type: 1, components: buttons };
+}
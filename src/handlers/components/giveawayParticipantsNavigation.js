@@ -0,0 +1,50 @@
+/**
+ * Giveaway Participants Navigation Component Handler
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import {
+	getGiveaway,
+	getGiveawayEntries,
+} from "../../services/giveawayService.js";
+import { buildGiveawayParticipantsMessage } from "../../ui/giveawayBuilder.js";
+
+/**
+ * Handles the "Previous" and "Next" page buttons in /giveaway participants.
+ */
+export async function handleGiveawayParticipantsPageTurn(interaction, env) {
+	const customId = interaction.data.custom_id;
+	// Custom ID format: gw_participants_{prev|next}_{giveawayId}_{page}
+	const [, , action, giveawayId, page] = customId.split("_");
+	const newPage = parseInt(page, 10) + (action === "next" ? 1 : -1);
+
+	const giveaway = await getGiveaway(giveawayId, env, interaction.guild_id);
+	if (!giveaway) {
+		return new Response(
+			JSON.stringify({
+				type: InteractionResponseType.UPDATE_MESSAGE,
+				data: { content: "Giveaway not found!", embeds: [], components: [] },
+			}),
+			{ headers: { "Content-Type": "application/json" } }
+		);
+	}
+
+	// Refetch in case people entered since the last page
+	const entries = await getGiveawayEntries(giveawayId, env);
+	const { embed, components } = buildGiveawayParticipantsMessage(
+		giveaway,
+		entries,
+		newPage
+	);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.UPDATE_MESSAGE,
+			data: {
+				embeds: [embed],
+				components: components,
+			},
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
@@ -10,3 +10,6 @@ export {
 	handleSummaryPage,
 	handleViewDetails,
 } from "./shopNavigation.js";
+export { handleTransactionsPageTurn } from "./transactionsNavigation.js";
+export { handlePayConfirm, handlePayCancel } from "./payButtons.js";
+export { handleGiveawayParticipantsPageTurn } from "./giveawayParticipantsNavigation.js";
@@ -0,0 +1,48 @@
+/**
+ * Pay Confirmation Component Handlers
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import { processPayment } from "../commands/payCommand.js";
+
+/**
+ * Handles the "Confirm" button on a large /pay confirmation.
+ */
+export async function handlePayConfirm(interaction, env, ctx) {
+	// custom_id format: pay_confirm_<recipientId>_<amount>_<transferId>
+	const [, , recipientId, amountText, transferId] =
+		interaction.data.custom_id.split("_");
+	const amount = parseInt(amountText, 10);
+
+	// The note isn't in the custom_id, so read it back from the confirmation embed
+	const noteField = interaction.message?.embeds?.[0]?.fields?.find(
+		(field) => field.name === "Note"
+	);
+	const note = noteField ? noteField.value : null;
+
+	ctx.waitUntil(
+		processPayment(interaction, env, recipientId, amount, note, transferId)
+	);
+
+	return new Response(
+		JSON.stringify({ type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE }),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
+
+/**
+ * Handles the "Cancel" button on a large /pay confirmation.
+ */
+export async function handlePayCancel(interaction, env) {
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.UPDATE_MESSAGE,
+			data: {
+				content: "Payment cancelled. No coins were sent.",
+				embeds: [],
+				components: [],
+			},
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
@@ -5,6 +5,7 @@
 import { InteractionResponseType } from "discord-interactions";
 import { getCurrency } from "../../services/currencyService.js";
 import { getItems } from "../../services/itemService.js";
+import { checkShopItems } from "../../services/roleValidationService.js";
 import { buildShopMessage } from "../../ui/shopBuilder.js";
 
 /**
@@ -16,7 +17,11 @@ export async function handlePageTurn(interaction, env) {
 	const direction = customId.includes("next") ? 1 : -1;
 	const newPage = currentPage + direction;
 
-	const items = await getItems(env);
+	const items = await checkShopItems(
+		await getItems(env),
+		interaction.guild_id,
+		env
+	);
 	const balance = await getCurrency(interaction.member.user.id, env); // Refetch balance in case it changed
 
 	const { embed, components } = await buildShopMessage(items, balance, newPage);
@@ -38,7 +43,11 @@ export async function handlePageTurn(interaction, env) {
  * Handles the "Back to Summary" button click.
  */
 export async function handleSummaryPage(interaction, env) {
-	const items = await getItems(env);
+	const items = await checkShopItems(
+		await getItems(env),
+		interaction.guild_id,
+		env
+	);
 	const balance = await getCurrency(interaction.member.user.id, env);
 
 	const { embed, components } = await buildShopMessage(items, balance, -1);
@@ -59,7 +68,11 @@ export async function handleSummaryPage(interaction, env) {
  * Handles the "View Item Details" button click.
  */
 export async function handleViewDetails(interaction, env) {
-	const items = await getItems(env);
+	const items = await checkShopItems(
+		await getItems(env),
+		interaction.guild_id,
+		env
+	);
 	const balance = await getCurrency(interaction.member.user.id, env);
 
 	// Start viewing from the first item (page 0)
@@ -0,0 +1,32 @@
+/**
+ * Transactions Navigation Component Handler
+ */
+
+import { InteractionResponseType } from "discord-interactions";
+import { getTransactions } from "../../services/currencyService.js";
+import { buildTransactionsMessage } from "../../ui/transactionsBuilder.js";
+
+/**
+ * Handles the "Previous" and "Next" page buttons in the transaction history.
+ */
+export async function handleTransactionsPageTurn(interaction, env) {
+	const customId = interaction.data.custom_id;
+	const currentPage = parseInt(customId.split("_").pop(), 10);
+	const direction = customId.includes("next") ? 1 : -1;
+	const newPage = currentPage + direction;
+
+	// Refetch in case new transactions were recorded since the last page
+	const transactions = await getTransactions(interaction.member.user.id, env);
+	const { embed, components } = buildTransactionsMessage(transactions, newPage);
+
+	return new Response(
+		JSON.stringify({
+			type: InteractionResponseType.UPDATE_MESSAGE,
+			data: {
+				embeds: [embed],
+				components: components,
+			},
+		}),
+		{ headers: { "Content-Type": "application/json" } }
+	);
+}
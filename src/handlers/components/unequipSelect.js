@@ -86,7 +86,7 @@ export async function handleUnequipSelect(interaction, env, ctx) {
 				}
 
 				// Handle individual role unequipping
-				const allItems = await getItems(env);
+				const allItems = await getItems(env, true);
 				const successfullyUnequipped = [];
 				const failedToUnequip = [];
 
@@ -0,0 +1,81 @@
+/**
+ * Scheduled Handler - Periodic jobs run by the worker's cron trigger
+ */
+
+import { getEndedGiveaways, endGiveaway } from "../services/giveawayService.js";
+import { sendChannelMessage } from "../services/discordApiService.js";
+import { updateGiveawayPost } from "../services/giveawayPostService.js";
+import {
+	deliverGiveawayPrizes,
+	retryUndeliveredPrizes,
+} from "../services/giveawayPrizeService.js";
+import { buildGiveawayResultsEmbed } from "../ui/giveawayBuilder.js";
+
+/**
+ * Handles a cron trigger.
+ * @param {object} event - The scheduled event (cron expression and time).
+ * @param {object} env - The Cloudflare Worker environment variables.
+ */
+export async function handleScheduled(event, env) {
+	console.log(`Running scheduled jobs for cron "${event.cron}"`);
+	await endExpiredGiveaways(env);
+	await retryUndeliveredPrizes(env);
+}
+
+/**
+ * Ends every active giveaway whose end time has passed (and finishes any whose
+ * ending was abandoned), delivers coin or role prizes and announces the
+ * winners in the giveaway's channel. Safe to run concurrently: endGiveaway
+ * only lets one run claim each giveaway.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ */
+async function endExpiredGiveaways(env) {
+	const giveaways = await getEndedGiveaways(env);
+
+	for (const giveaway of giveaways) {
+		const { ended, winners, participantCount, cooldownRelaxed } =
+			await endGiveaway(giveaway.id, giveaway.winnersCount, env);
+
+		if (!ended) {
+			console.log(`Giveaway ${giveaway.id} was already ended elsewhere.`);
+			continue;
+		}
+
+		console.log(
+			`Giveaway ${giveaway.id} ended automatically with ${winners.length} winner(s).`
+		);
+
+		const delivery = await deliverGiveawayPrizes(giveaway, winners, env);
+
+		await updateGiveawayPost(giveaway, env, winners);
+
+		const posted = await sendChannelMessage(
+			giveaway.channelId,
+			{
+				content:
+					winners.length > 0
+						? `🎉 Congratulations ${winners
+								.map((id) => `<@${id}>`)
+								.join(", ")}! You won **${giveaway.prize}**!`
+						: undefined,
+				embeds: [
+					buildGiveawayResultsEmbed(
+						giveaway,
+						winners,
+						participantCount,
+						delivery,
+						cooldownRelaxed
+					),
+				],
+				allowed_mentions: { users: winners },
+			},
+			env
+		);
+
+		if (!posted) {
+			console.error(
+				`Couldn't announce the results of giveaway ${giveaway.id} in channel ${giveaway.channelId}.`
+			);
+		}
+	}
+}
@@ -2,7 +2,8 @@
  * Discord Shop Bot - Cloudflare Worker Entry Point
  *
  * This is the main entry point for the Discord bot running on Cloudflare Workers.
- * It handles request verification and routes interactions to appropriate handlers.
+ * It handles request verification and routes interactions to appropriate handlers,
+ * and runs periodic jobs (ending giveaways) from the cron trigger.
  */
 
 import {
@@ -13,6 +14,11 @@ import {
 
 import { handleApplicationCommand } from "./handlers/commandHandler.js";
 import { handleMessageComponent } from "./handlers/componentHandler.js";
+import { handleAutocomplete } from "./handlers/autocompleteHandler.js";
+import { handleScheduled } from "./handlers/scheduledHandler.js";
+
+// Durable Object classes must be exported from the worker's main module
+export { UserLock } from "./durableObjects/userLock.js";
 
 export default {
 	async fetch(request, env, ctx) {
@@ -75,6 +81,10 @@ export default {
 					// This is a button click or select menu
 					return await handleMessageComponent(interaction, env, ctx);
 
+				case InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE:
+					// The user is typing an option that has autocomplete
+					return await handleAutocomplete(interaction, env);
+
 				default:
 					console.error("Unknown interaction type:", interaction.type);
 					return new Response("Unknown interaction type.", { status: 400 });
@@ -95,4 +105,8 @@ export default {
 			);
 		}
 	},
+
+	async scheduled(event, env, ctx) {
+		ctx.waitUntil(handleScheduled(event, env));
+	},
 };
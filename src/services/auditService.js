@@ -0,0 +1,42 @@
+/**
+ * Audit Service - Records administrative actions
+ */
+
+import { getStorage } from "../storage/index.js";
+
+/**
+ * Appends an entry to the audit log.
+ * @param {string} actorId - The ID of the user who performed the action.
+ * @param {string} action - What was done (e.g. "eco_give").
+ * @param {string} targetId - The ID of the user or item the action applied to.
+ * @param {string} details - Human-readable summary of the change.
+ * @param {string} reason - The reason the actor gave.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the entry was recorded, false otherwise.
+ */
+export async function recordAuditLog(
+	actorId,
+	action,
+	targetId,
+	details,
+	reason,
+	env
+) {
+	try {
+		await getStorage(env).appendRows("AuditLog", [
+			{
+				id: crypto.randomUUID(),
+				actorId,
+				action,
+				targetId,
+				details,
+				reason,
+				createdAt: new Date().toISOString(),
+			},
+		]);
+		return true;
+	} catch (e) {
+		console.error(`Error recording audit log entry (${action}):`, e);
+		return false;
+	}
+}
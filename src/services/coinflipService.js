@@ -2,134 +2,140 @@
  * Coinflip Service - Handles coinflip gambling functionality
  */
 
-import { getGoogleAuthToken } from "../utils/googleAuth.js";
+import { getStorage } from "../storage/index.js";
+import { getSettings } from "./settingsService.js";
+import { getCooldownEnd } from "../utils/cooldowns.js";
 
 /**
- * Checks if a user can use coinflip (once per day limit).
- * @param {string} userId - The Discord user's ID.
- * @param {object} env - The Cloudflare Worker environment variables.
- * @returns {Promise<boolean>} True if the user can flip, false otherwise.
+ * Gets when coinflip can be used again after a flip, following the server's
+ * reset mode (a rolling cooldown or midnight in its timezone).
+ * @param {number} lastUsageTime - When the user last flipped (milliseconds since the epoch).
+ * @param {object} settings - The server's settings (see getSettings).
+ * @returns {number} When the next flip is available.
  */
-export async function canUseCoinflip(userId, env) {
-	const sheetName = "CoinflipUsage";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
-	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		const rows = data.values || [];
+export function getCoinflipCooldownEnd(lastUsageTime, settings) {
+	return getCooldownEnd(
+		lastUsageTime,
+		settings.coinflipCooldownHours,
+		settings.coinflipResetMode,
+		settings.resetTimezone
+	);
+}
 
-		const userRow = rows.find((row) => row[0] === userId);
+/**
+ * Gets the chance of winning a flip. The house edge comes off a fair 50%
+ * chance: an edge of 10% leaves a 45% chance to win.
+ * @param {object} settings - The server's settings (see getSettings).
+ * @returns {number} The win chance, between 0 and 1.
+ */
+export function getCoinflipWinChance(settings) {
+	return (100 - settings.coinflipHouseEdgePercent) / 200;
+}
 
-		if (!userRow) {
-			// User hasn't used coinflip before, they can use it
-			return true;
-		}
+/**
+ * Gets the largest bet a user may place.
+ * @param {number} balance - The user's balance.
+ * @param {object} settings - The server's settings (see getSettings).
+ * @returns {number|null} The max bet in coins, or null if there is no limit.
+ */
+export function getCoinflipMaxBet(balance, settings) {
+	const limit = settings.coinflipMaxBet;
+	if (!limit) return null;
+	if ("percent" in limit) {
+		return Math.floor((balance * limit.percent) / 100);
+	}
+	return limit.coins;
+}
 
-		const lastUsageDate = new Date(userRow[1]);
-		const now = new Date();
-		const timeDiff = now.getTime() - lastUsageDate.getTime();
-		const hoursDiff = timeDiff / (1000 * 3600);
+/**
+ * Works out how many flips a user has used in their current period. A period
+ * starts with the first flip after the previous one ended and lasts until the
+ * coinflip cooldown ends (or the next midnight reset).
+ * @param {object|undefined} userRow - The user's CoinflipUsage row.
+ * @param {object} settings - The server's settings (see getSettings).
+ * @returns {{playsUsed: number, periodEndsAt: number|null}} The flips used, and when the period ends (null if none is running).
+ */
+function getCurrentPeriod(userRow, settings) {
+	if (!userRow) {
+		return { playsUsed: 0, periodEndsAt: null };
+	}
 
-		// Can use if it's been more than 24 hours
-		return hoursDiff >= 24;
-	} catch (e) {
-		console.error("Error in canUseCoinflip:", e);
-		return true; // Default to allowing usage if there's an error
+	// Rows from before per-day play counts only have the last flip
+	const periodStart = new Date(
+		userRow.periodStartDate || userRow.lastUsageDate
+	).getTime();
+	const periodEndsAt = getCoinflipCooldownEnd(periodStart, settings);
+	if (Date.now() >= periodEndsAt) {
+		return { playsUsed: 0, periodEndsAt: null };
 	}
+
+	return { playsUsed: parseInt(userRow.playsUsed, 10) || 1, periodEndsAt };
 }
 
 /**
- * Gets the next time a user can use coinflip.
+ * Gets how many coinflips a user has left (coinflipDailyPlays per cooldown,
+ * one by default) and when they get them back.
  * @param {string} userId - The Discord user's ID.
+ * @param {string} guildId - The Discord server ID.
  * @param {object} env - The Cloudflare Worker environment variables.
- * @returns {Promise<number>} Timestamp of next usage time.
+ * @returns {Promise<{playsUsed: number, playsLeft: number, resetsAt: number|null}>} The flips used and left, and when the used flips come back (null if none are used).
  */
-export async function getNextCoinflipTime(userId, env) {
-	const sheetName = "CoinflipUsage";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
+export async function getCoinflipPlays(userId, guildId, env) {
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
+		const [userRow] = await getStorage(env).getRows("CoinflipUsage", {
+			userId,
 		});
-		const data = await response.json();
-		const rows = data.values || [];
-
-		const userRow = rows.find((row) => row[0] === userId);
-
-		if (!userRow) {
-			return Date.now(); // Can use now
-		}
-
-		const lastUsageDate = new Date(userRow[1]);
-		return lastUsageDate.getTime() + 24 * 60 * 60 * 1000; // 24 hours later
+		const settings = await getSettings(guildId, env);
+		const { playsUsed, periodEndsAt } = getCurrentPeriod(userRow, settings);
+
+		return {
+			playsUsed,
+			playsLeft: Math.max(0, settings.coinflipDailyPlays - playsUsed),
+			resetsAt: periodEndsAt,
+		};
 	} catch (e) {
-		console.error("Error in getNextCoinflipTime:", e);
-		return Date.now();
+		console.error("Error in getCoinflipPlays:", e);
+		// Default to allowing usage if there's an error
+		return { playsUsed: 0, playsLeft: 1, resetsAt: null };
 	}
 }
 
 /**
- * Records a coinflip usage for a user.
+ * Records a coinflip for a user, starting a new period if their last one has
+ * ended.
  * @param {string} userId - The Discord user's ID.
+ * @param {string} guildId - The Discord server ID.
  * @param {object} env - The Cloudflare Worker environment variables.
  * @returns {Promise<boolean>} True if successful.
  */
-export async function recordCoinflipUsage(userId, env) {
-	const sheetName = "CoinflipUsage";
-	const token = await getGoogleAuthToken(env);
+export async function recordCoinflipUsage(userId, guildId, env) {
 	const now = new Date().toISOString();
 
 	try {
-		// First check if user already has a record
-		const findRange = `${sheetName}!A:A`;
-		const findUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${findRange}`;
-
-		const findResponse = await fetch(findUrl, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const findData = await findResponse.json();
-		const rows = findData.values || [];
-		const userRowIndex = rows.findIndex((row) => row[0] === userId);
-
-		if (userRowIndex !== -1) {
-			// Update existing record
-			const rowToUpdate = userRowIndex + 1; // Sheets are 1-indexed
-			const updateRange = `${sheetName}!B${rowToUpdate}`;
-			const updateUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${updateRange}?valueInputOption=USER_ENTERED`;
-
-			const updateResponse = await fetch(updateUrl, {
-				method: "PUT",
-				headers: {
-					Authorization: `Bearer ${token}`,
-					"Content-Type": "application/json",
-				},
-				body: JSON.stringify({ values: [[now]] }),
-			});
-
-			return updateResponse.ok;
-		} else {
-			// Create new record
-			const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
-
-			const appendResponse = await fetch(appendUrl, {
-				method: "POST",
-				headers: {
-					Authorization: `Bearer ${token}`,
-					"Content-Type": "application/json",
-				},
-				body: JSON.stringify({ values: [[userId, now]] }),
-			});
-
-			return appendResponse.ok;
+		const storage = getStorage(env);
+		const [userRow] = await storage.getRows("CoinflipUsage", { userId });
+		const settings = await getSettings(guildId, env);
+		const { playsUsed, periodEndsAt } = getCurrentPeriod(userRow, settings);
+
+		const changes =
+			periodEndsAt === null
+				? { lastUsageDate: now, periodStartDate: now, playsUsed: 1 }
+				: { lastUsageDate: now, playsUsed: playsUsed + 1 };
+
+		// Update the existing record if the user has one
+		if (userRow) {
+			const updated = await storage.updateRows(
+				"CoinflipUsage",
+				{ userId },
+				changes
+			);
+			if (updated > 0) {
+				return true;
+			}
 		}
+
+		// Create new record
+		return await storage.appendRows("CoinflipUsage", [{ userId, ...changes }]);
 	} catch (e) {
 		console.error("Error in recordCoinflipUsage:", e);
 		return false;
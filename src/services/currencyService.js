@@ -2,7 +2,10 @@
  * Currency Service - Handles user currency operations
  */
 
-import { getGoogleAuthToken } from "../utils/googleAuth.js";
+import { getStorage } from "../storage/index.js";
+
+// How many times a balance change is retried when another write got there first
+const MAX_BALANCE_ATTEMPTS = 5;
 
 /**
  * Retrieves the currency balance for a given user ID.
@@ -12,35 +15,17 @@ import { getGoogleAuthToken } from "../utils/googleAuth.js";
  * @returns {Promise<number>} The user's currency balance.
  */
 export async function getCurrency(userId, env) {
-	const sheetName = "Currency";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		const rows = data.values || [];
-
-		const userRowIndex = rows.findIndex((row) => row[0] === userId);
-
-		if (userRowIndex !== -1) {
-			return parseInt(rows[userRowIndex][1], 10) || 0;
-		} else {
-			// User not found, add them to the sheet
-			const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
-			await fetch(appendUrl, {
-				method: "POST",
-				headers: {
-					Authorization: `Bearer ${token}`,
-					"Content-Type": "application/json",
-				},
-				body: JSON.stringify({ values: [[userId, "0"]] }),
-			});
-			return 0;
+		const storage = getStorage(env);
+		const [userRow] = await storage.getRows("Currency", { userId });
+
+		if (userRow) {
+			return parseInt(userRow.balance, 10) || 0;
 		}
+
+		// User not found, add them to the sheet
+		await storage.appendRows("Currency", [{ userId, balance: 0 }]);
+		return 0;
 	} catch (e) {
 		console.error("Error in getCurrency:", e);
 		return 0;
@@ -48,49 +33,348 @@ export async function getCurrency(userId, env) {
 }
 
 /**
- * Updates the currency balance for a given user ID.
+ * Adds coins to a user's balance and records the change in the ledger.
  * @param {string} userId - The Discord user's ID.
- * @param {number} amount - The new balance amount.
+ * @param {number} amount - The number of coins to add.
+ * @param {string} reason - Why the balance changed (e.g. "daily").
  * @param {object} env - The Cloudflare Worker environment variables.
- * @returns {Promise<boolean>} True if the update was successful, false otherwise.
+ * @param {string} [referenceId=null] - Optional related ID (interaction, role, giveaway).
+ * @param {string} [note=null] - Optional free-text note shown in the history.
+ * @param {string} [transactionId=null] - Optional ID for the ledger entry (a random one otherwise).
+ * @returns {Promise<{success: boolean, balance: number, error?: string}>} The result and resulting balance.
  */
-export async function updateCurrency(userId, amount, env) {
-	const sheetName = "Currency";
-	const token = await getGoogleAuthToken(env);
+export async function creditCurrency(
+	userId,
+	amount,
+	reason,
+	env,
+	referenceId = null,
+	note = null,
+	transactionId = null
+) {
+	return await applyBalanceChange(
+		userId,
+		(balance) => balance + amount,
+		reason,
+		env,
+		referenceId,
+		note,
+		transactionId
+	);
+}
 
-	// First, find the row of the user
-	const findRange = `${sheetName}!A:A`;
-	const findUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${findRange}`;
+/**
+ * Removes coins from a user's balance and records the change in the ledger.
+ * Fails with error "insufficient_funds" instead of going below zero.
+ * @param {string} userId - The Discord user's ID.
+ * @param {number} amount - The number of coins to remove.
+ * @param {string} reason - Why the balance changed (e.g. "shop_purchase").
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {string} [referenceId=null] - Optional related ID (interaction, role, giveaway).
+ * @param {string} [note=null] - Optional free-text note shown in the history.
+ * @param {string} [transactionId=null] - Optional ID for the ledger entry (a random one otherwise).
+ * @returns {Promise<{success: boolean, balance: number, error?: string}>} The result and resulting balance.
+ */
+export async function debitCurrency(
+	userId,
+	amount,
+	reason,
+	env,
+	referenceId = null,
+	note = null,
+	transactionId = null
+) {
+	return await applyBalanceChange(
+		userId,
+		(balance) => balance - amount,
+		reason,
+		env,
+		referenceId,
+		note,
+		transactionId
+	);
+}
 
+/**
+ * Sets a user's balance to an exact amount and records the difference in the ledger.
+ * @param {string} userId - The Discord user's ID.
+ * @param {number} balance - The new balance (zero or more).
+ * @param {string} reason - Why the balance changed (e.g. "admin_set").
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {string} [referenceId=null] - Optional related ID (e.g. the acting admin).
+ * @param {string} [note=null] - Optional free-text note shown in the history.
+ * @returns {Promise<{success: boolean, balance: number, previousBalance?: number, error?: string}>} The result, resulting balance and the balance it replaced.
+ */
+export async function setCurrency(
+	userId,
+	balance,
+	reason,
+	env,
+	referenceId = null,
+	note = null
+) {
+	return await applyBalanceChange(
+		userId,
+		() => balance,
+		reason,
+		env,
+		referenceId,
+		note
+	);
+}
+
+/**
+ * Moves coins from one user to another, recording both sides in the ledger.
+ * The sender is debited first; if crediting the recipient fails the sender is refunded.
+ * Callers hold both users' locks (see runWithUserLocks).
+ * With a transferId the sender's ledger entry uses it as its ID, and a transfer
+ * whose ID is already in the ledger fails with error "already_sent", so
+ * repeating the same request (e.g. a double-clicked button) can't pay twice.
+ * @param {string} fromUserId - The paying user's ID.
+ * @param {string} toUserId - The receiving user's ID.
+ * @param {number} amount - The number of coins to move.
+ * @param {string|null} note - Optional note shown in both histories.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {string} [transferId=null] - Optional unique ID of this transfer.
+ * @returns {Promise<{success: boolean, balance: number, error?: string}>} The result and the sender's resulting balance.
+ */
+export async function transferCurrency(
+	fromUserId,
+	toUserId,
+	amount,
+	note,
+	env,
+	transferId = null
+) {
+	if (transferId) {
+		const recorded = await isTransactionRecorded(transferId, env);
+		if (recorded !== false) {
+			// A failed check can't rule out an earlier send, so nothing is sent
+			return {
+				success: false,
+				balance: await getCurrency(fromUserId, env),
+				error: recorded ? "already_sent" : "storage_error",
+			};
+		}
+	}
+
+	const debit = await debitCurrency(
+		fromUserId,
+		amount,
+		"pay_sent",
+		env,
+		toUserId,
+		note,
+		transferId
+	);
+	if (!debit.success) {
+		// On D1 a concurrent repeat fails on the duplicate ledger ID instead
+		if (
+			transferId &&
+			debit.error === "storage_error" &&
+			(await isTransactionRecorded(transferId, env)) === true
+		) {
+			return { ...debit, error: "already_sent" };
+		}
+		return debit;
+	}
+
+	const credit = await creditCurrency(
+		toUserId,
+		amount,
+		"pay_received",
+		env,
+		fromUserId,
+		note
+	);
+	if (!credit.success) {
+		const refund = await creditCurrency(
+			fromUserId,
+			amount,
+			"pay_refund",
+			env,
+			toUserId,
+			note
+		);
+		return {
+			success: false,
+			balance: refund.success ? refund.balance : debit.balance,
+			error: credit.error,
+		};
+	}
+
+	return debit;
+}
+
+/**
+ * Checks whether the ledger already has an entry with the given ID.
+ * @param {string} transactionId - The ledger entry ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean|null>} True if the entry exists, or null if the check failed.
+ */
+async function isTransactionRecorded(transactionId, env) {
 	try {
-		const findResponse = await fetch(findUrl, {
-			headers: { Authorization: `Bearer ${token}` },
+		const rows = await getStorage(env).getRows("Transactions", {
+			id: transactionId,
 		});
-		const findData = await findResponse.json();
-		const rows = findData.values || [];
-		const userRowIndex = rows.findIndex((row) => row[0] === userId);
+		return rows.length > 0;
+	} catch (e) {
+		console.error("Error in isTransactionRecorded:", e);
+		return null;
+	}
+}
+
+/**
+ * Applies a balance change: the new balance is only written if the stored
+ * balance is still the one it was computed from, otherwise the change is
+ * retried against the fresh balance. The ledger entry is written together
+ * with the balance.
+ * On D1 the check and the write are a single UPDATE, and the ledger entry is
+ * in the same transaction. On Google Sheets updateRows reads and then writes,
+ * so two changes can still overwrite each other in between and a failure can
+ * leave a change out of the ledger; there only runWithUserLock keeps changes
+ * to one balance from racing.
+ * Fails with error "insufficient_funds" if the new balance would be negative.
+ * @param {string} userId - The Discord user's ID.
+ * @param {function(number): number} computeBalance - Returns the new balance given the current one.
+ * @param {string} reason - Why the balance changed.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {string|null} referenceId - Optional related ID.
+ * @param {string|null} note - Optional free-text note.
+ * @param {string|null} [transactionId=null] - Optional ID for the ledger entry.
+ * @returns {Promise<{success: boolean, balance: number, previousBalance?: number, error?: string}>} The result, resulting balance and the balance it replaced.
+ */
+async function applyBalanceChange(
+	userId,
+	computeBalance,
+	reason,
+	env,
+	referenceId,
+	note,
+	transactionId = null
+) {
+	let currentBalance = 0;
+
+	try {
+		const storage = getStorage(env);
+
+		for (let attempt = 0; attempt < MAX_BALANCE_ATTEMPTS; attempt++) {
+			const [userRow] = await storage.getRows("Currency", { userId });
+
+			if (!userRow) {
+				// User not found, add them and retry against the new row
+				await storage.appendRows("Currency", [{ userId, balance: 0 }]);
+				continue;
+			}
+
+			currentBalance = parseInt(userRow.balance, 10) || 0;
+			const newBalance = computeBalance(currentBalance);
+
+			if (newBalance < 0) {
+				return {
+					success: false,
+					balance: currentBalance,
+					error: "insufficient_funds",
+				};
+			}
+
+			const updated = await storage.updateRowsAndAppend(
+				"Currency",
+				{ userId, balance: userRow.balance },
+				{ balance: newBalance },
+				"Transactions",
+				[
+					buildTransaction(
+						userId,
+						newBalance - currentBalance,
+						reason,
+						referenceId,
+						note,
+						newBalance,
+						transactionId
+					),
+				]
+			);
 
-		if (userRowIndex === -1) {
-			console.error(`User ${userId} not found for currency update.`);
-			return false;
+			if (updated > 0) {
+				return {
+					success: true,
+					balance: newBalance,
+					previousBalance: currentBalance,
+				};
+			}
+
+			console.log(
+				`Balance for ${userId} changed concurrently, retrying (attempt ${
+					attempt + 1
+				})`
+			);
 		}
 
-		const rowToUpdate = userRowIndex + 1; // Sheets are 1-indexed
-		const updateRange = `${sheetName}!B${rowToUpdate}`;
-		const updateUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${updateRange}?valueInputOption=USER_ENTERED`;
-
-		const updateResponse = await fetch(updateUrl, {
-			method: "PUT",
-			headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({ values: [[amount.toString()]] }),
-		});
+		console.error(`Gave up updating balance for ${userId} after retries.`);
+		return { success: false, balance: currentBalance, error: "conflict" };
+	} catch (e) {
+		console.error("Error in applyBalanceChange:", e);
+		return { success: false, balance: currentBalance, error: "storage_error" };
+	}
+}
+
+/**
+ * Builds the ledger row for a balance change.
+ * @param {string} userId - The Discord user's ID.
+ * @param {number} amount - The signed balance change.
+ * @param {string} reason - Why the balance changed.
+ * @param {string|null} referenceId - Optional related ID.
+ * @param {string|null} note - Optional free-text note.
+ * @param {number} balanceAfter - The balance after the change.
+ * @param {string|null} id - The entry's ID, or null for a random one.
+ * @returns {object} The Transactions row.
+ */
+function buildTransaction(
+	userId,
+	amount,
+	reason,
+	referenceId,
+	note,
+	balanceAfter,
+	id
+) {
+	return {
+		id: id || crypto.randomUUID(),
+		userId,
+		amount,
+		reason,
+		referenceId,
+		balanceAfter,
+		createdAt: new Date().toISOString(),
+		note,
+	};
+}
+
+/**
+ * Retrieves a user's transaction history, newest first.
+ * @param {string} userId - The Discord user's ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<Array<object>>} The user's ledger entries.
+ */
+export async function getTransactions(userId, env) {
+	try {
+		const rows = await getStorage(env).getRows("Transactions", { userId });
 
-		return updateResponse.ok;
+		return rows
+			.map((row) => ({
+				id: String(row.id),
+				amount: parseInt(row.amount, 10) || 0,
+				reason: row.reason,
+				referenceId: row.referenceId ? String(row.referenceId) : null,
+				balanceAfter: parseInt(row.balanceAfter, 10) || 0,
+				createdAt: row.createdAt,
+				note: row.note || null,
+			}))
+			.reverse() // Rows are stored oldest first; keeps same-time entries newest first
+			.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 	} catch (e) {
-		console.error("Error in updateCurrency:", e);
-		return false;
+		console.error("Error in getTransactions:", e);
+		return [];
 	}
 }
@@ -2,41 +2,139 @@
  * Daily Reward Service - Handles daily reward functionality
  */
 
-import { getGoogleAuthToken } from "../utils/googleAuth.js";
+import { getStorage } from "../storage/index.js";
+import { getSettings } from "./settingsService.js";
+import { getCooldownEnd } from "../utils/cooldowns.js";
+
+/**
+ * Gets when the daily reward can be claimed again after a claim, following
+ * the server's reset mode (a rolling cooldown or midnight in its timezone).
+ * @param {number} lastClaimTime - When the reward was claimed (milliseconds since the epoch).
+ * @param {object} settings - The server's settings (see getSettings).
+ * @returns {number} When the next claim is available.
+ */
+export function getDailyCooldownEnd(lastClaimTime, settings) {
+	return getCooldownEnd(
+		lastClaimTime,
+		settings.dailyCooldownHours,
+		settings.dailyResetMode,
+		settings.resetTimezone
+	);
+}
+
+/**
+ * Works out the reward for a claim on a given streak day. Every day after the
+ * first adds dailyStreakBonus coins (up to dailyMaxStreakBonus), and the claim
+ * that reaches a milestone day also pays that milestone's bonus.
+ * Role bonuses apply to the daily reward plus the streak bonus: each role's
+ * multiplier adds its share on top (two 1.5x roles pay 2x, not 2.25x) and its
+ * flat bonus is added as is. Milestone bonuses aren't multiplied.
+ * @param {number} streak - The streak day being claimed (1 = first day).
+ * @param {object} settings - The server's settings (see getSettings).
+ * @param {Array<object>} [roleBonuses=[]] - The bonuses of the roles the member has (see getDailyRoleBonuses).
+ * @returns {{baseReward: number, streakBonus: number, milestoneBonus: number, roleBonuses: Array<{roleId: string, multiplier: number, flatBonus: number, amount: number}>, total: number}} The reward breakdown.
+ */
+export function calculateDailyReward(streak, settings, roleBonuses = []) {
+	const streakBonus = Math.min(
+		(streak - 1) * settings.dailyStreakBonus,
+		settings.dailyMaxStreakBonus
+	);
+	const milestoneBonus = settings.dailyStreakMilestones[streak] || 0;
+	const subtotal = settings.dailyReward + streakBonus;
+
+	// Work in whole percents so 1.15x of 100 is 115, not 114.99...
+	const appliedRoleBonuses = roleBonuses.map((bonus) => ({
+		...bonus,
+		amount:
+			Math.floor((subtotal * Math.round((bonus.multiplier - 1) * 100)) / 100) +
+			bonus.flatBonus,
+	}));
+
+	return {
+		baseReward: settings.dailyReward,
+		streakBonus,
+		milestoneBonus,
+		roleBonuses: appliedRoleBonuses,
+		total:
+			subtotal +
+			milestoneBonus +
+			appliedRoleBonuses.reduce((sum, bonus) => sum + bonus.amount, 0),
+	};
+}
+
+/**
+ * Gets the next milestone after a streak day.
+ * @param {number} streak - The current streak.
+ * @param {object} settings - The server's settings (see getSettings).
+ * @returns {{day: number, bonus: number}|null} The next milestone, or null if none are left.
+ */
+export function getNextMilestone(streak, settings) {
+	const milestones = settings.dailyStreakMilestones;
+	const day = Object.keys(milestones)
+		.map(Number)
+		.sort((a, b) => a - b)
+		.find((milestone) => milestone > streak);
+	return day ? { day, bonus: milestones[day] } : null;
+}
+
+/**
+ * Gets a user's daily streak. A streak breaks when the user doesn't claim
+ * within the grace window that opens when their next claim becomes available.
+ * @param {string} userId - The Discord user's ID.
+ * @param {string} guildId - The Discord server ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<{currentStreak: number, bestStreak: number, breaksAt: number|null}>} The streak (0 once broken) and the timestamp it breaks at, if it's still running.
+ */
+export async function getDailyStreak(userId, guildId, env) {
+	try {
+		const [userRow] = await getStorage(env).getRows("DailyRewards", { userId });
+
+		if (!userRow) {
+			return { currentStreak: 0, bestStreak: 0, breaksAt: null };
+		}
+
+		const settings = await getSettings(guildId, env);
+		const breaksAt =
+			getDailyCooldownEnd(new Date(userRow.lastClaimDate).getTime(), settings) +
+			settings.dailyStreakGraceHours * 60 * 60 * 1000;
+		const bestStreak = parseInt(userRow.bestStreak, 10) || 0;
+
+		if (Date.now() >= breaksAt) {
+			return { currentStreak: 0, bestStreak, breaksAt: null };
+		}
+
+		return {
+			currentStreak: parseInt(userRow.currentStreak, 10) || 0,
+			bestStreak,
+			breaksAt,
+		};
+	} catch (e) {
+		console.error("Error in getDailyStreak:", e);
+		return { currentStreak: 0, bestStreak: 0, breaksAt: null };
+	}
+}
 
 /**
  * Checks if a user can claim their daily reward.
  * @param {string} userId - The Discord user's ID.
+ * @param {string} guildId - The Discord server ID.
  * @param {object} env - The Cloudflare Worker environment variables.
  * @returns {Promise<boolean>} True if the user can claim, false otherwise.
  */
-export async function canClaimDailyReward(userId, env) {
-	const sheetName = "DailyRewards";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
+export async function canClaimDailyReward(userId, guildId, env) {
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		const rows = data.values || [];
-
-		const userRow = rows.find((row) => row[0] === userId);
+		const [userRow] = await getStorage(env).getRows("DailyRewards", { userId });
 
 		if (!userRow) {
 			// User hasn't claimed before, they can claim
 			return true;
 		}
 
-		const lastClaimDate = new Date(userRow[1]);
-		const now = new Date();
-		const timeDiff = now.getTime() - lastClaimDate.getTime();
-		const hoursDiff = timeDiff / (1000 * 3600);
+		const lastClaimDate = new Date(userRow.lastClaimDate);
+		const settings = await getSettings(guildId, env);
 
-		// Can claim if it's been more than 24 hours
-		return hoursDiff >= 24;
+		// Can claim once the cooldown has passed (or the day has reset)
+		return Date.now() >= getDailyCooldownEnd(lastClaimDate.getTime(), settings);
 	} catch (e) {
 		console.error("Error in canClaimDailyReward:", e);
 		return true; // Default to allowing claim if there's an error
@@ -46,30 +144,21 @@ export async function canClaimDailyReward(userId, env) {
 /**
  * Gets the next time a user can claim their daily reward.
  * @param {string} userId - The Discord user's ID.
+ * @param {string} guildId - The Discord server ID.
  * @param {object} env - The Cloudflare Worker environment variables.
  * @returns {Promise<number>} Timestamp of next claim time.
  */
-export async function getNextClaimTime(userId, env) {
-	const sheetName = "DailyRewards";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
+export async function getNextClaimTime(userId, guildId, env) {
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		const rows = data.values || [];
-
-		const userRow = rows.find((row) => row[0] === userId);
+		const [userRow] = await getStorage(env).getRows("DailyRewards", { userId });
 
 		if (!userRow) {
 			return Date.now(); // Can claim now
 		}
 
-		const lastClaimDate = new Date(userRow[1]);
-		return lastClaimDate.getTime() + 24 * 60 * 60 * 1000; // 24 hours later
+		const lastClaimDate = new Date(userRow.lastClaimDate);
+		const settings = await getSettings(guildId, env);
+		return getDailyCooldownEnd(lastClaimDate.getTime(), settings);
 	} catch (e) {
 		console.error("Error in getNextClaimTime:", e);
 		return Date.now();
@@ -80,58 +169,143 @@ export async function getNextClaimTime(userId, env) {
  * Records a daily reward claim for a user.
  * @param {string} userId - The Discord user's ID.
  * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {{currentStreak: number, bestStreak: number}} [streak={currentStreak: 1, bestStreak: 1}] - The streak after this claim.
  * @returns {Promise<boolean>} True if successful.
  */
-export async function recordDailyClaim(userId, env) {
-	const sheetName = "DailyRewards";
-	const token = await getGoogleAuthToken(env);
+export async function recordDailyClaim(
+	userId,
+	env,
+	streak = { currentStreak: 1, bestStreak: 1 }
+) {
 	const now = new Date().toISOString();
+	const changes = {
+		lastClaimDate: now,
+		currentStreak: streak.currentStreak,
+		bestStreak: streak.bestStreak,
+	};
 
 	try {
-		// First check if user already has a record
-		const findRange = `${sheetName}!A:A`;
-		const findUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${findRange}`;
+		const storage = getStorage(env);
 
-		const findResponse = await fetch(findUrl, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const findData = await findResponse.json();
-		const rows = findData.values || [];
-		const userRowIndex = rows.findIndex((row) => row[0] === userId);
-
-		if (userRowIndex !== -1) {
-			// Update existing record
-			const rowToUpdate = userRowIndex + 1; // Sheets are 1-indexed
-			const updateRange = `${sheetName}!B${rowToUpdate}`;
-			const updateUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${updateRange}?valueInputOption=USER_ENTERED`;
-
-			const updateResponse = await fetch(updateUrl, {
-				method: "PUT",
-				headers: {
-					Authorization: `Bearer ${token}`,
-					"Content-Type": "application/json",
-				},
-				body: JSON.stringify({ values: [[now]] }),
-			});
-
-			return updateResponse.ok;
-		} else {
-			// Create new record
-			const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
-
-			const appendResponse = await fetch(appendUrl, {
-				method: "POST",
-				headers: {
-					Authorization: `Bearer ${token}`,
-					"Content-Type": "application/json",
-				},
-				body: JSON.stringify({ values: [[userId, now]] }),
-			});
-
-			return appendResponse.ok;
+		// Update the existing record if the user has one
+		const updated = await storage.updateRows(
+			"DailyRewards",
+			{ userId },
+			changes
+		);
+		if (updated > 0) {
+			return true;
 		}
+
+		// Create new record
+		return await storage.appendRows("DailyRewards", [{ userId, ...changes }]);
 	} catch (e) {
 		console.error("Error in recordDailyClaim:", e);
 		return false;
 	}
 }
+
+/**
+ * Converts a DailyRoleBonuses row into a role bonus object.
+ * @param {object} row - The storage row.
+ * @returns {{roleId: string, multiplier: number, flatBonus: number}} The role bonus.
+ */
+function toRoleBonus(row) {
+	return {
+		roleId: String(row.roleId),
+		multiplier: parseFloat(row.multiplier) || 1,
+		flatBonus: parseInt(row.flatBonus, 10) || 0,
+	};
+}
+
+/**
+ * Gets the daily reward bonuses a server has set up for its roles.
+ * @param {string} guildId - The Discord server ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {Array<string>} [memberRoleIds=null] - Only return the bonuses of these roles (a member's roles).
+ * @returns {Promise<Array<{roleId: string, multiplier: number, flatBonus: number}>>} The role bonuses.
+ */
+export async function getDailyRoleBonuses(guildId, env, memberRoleIds = null) {
+	if (!guildId) return [];
+
+	try {
+		const rows = await getStorage(env).getRows("DailyRoleBonuses", {
+			guildId,
+		});
+		return rows
+			.map(toRoleBonus)
+			.filter(
+				(bonus) => !memberRoleIds || memberRoleIds.includes(bonus.roleId)
+			);
+	} catch (e) {
+		console.error("Error in getDailyRoleBonuses:", e);
+		return [];
+	}
+}
+
+/**
+ * Sets (or replaces) the daily reward bonus for a role.
+ * @param {string} guildId - The Discord server ID.
+ * @param {string} roleId - The Discord role ID.
+ * @param {number} multiplier - The reward multiplier (1 = none).
+ * @param {number} flatBonus - Extra coins added to every claim.
+ * @param {string} actorId - The ID of the admin who set it.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if successful.
+ */
+export async function setDailyRoleBonus(
+	guildId,
+	roleId,
+	multiplier,
+	flatBonus,
+	actorId,
+	env
+) {
+	const changes = {
+		multiplier,
+		flatBonus,
+		updatedAt: new Date().toISOString(),
+		updatedBy: actorId,
+	};
+
+	try {
+		const storage = getStorage(env);
+
+		// Update the existing bonus if the role has one
+		const updated = await storage.updateRows(
+			"DailyRoleBonuses",
+			{ guildId, roleId },
+			changes
+		);
+		if (updated > 0) {
+			return true;
+		}
+
+		return await storage.appendRows("DailyRoleBonuses", [
+			{ guildId, roleId, ...changes },
+		]);
+	} catch (e) {
+		console.error("Error in setDailyRoleBonus:", e);
+		return false;
+	}
+}
+
+/**
+ * Removes a role's daily reward bonus.
+ * @param {string} guildId - The Discord server ID.
+ * @param {string} roleId - The Discord role ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<{removed: boolean, error: string|null}>} Whether a bonus was removed; error is "storage_error" if the delete failed.
+ */
+export async function removeDailyRoleBonus(guildId, roleId, env) {
+	try {
+		const deleted = await getStorage(env).deleteRows("DailyRoleBonuses", {
+			guildId,
+			roleId,
+		});
+		return { removed: deleted > 0, error: null };
+	} catch (e) {
+		console.error("Error in removeDailyRoleBonus:", e);
+		return { removed: false, error: "storage_error" };
+	}
+}
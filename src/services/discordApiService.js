@@ -76,3 +76,175 @@ export async function removeRoleFromUser(userId, roleId, guildId, env) {
 		return false;
 	}
 }
+
+/**
+ * Sends a direct message to a user via the Discord API.
+ * @param {string} userId - The Discord user's ID.
+ * @param {object} message - The message payload (content, embeds, ...).
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the message was sent, false otherwise (e.g. DMs closed).
+ */
+export async function sendDirectMessage(userId, message, env) {
+	try {
+		const channelResponse = await fetch(
+			"https://discord.com/api/v10/users/@me/channels",
+			{
+				method: "POST",
+				headers: {
+					Authorization: `Bot ${env.DISCORD_BOT_TOKEN}`,
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify({ recipient_id: userId }),
+			}
+		);
+		if (!channelResponse.ok) {
+			const errorText = await channelResponse.text();
+			console.error(
+				`Failed to open DM channel with user ${userId}:`,
+				channelResponse.status,
+				errorText
+			);
+			return false;
+		}
+		const channel = await channelResponse.json();
+
+		return (await sendChannelMessage(channel.id, message, env)) !== null;
+	} catch (error) {
+		console.error("Error sending direct message:", error);
+		return false;
+	}
+}
+
+/**
+ * Posts a message to a channel via the Discord API.
+ * @param {string} channelId - The channel ID.
+ * @param {object} message - The message payload (content, embeds, components, ...).
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<object|null>} The created message, or null if it couldn't be sent.
+ */
+export async function sendChannelMessage(channelId, message, env) {
+	try {
+		const response = await fetch(
+			`https://discord.com/api/v10/channels/${channelId}/messages`,
+			{
+				method: "POST",
+				headers: {
+					Authorization: `Bot ${env.DISCORD_BOT_TOKEN}`,
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify(message),
+			}
+		);
+		if (!response.ok) {
+			const errorText = await response.text();
+			console.error(
+				`Failed to send message to channel ${channelId}:`,
+				response.status,
+				errorText
+			);
+			return null;
+		}
+		return await response.json();
+	} catch (error) {
+		console.error("Error sending channel message:", error);
+		return null;
+	}
+}
+
+/**
+ * Edits a message the bot posted via the Discord API.
+ * @param {string} channelId - The channel ID.
+ * @param {string} messageId - The message ID.
+ * @param {object} message - The new message payload (content, embeds, components, ...).
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the message was edited, false otherwise.
+ */
+export async function editChannelMessage(channelId, messageId, message, env) {
+	try {
+		const response = await fetch(
+			`https://discord.com/api/v10/channels/${channelId}/messages/${messageId}`,
+			{
+				method: "PATCH",
+				headers: {
+					Authorization: `Bot ${env.DISCORD_BOT_TOKEN}`,
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify(message),
+			}
+		);
+		if (!response.ok) {
+			const errorText = await response.text();
+			console.error(
+				`Failed to edit message ${messageId} in channel ${channelId}:`,
+				response.status,
+				errorText
+			);
+			return false;
+		}
+		return true;
+	} catch (error) {
+		console.error("Error editing channel message:", error);
+		return false;
+	}
+}
+
+/**
+ * Fetches every role in a guild via the Discord API.
+ * @param {string} guildId - The guild (server) ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<Array<object>|null>} The guild's roles, or null if they couldn't be fetched.
+ */
+export async function getGuildRoles(guildId, env) {
+	try {
+		const response = await fetch(
+			`https://discord.com/api/v10/guilds/${guildId}/roles`,
+			{
+				headers: { Authorization: `Bot ${env.DISCORD_BOT_TOKEN}` },
+			}
+		);
+		if (!response.ok) {
+			const errorText = await response.text();
+			console.error(
+				`Failed to fetch roles for guild ${guildId}:`,
+				response.status,
+				errorText
+			);
+			return null;
+		}
+		return await response.json();
+	} catch (error) {
+		console.error("Error fetching guild roles:", error);
+		return null;
+	}
+}
+
+/**
+ * Fetches a guild member via the Discord API.
+ * @param {string} guildId - The guild (server) ID.
+ * @param {string} userId - The member's user ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<object|null>} The member (including its role IDs), or null if it couldn't be fetched.
+ */
+export async function getGuildMember(guildId, userId, env) {
+	try {
+		const response = await fetch(
+			`https://discord.com/api/v10/guilds/${guildId}/members/${userId}`,
+			{
+				headers: { Authorization: `Bot ${env.DISCORD_BOT_TOKEN}` },
+			}
+		);
+		if (!response.ok) {
+			const errorText = await response.text();
+			console.error(
+				`Failed to fetch member ${userId} in guild ${guildId}:`,
+				response.status,
+				errorText
+			);
+			return null;
+		}
+		return await response.json();
+	} catch (error) {
+		console.error("Error fetching guild member:", error);
+		return null;
+	}
+}
@@ -0,0 +1,60 @@
+/**
+ * Giveaway Post Service - Keeps the public giveaway message in sync
+ */
+
+import { getGiveaway, getGiveawayEntries } from "./giveawayService.js";
+import { editChannelMessage } from "./discordApiService.js";
+import {
+	buildGiveawayMessage,
+	buildEndedGiveawayMessage,
+	buildCancelledGiveawayMessage,
+} from "../ui/giveawayBuilder.js";
+
+/**
+ * Re-renders a giveaway's post with its current participant and ticket counts,
+ * in its ended state when winners are given, or as cancelled.
+ * @param {object} giveaway - The giveaway details.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {Array<string>|null} [winners=null] - The winners, once the giveaway has ended.
+ * @returns {Promise<boolean>} True if the post was updated, false otherwise.
+ */
+export async function updateGiveawayPost(giveaway, env, winners = null) {
+	// Giveaways created before message IDs were stored can't be edited
+	if (!giveaway.messageId || giveaway.messageId === "placeholder_message_id") {
+		return false;
+	}
+
+	let message;
+	if (giveaway.status === "cancelled") {
+		message = buildCancelledGiveawayMessage(giveaway);
+	} else {
+		const entries = await getGiveawayEntries(giveaway.id, env);
+		const ticketCount = entries.reduce((sum, entry) => sum + entry.tickets, 0);
+		message = winners
+			? buildEndedGiveawayMessage(giveaway, winners, entries.length)
+			: buildGiveawayMessage(giveaway, entries.length, ticketCount);
+	}
+
+	return await editChannelMessage(
+		giveaway.channelId,
+		giveaway.messageId,
+		message,
+		env
+	);
+}
+
+/**
+ * Re-renders an active giveaway's post from a fresh read, for changes like a
+ * new entry. The post is left alone once the giveaway has ended or been
+ * cancelled, so a late refresh can't turn the final post back into a live one.
+ * @param {string} giveawayId - The giveaway ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the post was updated, false otherwise.
+ */
+export async function refreshActiveGiveawayPost(giveawayId, env) {
+	const giveaway = await getGiveaway(giveawayId, env);
+	if (!giveaway || giveaway.status !== "active") {
+		return false;
+	}
+	return await updateGiveawayPost(giveaway, env);
+}
@@ -0,0 +1,201 @@
+/**
+ * Giveaway Prize Service - Delivers coin and shop role prizes to winners
+ */
+
+import { getStorage } from "../storage/index.js";
+import { creditCurrency } from "./currencyService.js";
+import { addUnlockedRole, getUnlockedRoles } from "./userRoleService.js";
+import { runWithUserLock } from "../durableObjects/userLock.js";
+import { getGiveaways, getGiveawayWinners } from "./giveawayService.js";
+
+// Failed deliveries are retried by the cron for this long after a giveaway ends
+const PRIZE_RETRY_DAYS = 7;
+
+/**
+ * Delivers a giveaway's structured prize to each winner.
+ * Each winner row moves from "pending" to "delivering" with a compare-and-set
+ * before anything is paid, so overlapping runs can't pay twice, and a winner
+ * who already received the prize (e.g. picked again by a reroll) is skipped.
+ * The giveaway never hands out more prizes than it has winner slots: once that
+ * many rows (superseded ones included) are delivered or delivering, further
+ * winners are marked "skipped" and listed as exhausted. Winners a reroll has
+ * since replaced are left out of the results. Claims are serialized per giveaway through
+ * the UserLock Durable Object so two runs can't both take the last slot.
+ * @param {object} giveaway - The giveaway details.
+ * @param {Array<string>} winners - The winner user IDs.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<{delivered: Array<string>, skipped: Array<string>, exhausted: Array<string>, failed: Array<string>}>} Who got the prize, who already had it, who missed out because every prize was handed out and whose delivery failed.
+ */
+export async function deliverGiveawayPrizes(giveaway, winners, env) {
+	const result = { delivered: [], skipped: [], exhausted: [], failed: [] };
+	if (!giveaway.prizeType) {
+		return result;
+	}
+
+	const storage = getStorage(env);
+	const currentWinners = await getGiveawayWinners(giveaway.id, env);
+
+	for (const userId of winners) {
+		try {
+			if (!currentWinners.includes(userId)) {
+				continue; // Rerolled out since; their replacement gets the prize instead
+			}
+
+			let claim = "busy";
+			const locked = await runWithUserLock(
+				`giveaway:${giveaway.id}`,
+				env,
+				async () => {
+					claim = await claimPrize(giveaway, userId, storage);
+				}
+			);
+			if (!locked || claim !== "claimed") {
+				// "busy": another run is delivering (or already failed) this prize
+				(claim === "exhausted" ? result.exhausted : result.skipped).push(
+					userId
+				);
+				continue;
+			}
+
+			const delivered = await deliverPrize(giveaway, userId, env);
+
+			await storage.updateRows(
+				"GiveawayWinners",
+				{ giveawayId: giveaway.id, userId, prizeStatus: "delivering" },
+				{ prizeStatus: delivered ? "delivered" : "failed" }
+			);
+			(delivered ? result.delivered : result.failed).push(userId);
+		} catch (e) {
+			console.error(
+				`Error delivering giveaway ${giveaway.id} prize to ${userId}:`,
+				e
+			);
+			result.failed.push(userId);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Claims one winner's prize for delivery by moving their pending row to
+ * "delivering". Call under the giveaway's lock.
+ * @param {object} giveaway - The giveaway details.
+ * @param {string} userId - The winner's user ID.
+ * @param {object} storage - The storage backend.
+ * @returns {Promise<"claimed"|"skipped"|"exhausted"|"busy">} The outcome: claimed, already received, no prizes left, or not pending.
+ */
+async function claimPrize(giveaway, userId, storage) {
+	const rows = await storage.getRows("GiveawayWinners", {
+		giveawayId: giveaway.id,
+	});
+
+	const handedOut = rows.filter(
+		(row) => row.prizeStatus === "delivered" || row.prizeStatus === "delivering"
+	);
+	const alreadyReceived = handedOut.some(
+		(row) => String(row.userId) === userId && row.prizeStatus === "delivered"
+	);
+
+	if (alreadyReceived || handedOut.length >= giveaway.winnersCount) {
+		await storage.updateRows(
+			"GiveawayWinners",
+			{ giveawayId: giveaway.id, userId, prizeStatus: "pending" },
+			{ prizeStatus: "skipped" }
+		);
+		return alreadyReceived ? "skipped" : "exhausted";
+	}
+
+	const claimed = await storage.updateRows(
+		"GiveawayWinners",
+		{ giveawayId: giveaway.id, userId, prizeStatus: "pending" },
+		{ prizeStatus: "delivering" }
+	);
+	return claimed > 0 ? "claimed" : "busy";
+}
+
+/**
+ * Retries prizes that weren't delivered: failed deliveries, and pending ones a
+ * run that died never got to. Only the current winners of recently ended
+ * giveaways are retried. A "delivering" row is left alone, since the prize may
+ * already have been paid before the run died.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<void>}
+ */
+export async function retryUndeliveredPrizes(env) {
+	const cutoff = Date.now() - PRIZE_RETRY_DAYS * 24 * 60 * 60 * 1000;
+	const giveaways = (await getGiveaways(env)).filter(
+		(giveaway) =>
+			giveaway.status === "ended" &&
+			giveaway.prizeType &&
+			new Date(giveaway.endTime).getTime() >= cutoff
+	);
+
+	const storage = getStorage(env);
+
+	for (const giveaway of giveaways) {
+		try {
+			const winners = await getGiveawayWinners(giveaway.id, env);
+			const rows = await storage.getRows("GiveawayWinners", {
+				giveawayId: giveaway.id,
+			});
+			const retry = winners.filter((userId) =>
+				rows.some(
+					(row) =>
+						String(row.userId) === userId &&
+						(row.prizeStatus === "failed" || row.prizeStatus === "pending")
+				)
+			);
+			if (retry.length === 0) continue;
+
+			for (const userId of retry) {
+				await storage.updateRows(
+					"GiveawayWinners",
+					{ giveawayId: giveaway.id, userId, prizeStatus: "failed" },
+					{ prizeStatus: "pending" }
+				);
+			}
+
+			const result = await deliverGiveawayPrizes(giveaway, retry, env);
+			console.log(
+				`Retried giveaway ${giveaway.id} prizes: ${result.delivered.length} delivered, ${result.failed.length} failed.`
+			);
+		} catch (e) {
+			console.error(`Error retrying giveaway ${giveaway.id} prizes:`, e);
+		}
+	}
+}
+
+/**
+ * Pays one winner.
+ * @param {object} giveaway - The giveaway details.
+ * @param {string} userId - The winner's user ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the winner has the prize afterwards.
+ */
+async function deliverPrize(giveaway, userId, env) {
+	if (giveaway.prizeType === "coins") {
+		let credit = { success: false };
+		const ran = await runWithUserLock(userId, env, async () => {
+			credit = await creditCurrency(
+				userId,
+				parseInt(giveaway.prizeValue, 10) || 0,
+				"giveaway_prize",
+				env,
+				giveaway.id
+			);
+		});
+		return ran && credit.success;
+	}
+
+	if (giveaway.prizeType === "role") {
+		const unlockedRoles = await getUnlockedRoles(userId, env);
+		if (unlockedRoles.includes(giveaway.prizeValue)) {
+			return true; // Already owned; nothing to add
+		}
+		return await addUnlockedRole(userId, giveaway.prizeValue, env);
+	}
+
+	console.error(`Unknown prize type "${giveaway.prizeType}"`);
+	return false;
+}
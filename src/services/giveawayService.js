@@ -3,10 +3,76 @@
  * Manages giveaway creation, participation, and winner selection
  */
 
-import { getGoogleAuthToken } from "../utils/googleAuth.js";
+import { getStorage } from "../storage/index.js";
+import { creditCurrency } from "./currencyService.js";
+import { runWithUserLock } from "../durableObjects/userLock.js";
+import { getSettings, SETTINGS } from "./settingsService.js";
+import {
+	createDrawSeed,
+	drawWinners,
+	hashDrawPool,
+} from "../utils/fairDraw.js";
+
+// How long a giveaway may sit in "ending" before its claim counts as abandoned
+const ENDING_CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Converts a Giveaways row into a giveaway object.
+ * @param {object} row - The storage row
+ * @returns {object} Giveaway details
+ */
+function toGiveaway(row) {
+	return {
+		id: String(row.id),
+		title: row.title,
+		description: row.description,
+		prize: row.prize,
+		winnersCount: parseInt(row.winnersCount, 10),
+		endTime: row.endTime,
+		channelId: String(row.channelId),
+		messageId: row.messageId ? String(row.messageId) : null,
+		creatorId: String(row.creatorId),
+		createdAt: row.createdAt,
+		status: row.status || "active",
+		requirements: {
+			requiredRoleIds: splitIds(row.requiredRoleIds),
+			excludedRoleIds: splitIds(row.excludedRoleIds),
+			minBalance: parseInt(row.minBalance, 10) || 0,
+			minMemberDays: parseInt(row.minMemberDays, 10) || 0,
+		},
+		entryCost: parseInt(row.entryCost, 10) || 0,
+		maxTickets: parseInt(row.maxTickets, 10) || 1,
+		// Structured prize delivered automatically: "coins" (value = amount) or "role" (value = role ID)
+		prizeType: row.prizeType || null,
+		prizeValue: row.prizeValue ? String(row.prizeValue) : null,
+		// Days winners are kept out of later draws; null uses the server default
+		winnerCooldownDays:
+			row.winnerCooldownDays === null ||
+			row.winnerCooldownDays === undefined ||
+			row.winnerCooldownDays === ""
+				? null
+				: parseInt(row.winnerCooldownDays, 10) || 0,
+		// Server the giveaway was created in (null for giveaways created before this was stored)
+		guildId: row.guildId ? String(row.guildId) : null,
+		// When the giveaway was claimed for ending (see endGiveaway)
+		endingAt: row.endingAt || null,
+	};
+}
 
 /**
- * Creates a new giveaway in the Google Sheet.
+ * Splits a comma-separated ID list stored in a single column.
+ * @param {string} value - The stored list
+ * @returns {Array<string>} The IDs
+ */
+function splitIds(value) {
+	return String(value ?? "")
+		.split(",")
+		.map((id) => id.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Creates a new giveaway.
  * @param {string} title - The giveaway title
  * @param {string} description - The giveaway description
  * @param {string} prize - The prize description
@@ -17,6 +83,11 @@ import { getGoogleAuthToken } from "../utils/googleAuth.js";
  * @param {string} creatorId - Discord user ID of who created it
  * @param {object} env - Environment variables
  * @param {string} [giveawayId=null] - Optional pre-generated giveaway ID
+ * @param {object} [requirements={}] - Optional entry requirements (requiredRoleIds, excludedRoleIds, minBalance, minMemberDays)
+ * @param {object} [tickets={}] - Optional paid entry settings (entryCost per ticket, maxTickets per user)
+ * @param {object} [deliverable=null] - Optional prize to deliver automatically ({type: "coins"|"role", value})
+ * @param {number} [winnerCooldownDays=null] - Optional winner cooldown in days (0 = none); null uses the server default
+ * @param {string} [guildId=null] - The Discord server the giveaway was created in
  * @returns {Promise<string|null>} The giveaway ID or null if failed
  */
 export async function createGiveaway(
@@ -29,48 +100,61 @@ export async function createGiveaway(
 	messageId,
 	creatorId,
 	env,
-	giveawayId = null
+	giveawayId = null,
+	requirements = {},
+	tickets = {},
+	deliverable = null,
+	winnerCooldownDays = null,
+	guildId = null
 ) {
-	const sheetName = "Giveaways";
-	const token = await getGoogleAuthToken(env);
 	const finalGiveawayId = giveawayId || Date.now().toString(); // Use provided ID or generate new one
 	const createdAt = new Date().toISOString();
 
 	try {
-		const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
-
-		const response = await fetch(appendUrl, {
-			method: "POST",
-			headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json",
+		const created = await getStorage(env).appendRows("Giveaways", [
+			{
+				id: finalGiveawayId,
+				title,
+				description,
+				prize,
+				winnersCount,
+				endTime,
+				channelId,
+				messageId,
+				creatorId,
+				createdAt,
+				status: "active",
+				requiredRoleIds: (requirements.requiredRoleIds || []).join(","),
+				excludedRoleIds: (requirements.excludedRoleIds || []).join(","),
+				minBalance: requirements.minBalance || 0,
+				minMemberDays: requirements.minMemberDays || 0,
+				entryCost: tickets.entryCost || 0,
+				maxTickets: tickets.maxTickets || 1,
+				prizeType: deliverable ? deliverable.type : null,
+				prizeValue: deliverable ? deliverable.value : null,
+				winnerCooldownDays,
+				guildId,
 			},
-			body: JSON.stringify({
-				values: [
-					[
-						finalGiveawayId,
-						title,
-						description,
-						prize,
-						winnersCount.toString(),
-						endTime,
-						channelId,
-						messageId,
-						creatorId,
-						createdAt,
-						"active", // status
-					],
-				],
-			}),
-		});
+		]);
 
-		return response.ok ? finalGiveawayId : null;
+		return created ? finalGiveawayId : null;
 	} catch (e) {
 		console.error("Error in createGiveaway:", e);
 		return null;
 	}
 }
 
+/**
+ * Checks whether a giveaway belongs to a server. Giveaways created before the
+ * server was stored have no GuildID and match every server.
+ * @param {object} giveaway - The giveaway details
+ * @param {string|null} guildId - The server ID; null matches every giveaway
+ * @returns {boolean} True if the giveaway belongs to the server
+ */
+function isInGuild(giveaway, guildId) {
+	return !guildId || !giveaway.guildId || giveaway.guildId === guildId;
+}
+
 /**
  * Adds a participant to a giveaway.
  * @param {string} giveawayId - The giveaway ID
@@ -79,8 +163,6 @@ export async function createGiveaway(
  * @returns {Promise<boolean>} True if successful
  */
 export async function joinGiveaway(giveawayId, userId, env) {
-	const sheetName = "GiveawayParticipants";
-	const token = await getGoogleAuthToken(env);
 	const joinedAt = new Date().toISOString();
 
 	console.log(
@@ -94,31 +176,20 @@ export async function joinGiveaway(giveawayId, userId, env) {
 			console.error(`Giveaway ${giveawayId} not found in Giveaways sheet!`);
 			return false;
 		}
-		console.log(`Giveaway found:`, giveaway);
 
 		// Check if user already joined
 		const isAlreadyJoined = await hasUserJoined(giveawayId, userId, env);
 		if (isAlreadyJoined) {
 			return false; // User already joined
 		}
-		const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
 
 		console.log(
 			`Adding participant - giveawayId: ${giveawayId}, userId: ${userId}`
 		);
 
-		const response = await fetch(appendUrl, {
-			method: "POST",
-			headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({
-				values: [[giveawayId, userId, joinedAt]],
-			}),
-		});
-
-		return response.ok;
+		return await getStorage(env).appendRows("GiveawayParticipants", [
+			{ giveawayId, userId, joinedAt, tickets: 1, coinsPaid: 0 },
+		]);
 	} catch (e) {
 		console.error("Error in joinGiveaway:", e);
 		return false;
@@ -126,43 +197,193 @@ export async function joinGiveaway(giveawayId, userId, env) {
 }
 
 /**
- * Checks if a user has already joined a giveaway.
+ * Removes a user's entry from a giveaway and refunds what they paid for tickets.
+ * The entry is deleted only if CoinsPaid still holds the amount read, which
+ * makes the delete a compare-and-set against cancelGiveaway's refunds.
+ * Callers hold the user's lock, so ticket purchases can't interleave.
  * @param {string} giveawayId - The giveaway ID
  * @param {string} userId - Discord user ID
  * @param {object} env - Environment variables
- * @returns {Promise<boolean>} True if user has joined
+ * @returns {Promise<{left: boolean, refunded: number, refundFailed: boolean}>} Whether the entry was removed, how many coins were refunded and whether the refund failed
  */
-export async function hasUserJoined(giveawayId, userId, env) {
-	const sheetName = "GiveawayParticipants";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
+export async function leaveGiveaway(giveawayId, userId, env) {
+	const notLeft = { left: false, refunded: 0, refundFailed: false };
 
-	console.log(
-		`hasUserJoined called with giveawayId: ${giveawayId} (type: ${typeof giveawayId}), userId: ${userId}`
-	);
+	try {
+		const storage = getStorage(env);
+		const [entry] = await storage.getRows("GiveawayParticipants", {
+			giveawayId,
+			userId,
+		});
+		if (!entry) return notLeft;
+
+		const coinsPaid = parseInt(entry.coinsPaid, 10) || 0;
+		const deleted = await storage.deleteRows("GiveawayParticipants", {
+			giveawayId,
+			userId,
+			coinsPaid,
+		});
+		if (deleted === 0) return notLeft;
+
+		if (coinsPaid === 0) {
+			return { left: true, refunded: 0, refundFailed: false };
+		}
+
+		const refund = await creditCurrency(
+			userId,
+			coinsPaid,
+			"giveaway_refund",
+			env,
+			giveawayId
+		);
+		if (!refund.success) {
+			console.error(
+				`Failed to refund ${coinsPaid} coins to ${userId} after leaving giveaway ${giveawayId}`
+			);
+		}
+
+		return {
+			left: true,
+			refunded: refund.success ? coinsPaid : 0,
+			refundFailed: !refund.success,
+		};
+	} catch (e) {
+		console.error("Error in leaveGiveaway:", e);
+		return notLeft;
+	}
+}
 
+/**
+ * Adds one paid ticket for a user, creating their entry on the first ticket.
+ * Callers hold the user's lock, so the read-then-update can't race itself.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {string} userId - Discord user ID
+ * @param {number} coinsPaid - What the ticket cost
+ * @param {object} env - Environment variables
+ * @returns {Promise<number|null>} The user's ticket count, or null if it failed
+ */
+export async function addGiveawayTicket(giveawayId, userId, coinsPaid, env) {
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
+		const storage = getStorage(env);
+		const [entry] = await storage.getRows("GiveawayParticipants", {
+			giveawayId,
+			userId,
 		});
-		const data = await response.json();
-		const rows = data.values || [];
 
-		console.log(`All participants data:`, rows);
-		console.log(
-			`Filtering for giveaway ${giveawayId}:`,
-			rows.filter((row) => {
-				console.log(
-					`Comparing: "${
-						row[0]
-					}" (${typeof row[0]}) === "${giveawayId}" (${typeof giveawayId})`
-				);
-				return row[0] === giveawayId;
-			})
+		if (!entry) {
+			await storage.appendRows("GiveawayParticipants", [
+				{
+					giveawayId,
+					userId,
+					joinedAt: new Date().toISOString(),
+					tickets: 1,
+					coinsPaid,
+				},
+			]);
+			return 1;
+		}
+
+		const tickets = (parseInt(entry.tickets, 10) || 1) + 1;
+		const updated = await storage.updateRows(
+			"GiveawayParticipants",
+			{ giveawayId, userId },
+			{
+				tickets,
+				coinsPaid: (parseInt(entry.coinsPaid, 10) || 0) + coinsPaid,
+			}
 		);
 
-		return rows.some((row) => row[0] === giveawayId && row[1] === userId);
+		return updated > 0 ? tickets : null;
+	} catch (e) {
+		console.error("Error in addGiveawayTicket:", e);
+		return null;
+	}
+}
+
+/**
+ * Gets how many tickets a user holds in a giveaway.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {string} userId - Discord user ID
+ * @param {object} env - Environment variables
+ * @returns {Promise<number>} The ticket count (0 if they haven't entered)
+ */
+export async function getUserTickets(giveawayId, userId, env) {
+	try {
+		const [entry] = await getStorage(env).getRows("GiveawayParticipants", {
+			giveawayId,
+			userId,
+		});
+
+		return entry ? parseInt(entry.tickets, 10) || 1 : 0;
+	} catch (e) {
+		console.error("Error in getUserTickets:", e);
+		return 0;
+	}
+}
+
+/**
+ * Checks a member against a giveaway's entry requirements.
+ * @param {object} giveaway - The giveaway details
+ * @param {object} member - The interaction's guild member (roles, joined_at)
+ * @param {number} balance - The member's coin balance
+ * @returns {string|null} Why the member can't enter, or null if they meet every requirement
+ */
+export function getUnmetRequirement(giveaway, member, balance) {
+	const { requiredRoleIds, excludedRoleIds, minBalance, minMemberDays } =
+		giveaway.requirements;
+	const memberRoles = member.roles || [];
+
+	const missingRoles = requiredRoleIds.filter(
+		(roleId) => !memberRoles.includes(roleId)
+	);
+	if (missingRoles.length > 0) {
+		return `You need the ${missingRoles
+			.map((roleId) => `<@&${roleId}>`)
+			.join(", ")} role${missingRoles.length > 1 ? "s" : ""} to enter.`;
+	}
+
+	const excludedRole = excludedRoleIds.find((roleId) =>
+		memberRoles.includes(roleId)
+	);
+	if (excludedRole) {
+		return `Members with the <@&${excludedRole}> role can't enter this giveaway.`;
+	}
+
+	if (balance < minBalance) {
+		return `You need at least **${minBalance.toLocaleString()} coins** to enter (you have ${balance.toLocaleString()}).`;
+	}
+
+	if (minMemberDays > 0) {
+		const joinedAt = new Date(member.joined_at);
+		const memberDays = (Date.now() - joinedAt.getTime()) / (1000 * 3600 * 24);
+		if (!(memberDays >= minMemberDays)) {
+			const canEnterAt = Math.floor(
+				(joinedAt.getTime() + minMemberDays * 24 * 3600 * 1000) / 1000
+			);
+			return `You need to have been in the server for at least **${minMemberDays} day${
+				minMemberDays > 1 ? "s" : ""
+			}** to enter. You can enter <t:${canEnterAt}:R>.`;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Checks if a user has already joined a giveaway.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {string} userId - Discord user ID
+ * @param {object} env - Environment variables
+ * @returns {Promise<boolean>} True if user has joined
+ */
+export async function hasUserJoined(giveawayId, userId, env) {
+	try {
+		const rows = await getStorage(env).getRows("GiveawayParticipants", {
+			giveawayId,
+			userId,
+		});
+
+		return rows.length > 0;
 	} catch (e) {
 		console.error("Error in hasUserJoined:", e);
 		return false;
@@ -176,19 +397,12 @@ export async function hasUserJoined(giveawayId, userId, env) {
  * @returns {Promise<Array<string>>} Array of user IDs
  */
 export async function getGiveawayParticipants(giveawayId, env) {
-	const sheetName = "GiveawayParticipants";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
+		const rows = await getStorage(env).getRows("GiveawayParticipants", {
+			giveawayId,
 		});
-		const data = await response.json();
-		const rows = data.values || [];
 
-		return rows.filter((row) => row[0] === giveawayId).map((row) => row[1]);
+		return rows.map((row) => String(row.userId));
 	} catch (e) {
 		console.error("Error in getGiveawayParticipants:", e);
 		return [];
@@ -196,57 +410,44 @@ export async function getGiveawayParticipants(giveawayId, env) {
 }
 
 /**
- * Gets giveaway details by ID.
+ * Gets every entry in a giveaway with its ticket count.
  * @param {string} giveawayId - The giveaway ID
  * @param {object} env - Environment variables
- * @returns {Promise<object|null>} Giveaway details or null
+ * @returns {Promise<Array<{userId: string, tickets: number, coinsPaid: number}>>} The entries
  */
-export async function getGiveaway(giveawayId, env) {
-	const sheetName = "Giveaways";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:K`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
-	console.log(
-		`getGiveaway called with giveawayId: ${giveawayId} (type: ${typeof giveawayId})`
-	);
-
+export async function getGiveawayEntries(giveawayId, env) {
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
+		const rows = await getStorage(env).getRows("GiveawayParticipants", {
+			giveawayId,
 		});
-		const data = await response.json();
-		const rows = data.values || [];
 
-		console.log(`All giveaways data:`, rows);
-		console.log(
-			`Looking for giveaway ${giveawayId}:`,
-			rows.filter((row) => {
-				console.log(
-					`Comparing: "${
-						row[0]
-					}" (${typeof row[0]}) === "${giveawayId}" (${typeof giveawayId})`
-				);
-				return row[0] === giveawayId;
-			})
-		);
+		return rows.map((row) => ({
+			userId: String(row.userId),
+			tickets: parseInt(row.tickets, 10) || 1,
+			coinsPaid: parseInt(row.coinsPaid, 10) || 0,
+		}));
+	} catch (e) {
+		console.error("Error in getGiveawayEntries:", e);
+		return [];
+	}
+}
 
-		const giveawayRow = rows.find((row) => row[0] === giveawayId);
+/**
+ * Gets giveaway details by ID.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {object} env - Environment variables
+ * @param {string} [guildId=null] - Only find the giveaway if it belongs to this server
+ * @returns {Promise<object|null>} Giveaway details or null
+ */
+export async function getGiveaway(giveawayId, env, guildId = null) {
+	try {
+		const [giveawayRow] = await getStorage(env).getRows("Giveaways", {
+			id: giveawayId,
+		});
 		if (!giveawayRow) return null;
 
-		return {
-			id: giveawayRow[0],
-			title: giveawayRow[1],
-			description: giveawayRow[2],
-			prize: giveawayRow[3],
-			winnersCount: parseInt(giveawayRow[4], 10),
-			endTime: giveawayRow[5],
-			channelId: giveawayRow[6],
-			messageId: giveawayRow[7],
-			creatorId: giveawayRow[8],
-			createdAt: giveawayRow[9],
-			status: giveawayRow[10] || "active",
-		};
+		const giveaway = toGiveaway(giveawayRow);
+		return isInGuild(giveaway, guildId) ? giveaway : null;
 	} catch (e) {
 		console.error("Error in getGiveaway:", e);
 		return null;
@@ -256,31 +457,25 @@ export async function getGiveaway(giveawayId, env) {
 /**
  * Gets recent winners to enforce fairness (exclude from new giveaways).
  * @param {object} env - Environment variables
- * @param {number} daysCooldown - Number of days to exclude recent winners (default: 30)
+ * @param {number} daysCooldown - Number of days to exclude recent winners (default: 60, 0 = none)
  * @returns {Promise<Array<string>>} Array of user IDs who won recently
  */
-export async function getRecentWinners(env, daysCooldown = 60) {
-	const sheetName = "GiveawayWinners";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:C`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
+export async function getRecentWinners(
+	env,
+	daysCooldown = SETTINGS.winnerCooldownDays.defaultValue
+) {
+	if (daysCooldown <= 0) return [];
 
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		const rows = data.values || [];
+		const rows = await getStorage(env).getRows("GiveawayWinners");
 
 		const cutoffDate = new Date();
 		cutoffDate.setDate(cutoffDate.getDate() - daysCooldown);
 
+		// Winners a reroll replaced didn't keep the win
 		return rows
-			.filter((row) => {
-				const winDate = new Date(row[2]); // Assuming column C has win date
-				return winDate >= cutoffDate;
-			})
-			.map((row) => row[1]); // Column B has user ID
+			.filter((row) => !row.supersededAt && new Date(row.winDate) >= cutoffDate)
+			.map((row) => String(row.userId));
 	} catch (e) {
 		console.error("Error in getRecentWinners:", e);
 		return [];
@@ -292,28 +487,34 @@ export async function getRecentWinners(env, daysCooldown = 60) {
  * @param {string} giveawayId - The giveaway ID
  * @param {Array<string>} winners - Array of winner user IDs
  * @param {object} env - Environment variables
+ * @param {boolean} [hasDeliverablePrize=false] - Whether the prize is delivered automatically
+ * @param {object} [draw=null] - How the winners were drawn ({seed, snapshotHash, excludedUserIds})
  * @returns {Promise<boolean>} True if successful
  */
-export async function recordWinners(giveawayId, winners, env) {
-	const sheetName = "GiveawayWinners";
-	const token = await getGoogleAuthToken(env);
+export async function recordWinners(
+	giveawayId,
+	winners,
+	env,
+	hasDeliverablePrize = false,
+	draw = null
+) {
 	const winDate = new Date().toISOString();
+	const prizeStatus = hasDeliverablePrize ? "pending" : "none";
 
 	try {
-		const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
-
-		const values = winners.map((userId) => [giveawayId, userId, winDate]);
-
-		const response = await fetch(appendUrl, {
-			method: "POST",
-			headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({ values }),
-		});
-
-		return response.ok;
+		return await getStorage(env).appendRows(
+			"GiveawayWinners",
+			winners.map((userId) => ({
+				giveawayId,
+				userId,
+				winDate,
+				prizeStatus,
+				drawSeed: draw?.seed ?? null,
+				snapshotHash: draw?.snapshotHash ?? null,
+				excludedUserIds: draw ? draw.excludedUserIds.join(",") : null,
+				supersededAt: null,
+			}))
+		);
 	} catch (e) {
 		console.error("Error in recordWinners:", e);
 		return false;
@@ -322,39 +523,139 @@ export async function recordWinners(giveawayId, winners, env) {
 
 /**
  * Selects random winners from giveaway participants.
+ * The draw is seeded from crypto.getRandomValues and recorded with the seed,
+ * a hash of the pool and the users excluded as recent winners, so
+ * verifyGiveawayDraws can recompute it later (see utils/fairDraw.js).
  * @param {string} giveawayId - The giveaway ID
  * @param {number} winnersCount - Number of winners to select
  * @param {object} env - Environment variables
- * @returns {Promise<Array<string>>} Array of winner user IDs
+ * @param {Array<string>} [ineligibleUserIds=[]] - Users who can never be drawn (a reroll's earlier winners), even when the cooldown is relaxed
+ * @returns {Promise<{winners: Array<string>, cooldownRelaxed: boolean}>} The winner user IDs, and whether every entrant was on the winner cooldown so it was ignored
  */
-export async function selectWinners(giveawayId, winnersCount, env) {
-	const participants = await getGiveawayParticipants(giveawayId, env);
+export async function selectWinners(
+	giveawayId,
+	winnersCount,
+	env,
+	ineligibleUserIds = []
+) {
+	const entries = (await getGiveawayEntries(giveawayId, env)).filter(
+		(entry) => !ineligibleUserIds.includes(entry.userId)
+	);
+
+	if (entries.length === 0) return { winners: [], cooldownRelaxed: false };
 
-	if (participants.length === 0) return [];
+	const giveaway = await getGiveaway(giveawayId, env);
+	const cooldownDays =
+		giveaway?.winnerCooldownDays ??
+		(await getSettings(giveaway?.guildId ?? null, env)).winnerCooldownDays;
 
 	// Get recent winners to exclude for fairness
-	const recentWinners = await getRecentWinners(env);
-	const eligibleParticipants = participants.filter(
-		(userId) => !recentWinners.includes(userId)
-	);
+	const recentWinners = await getRecentWinners(env, cooldownDays);
+	const onCooldown = [
+		...new Set(
+			entries
+				.map((entry) => entry.userId)
+				.filter((userId) => recentWinners.includes(userId))
+		),
+	];
+
+	let pool = entries.filter((entry) => !onCooldown.includes(entry.userId));
 
 	// If no eligible participants after filtering, use all participants
-	const finalParticipants =
-		eligibleParticipants.length > 0 ? eligibleParticipants : participants;
-
-	// Shuffle array and take the first N participants as winners
-	const shuffled = finalParticipants.sort(() => 0.5 - Math.random());
-	const selectedWinners = shuffled.slice(
-		0,
-		Math.min(winnersCount, finalParticipants.length)
-	);
+	const cooldownRelaxed = pool.length === 0;
+	if (cooldownRelaxed) {
+		pool = entries;
+	}
+	const excludedUserIds = [
+		...new Set([...ineligibleUserIds, ...(cooldownRelaxed ? [] : onCooldown)]),
+	];
 
-	// Record the winners
+	const seed = createDrawSeed();
+	const selectedWinners = await drawWinners(pool, winnersCount, seed);
+
+	// Record the winners, marking coin/role prizes as awaiting delivery
 	if (selectedWinners.length > 0) {
-		await recordWinners(giveawayId, selectedWinners, env);
+		await recordWinners(
+			giveawayId,
+			selectedWinners,
+			env,
+			Boolean(giveaway?.prizeType),
+			{ seed, snapshotHash: await hashDrawPool(pool), excludedUserIds }
+		);
 	}
 
-	return selectedWinners;
+	return { winners: selectedWinners, cooldownRelaxed };
+}
+
+/**
+ * Recomputes every recorded draw of a giveaway from its seed and the current
+ * participants. A draw checks out when the rebuilt pool hashes to the stored
+ * snapshot hash and the reshuffle picks the same winners.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {object} env - Environment variables
+ * @returns {Promise<Array<object>>} One result per draw, oldest first ({drawnAt, seed, snapshotHash, recomputedHash, recordedWinners, recomputedWinners, hashMatches, winnersMatch}); seed is null for draws made before seeds were recorded
+ */
+export async function verifyGiveawayDraws(giveawayId, env) {
+	try {
+		const rows = await getStorage(env).getRows("GiveawayWinners", {
+			giveawayId,
+		});
+		const entries = await getGiveawayEntries(giveawayId, env);
+
+		// Rows from one draw share a win date and seed
+		const draws = new Map();
+		for (const row of rows) {
+			const key = `${row.winDate}|${row.drawSeed || ""}`;
+			if (!draws.has(key)) {
+				draws.set(key, {
+					drawnAt: row.winDate,
+					seed: row.drawSeed || null,
+					snapshotHash: row.snapshotHash || null,
+					excludedUserIds: String(row.excludedUserIds || "")
+						.split(",")
+						.filter(Boolean),
+					recordedWinners: [],
+				});
+			}
+			draws.get(key).recordedWinners.push(String(row.userId));
+		}
+
+		const results = [];
+		for (const draw of draws.values()) {
+			const { excludedUserIds, ...result } = draw;
+			if (!draw.seed) {
+				results.push(result);
+				continue;
+			}
+
+			const pool = entries.filter(
+				(entry) => !excludedUserIds.includes(entry.userId)
+			);
+			const recomputedHash = await hashDrawPool(pool);
+			const recomputedWinners = await drawWinners(
+				pool,
+				draw.recordedWinners.length,
+				draw.seed
+			);
+
+			results.push({
+				...result,
+				recomputedHash,
+				recomputedWinners,
+				hashMatches: recomputedHash === draw.snapshotHash,
+				winnersMatch:
+					recomputedWinners.length === draw.recordedWinners.length &&
+					recomputedWinners.every((userId) =>
+						draw.recordedWinners.includes(userId)
+					),
+			});
+		}
+
+		return results.sort((a, b) => new Date(a.drawnAt) - new Date(b.drawnAt));
+	} catch (e) {
+		console.error("Error in verifyGiveawayDraws:", e);
+		return [];
+	}
 }
 
 /**
@@ -365,84 +666,422 @@ export async function selectWinners(giveawayId, winnersCount, env) {
  * @returns {Promise<boolean>} True if successful
  */
 export async function updateGiveawayStatus(giveawayId, status, env) {
-	const sheetName = "Giveaways";
-	const token = await getGoogleAuthToken(env);
+	try {
+		const updated = await getStorage(env).updateRows(
+			"Giveaways",
+			{ id: giveawayId },
+			{ status }
+		);
+
+		return updated > 0;
+	} catch (e) {
+		console.error("Error in updateGiveawayStatus:", e);
+		return false;
+	}
+}
+
+/**
+ * Checks whether a giveaway was claimed for ending so long ago that the run
+ * that claimed it must have died. Claims from before EndingAt was stored have
+ * no time and always count as abandoned.
+ * @param {object} giveaway - The giveaway details
+ * @returns {boolean} True if the giveaway is stuck in "ending"
+ */
+export function isAbandonedEnding(giveaway) {
+	return (
+		giveaway.status === "ending" &&
+		(!giveaway.endingAt ||
+			Date.now() - new Date(giveaway.endingAt).getTime() >=
+				ENDING_CLAIM_TIMEOUT_MS)
+	);
+}
+
+/**
+ * Ends an active giveaway: claims it, selects winners and marks it ended.
+ * The claim is a compare-and-set from "active" to "ending". On D1 that is a
+ * single UPDATE, so when a cron run races /giveaway end (or another cron run)
+ * only one of them picks winners. On Google Sheets updateRows reads and then
+ * writes, so the claim is also serialized through the UserLock Durable Object
+ * (keyed by giveaway); without the USER_LOCK binding two runs can still both
+ * claim a giveaway there.
+ * A claim that was abandoned (see isAbandonedEnding) is taken over, keeping any
+ * winners the dead run already drew.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {number} winnersCount - Number of winners to select
+ * @param {object} env - Environment variables
+ * @returns {Promise<{ended: boolean, winners: Array<string>, participantCount: number, cooldownRelaxed: boolean}>} Whether this call ended the giveaway, and its results
+ */
+export async function endGiveaway(giveawayId, winnersCount, env) {
+	let claim = null;
+	const locked = await runWithUserLock(
+		`giveaway:${giveawayId}`,
+		env,
+		async () => {
+			claim = await claimGiveawayForEnding(giveawayId, env);
+		}
+	);
+
+	if (!locked || !claim) {
+		return {
+			ended: false,
+			winners: [],
+			participantCount: 0,
+			cooldownRelaxed: false,
+		};
+	}
+
+	let winners = [];
+	let cooldownRelaxed = false;
+	if (claim.takenOver) {
+		// The abandoned run may have drawn winners before it died
+		winners = await getGiveawayWinners(giveawayId, env);
+	}
+	if (winners.length === 0) {
+		({ winners, cooldownRelaxed } = await selectWinners(
+			giveawayId,
+			winnersCount,
+			env
+		));
+	}
+	const participants = await getGiveawayParticipants(giveawayId, env);
+
+	if (!(await updateGiveawayStatus(giveawayId, "ended", env))) {
+		console.error(`Giveaway ${giveawayId} ended but its status wasn't saved.`);
+	}
+
+	return {
+		ended: true,
+		winners,
+		participantCount: participants.length,
+		cooldownRelaxed,
+	};
+}
 
+/**
+ * Claims a giveaway for ending: an active one, or one whose earlier claim was
+ * abandoned.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {object} env - Environment variables
+ * @returns {Promise<{takenOver: boolean}|null>} The claim, or null if the giveaway can't be claimed
+ */
+async function claimGiveawayForEnding(giveawayId, env) {
 	try {
-		// Find the row with this giveaway ID
-		const findRange = `${sheetName}!A:A`;
-		const findUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${findRange}`;
+		const storage = getStorage(env);
+		const endingAt = new Date().toISOString();
 
-		const findResponse = await fetch(findUrl, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const findData = await findResponse.json();
-		const rows = findData.values || [];
-		const rowIndex = rows.findIndex((row) => row[0] === giveawayId);
+		const claimed = await storage.updateRows(
+			"Giveaways",
+			{ id: giveawayId, status: "active" },
+			{ status: "ending", endingAt }
+		);
+		if (claimed > 0) {
+			return { takenOver: false };
+		}
 
-		if (rowIndex === -1) return false;
+		const [row] = await storage.getRows("Giveaways", { id: giveawayId });
+		if (!row || !isAbandonedEnding(toGiveaway(row))) {
+			return null;
+		}
 
-		// Update the status column (column K, index 10)
-		const updateRange = `${sheetName}!K${rowIndex + 1}`;
-		const updateUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${updateRange}?valueInputOption=USER_ENTERED`;
+		const takenOver = await storage.updateRows(
+			"Giveaways",
+			{ id: giveawayId, status: "ending", endingAt: row.endingAt },
+			{ endingAt }
+		);
+		if (takenOver === 0) return null;
 
-		const updateResponse = await fetch(updateUrl, {
-			method: "PUT",
-			headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({ values: [[status]] }),
-		});
+		console.log(`Taking over abandoned ending of giveaway ${giveawayId}.`);
+		return { takenOver: true };
+	} catch (e) {
+		console.error("Error claiming giveaway for ending:", e);
+		return null;
+	}
+}
+
+/**
+ * Rerolls an ended giveaway: redraws every winner, or only the given ones.
+ * Nobody who has won this giveaway before (current winners and those already
+ * rerolled out) can be drawn again. The replaced winners' rows are marked
+ * with SupersededAt instead of being deleted, so the history stays intact.
+ * Winners whose coin or role prize was already delivered keep their win unless
+ * includeDelivered is set, since rerolling them would hand out the prize again.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {number} winnersCount - Number of winners for a full reroll
+ * @param {object} env - Environment variables
+ * @param {Array<string>} [replaceUserIds=null] - The winners to replace; null redraws everyone
+ * @param {boolean} [includeDelivered=false] - Also replace winners who already received their prize
+ * @returns {Promise<{winners: Array<string>, newWinners: Array<string>, replaced: Array<string>, kept: Array<string>, notWinners: Array<string>, cooldownRelaxed: boolean}>} The current winners afterwards, who was drawn and who they replaced; kept lists winners left in place because their prize was delivered; notWinners lists requested users who aren't current winners (nothing is rerolled then)
+ */
+export async function rerollGiveaway(
+	giveawayId,
+	winnersCount,
+	env,
+	replaceUserIds = null,
+	includeDelivered = false
+) {
+	const result = {
+		winners: [],
+		newWinners: [],
+		replaced: [],
+		kept: [],
+		notWinners: [],
+		cooldownRelaxed: false,
+	};
+
+	try {
+		const storage = getStorage(env);
+		const rows = await storage.getRows("GiveawayWinners", { giveawayId });
+		const currentRows = currentWinnerRows(rows);
+		const currentIds = currentRows.map((row) => String(row.userId));
+		result.winners = currentIds;
+
+		if (replaceUserIds) {
+			result.notWinners = replaceUserIds.filter(
+				(userId) => !currentIds.includes(userId)
+			);
+			if (result.notWinners.length > 0) return result;
+		}
+
+		// A delivered (or in-flight) prize can't be taken back
+		result.kept = includeDelivered
+			? []
+			: currentRows
+					.filter(
+						(row) =>
+							(row.prizeStatus === "delivered" ||
+								row.prizeStatus === "delivering") &&
+							(!replaceUserIds || replaceUserIds.includes(String(row.userId)))
+					)
+					.map((row) => String(row.userId));
+		const replaceable = (replaceUserIds || currentIds).filter(
+			(userId) => !result.kept.includes(userId)
+		);
+		if (replaceable.length === 0 && result.kept.length > 0) return result;
+
+		const previousWinners = [...new Set(rows.map((row) => String(row.userId)))];
+		const { winners: newWinners, cooldownRelaxed } = await selectWinners(
+			giveawayId,
+			replaceUserIds
+				? replaceable.length
+				: Math.max(winnersCount - result.kept.length, 0),
+			env,
+			previousWinners
+		);
+		if (newWinners.length === 0) return result;
+
+		// A partial reroll only replaces as many winners as it could draw
+		const replaced = replaceUserIds
+			? replaceable.slice(0, newWinners.length)
+			: replaceable;
 
-		return updateResponse.ok;
+		// Also retire draws from before rerolls were tracked (see currentWinnerRows)
+		const supersededAt = new Date().toISOString();
+		const toSupersede = rows.filter(
+			(row) =>
+				!row.supersededAt &&
+				(!currentRows.includes(row) || replaced.includes(String(row.userId)))
+		);
+		for (const row of toSupersede) {
+			await storage.updateRows(
+				"GiveawayWinners",
+				{ giveawayId, userId: row.userId, winDate: row.winDate },
+				{ supersededAt }
+			);
+		}
+
+		return {
+			winners: [
+				...currentIds.filter((userId) => !replaced.includes(userId)),
+				...newWinners,
+			],
+			newWinners,
+			replaced,
+			kept: result.kept,
+			notWinners: [],
+			cooldownRelaxed,
+		};
 	} catch (e) {
-		console.error("Error in updateGiveawayStatus:", e);
-		return false;
+		console.error("Error in rerollGiveaway:", e);
+		return result;
 	}
 }
 
 /**
- * Gets all active giveaways that have ended.
+ * Cancels an active giveaway and refunds every coin paid for its tickets.
+ * Like endGiveaway, the status change is a compare-and-set taken under the
+ * giveaway's lock, so refunds are only issued once even if the cancel runs
+ * twice, and a cancel can't interleave with an end on Google Sheets (where
+ * the compare-and-set reads and then writes). Each refund also claims the
+ * entry by zeroing its CoinsPaid, so a user leaving at the same moment can't
+ * be refunded twice.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {object} env - Environment variables
+ * @returns {Promise<{cancelled: boolean, refunded: number, failedRefunds: Array<string>}>} Whether this call cancelled it, how many users were refunded and whose refunds failed
+ */
+export async function cancelGiveaway(giveawayId, env) {
+	let claimed = 0;
+	const locked = await runWithUserLock(
+		`giveaway:${giveawayId}`,
+		env,
+		async () => {
+			try {
+				claimed = await getStorage(env).updateRows(
+					"Giveaways",
+					{ id: giveawayId, status: "active" },
+					{ status: "cancelled" }
+				);
+			} catch (e) {
+				console.error("Error in cancelGiveaway:", e);
+			}
+		}
+	);
+
+	if (!locked || claimed === 0) {
+		return { cancelled: false, refunded: 0, failedRefunds: [] };
+	}
+
+	const paidEntries = (await getGiveawayEntries(giveawayId, env)).filter(
+		(entry) => entry.coinsPaid > 0
+	);
+	let refunded = 0;
+	const failedRefunds = [];
+
+	for (const entry of paidEntries) {
+		const claimed = await getStorage(env).updateRows(
+			"GiveawayParticipants",
+			{ giveawayId, userId: entry.userId, coinsPaid: entry.coinsPaid },
+			{ coinsPaid: 0 }
+		);
+		if (claimed === 0) {
+			continue; // They left (and were refunded) in the meantime
+		}
+
+		let refund = { success: false };
+		await runWithUserLock(entry.userId, env, async () => {
+			refund = await creditCurrency(
+				entry.userId,
+				entry.coinsPaid,
+				"giveaway_refund",
+				env,
+				giveawayId
+			);
+		});
+
+		if (refund.success) {
+			refunded++;
+		} else {
+			console.error(
+				`Failed to refund ${entry.coinsPaid} coins to ${entry.userId} for giveaway ${giveawayId}`
+			);
+			failedRefunds.push(entry.userId);
+		}
+	}
+
+	return { cancelled: true, refunded, failedRefunds };
+}
+
+/**
+ * Gets all active giveaways that have ended, and giveaways whose ending was
+ * abandoned part way (see isAbandonedEnding).
  * @param {object} env - Environment variables
  * @returns {Promise<Array<object>>} Array of ended giveaways
  */
 export async function getEndedGiveaways(env) {
-	const sheetName = "Giveaways";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:K`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		const rows = data.values || [];
+		const rows = await getStorage(env).getRows("Giveaways");
 		const now = new Date();
 
 		return rows
-			.slice(1) // Skip header
-			.filter((row) => {
-				const status = row[10] || "active";
-				const endTime = new Date(row[5]);
-				return status === "active" && endTime <= now;
-			})
-			.map((row) => ({
-				id: row[0],
-				title: row[1],
-				description: row[2],
-				prize: row[3],
-				winnersCount: parseInt(row[4], 10),
-				endTime: row[5],
-				channelId: row[6],
-				messageId: row[7],
-				creatorId: row[8],
-				createdAt: row[9],
-				status: row[10] || "active",
-			}));
+			.map(toGiveaway)
+			.filter(
+				(giveaway) =>
+					(giveaway.status === "active" && new Date(giveaway.endTime) <= now) ||
+					isAbandonedEnding(giveaway)
+			);
 	} catch (e) {
 		console.error("Error in getEndedGiveaways:", e);
 		return [];
 	}
 }
+
+/**
+ * Gets every giveaway, newest first.
+ * @param {object} env - Environment variables
+ * @param {string} [guildId=null] - Only include giveaways from this server; null includes every server
+ * @returns {Promise<Array<object>>} Array of giveaways
+ */
+export async function getGiveaways(env, guildId = null) {
+	try {
+		const rows = await getStorage(env).getRows("Giveaways");
+
+		return rows
+			.map(toGiveaway)
+			.filter((giveaway) => isInGuild(giveaway, guildId))
+			.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+	} catch (e) {
+		console.error("Error in getGiveaways:", e);
+		return [];
+	}
+}
+
+/**
+ * Picks a giveaway's current winners out of its GiveawayWinners rows.
+ * Rerolls mark the rows they replace with SupersededAt. Rows recorded before
+ * that was tracked are never marked, so until a giveaway has a marked row
+ * only its latest draw counts.
+ * @param {Array<object>} rows - The giveaway's GiveawayWinners rows
+ * @returns {Array<object>} The rows of the current winners
+ */
+function currentWinnerRows(rows) {
+	if (rows.some((row) => row.supersededAt)) {
+		return rows.filter((row) => !row.supersededAt);
+	}
+	if (rows.length === 0) return [];
+
+	const latest = rows.reduce((max, row) =>
+		new Date(row.winDate) > new Date(max.winDate) ? row : max
+	).winDate;
+	return rows.filter((row) => row.winDate === latest);
+}
+
+/**
+ * Gets a giveaway's current winners (after any rerolls).
+ * @param {string} giveawayId - The giveaway ID
+ * @param {object} env - Environment variables
+ * @returns {Promise<Array<string>>} Array of winner user IDs
+ */
+export async function getGiveawayWinners(giveawayId, env) {
+	try {
+		const rows = await getStorage(env).getRows("GiveawayWinners", {
+			giveawayId,
+		});
+
+		return currentWinnerRows(rows).map((row) => String(row.userId));
+	} catch (e) {
+		console.error("Error in getGiveawayWinners:", e);
+		return [];
+	}
+}
+
+/**
+ * Edits an active giveaway. Only applies while the giveaway is still active,
+ * so an edit can't race the end or cancel of the same giveaway.
+ * @param {string} giveawayId - The giveaway ID
+ * @param {object} changes - The fields to change (title, prize, endTime, winnersCount)
+ * @param {object} env - Environment variables
+ * @returns {Promise<boolean>} True if the giveaway was active and updated
+ */
+export async function updateGiveaway(giveawayId, changes, env) {
+	try {
+		const updated = await getStorage(env).updateRows(
+			"Giveaways",
+			{ id: giveawayId, status: "active" },
+			changes
+		);
+
+		return updated > 0;
+	} catch (e) {
+		console.error("Error in updateGiveaway:", e);
+		return false;
+	}
+}
@@ -2,41 +2,140 @@
  * Item Service - Handles shop item operations
  */
 
-import { getGoogleAuthToken } from "../utils/googleAuth.js";
+import { getStorage } from "../storage/index.js";
+
+// Item fields that /shopadmin can change, mapped to their storage columns
+const ITEM_COLUMNS = {
+	name: "name",
+	price: "price",
+	image_filename: "imageFilename",
+	description: "description",
+	disabled: "disabled",
+};
 
 /**
- * Retrieves the list of all available items from the "Items" sheet.
+ * Retrieves the list of shop items from the "Items" sheet.
+ * Disabled items are left out unless requested, so they can't be bought but
+ * members who already own them can still equip them.
  * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {boolean} [includeDisabled=false] - Whether to include disabled items.
  * @returns {Promise<Array<object>>} A list of item objects.
  */
-export async function getItems(env) {
-	const sheetName = "Items";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A2:E`; // Start from row 2 to skip headers
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
+export async function getItems(env, includeDisabled = false) {
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		const rows = data.values || [];
+		const rows = await getStorage(env).getRows("Items");
 
 		return rows
-			.map((row) => ({
-				name: row[0] || "Unnamed Item",
-				price: parseInt(row[1], 10) || 999999,
-				role_id: row[2] || "0",
-				image_filename: row[3] || null, // Now used for image support
-				description: row[4] || "No description available.", // Now used for descriptions
-			}))
-			.filter((item) => item.role_id !== "0"); // Filter out invalid items
+			.map((row) => {
+				// 0 is a free item; only an unreadable price falls back to 999999
+				const price = parseInt(row.price, 10);
+				return {
+					name: row.name || "Unnamed Item",
+					price: Number.isNaN(price) ? 999999 : price,
+					role_id: row.roleId ? String(row.roleId) : "0",
+					image_filename: row.imageFilename || null, // Now used for image support
+					description: row.description || "No description available.", // Now used for descriptions
+					disabled: isDisabledValue(row.disabled),
+				};
+			})
+			.filter((item) => item.role_id !== "0") // Filter out invalid items
+			.filter((item) => includeDisabled || !item.disabled);
 	} catch (e) {
 		console.error("Error in getItems:", e);
 		return [];
 	}
 }
 
+/**
+ * Adds a new item to the shop.
+ * @param {object} item - The item ({name, price, role_id, image_filename, description}).
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the item was added, false otherwise.
+ */
+export async function addItem(item, env) {
+	try {
+		await getStorage(env).appendRows("Items", [
+			{
+				name: item.name,
+				price: item.price,
+				roleId: item.role_id,
+				imageFilename: item.image_filename || null,
+				description: item.description || null,
+				disabled: 0,
+			},
+		]);
+		return true;
+	} catch (e) {
+		console.error("Error in addItem:", e);
+		return false;
+	}
+}
+
+/**
+ * Updates an existing shop item.
+ * @param {string} roleId - The role ID of the item to update.
+ * @param {object} changes - Item fields to change (name, price, image_filename, description, disabled).
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the item was updated, false otherwise.
+ */
+export async function updateItem(roleId, changes, env) {
+	const columnChanges = {};
+	for (const [field, column] of Object.entries(ITEM_COLUMNS)) {
+		if (changes[field] !== undefined) {
+			columnChanges[column] = changes[field];
+		}
+	}
+	if (columnChanges.disabled !== undefined) {
+		columnChanges.disabled = columnChanges.disabled ? 1 : 0;
+	}
+
+	try {
+		const updated = await getStorage(env).updateRows(
+			"Items",
+			{ roleId },
+			columnChanges
+		);
+
+		if (updated === 0) {
+			console.error(`Item for role ${roleId} not found for update.`);
+			return false;
+		}
+
+		return true;
+	} catch (e) {
+		console.error("Error in updateItem:", e);
+		return false;
+	}
+}
+
+/**
+ * Deletes an item from the shop. Members who bought it keep the role record.
+ * @param {string} roleId - The role ID of the item to delete.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if the item was deleted, false otherwise.
+ */
+export async function removeItem(roleId, env) {
+	try {
+		const deleted = await getStorage(env).deleteRows("Items", { roleId });
+		return deleted > 0;
+	} catch (e) {
+		console.error("Error in removeItem:", e);
+		return false;
+	}
+}
+
+/**
+ * Reads the Disabled column, which may hold 1/0 or TRUE/FALSE (typed in the sheet).
+ * @param {*} value - The raw column value.
+ * @returns {boolean} True if the item is disabled.
+ */
+function isDisabledValue(value) {
+	const text = String(value ?? "")
+		.trim()
+		.toLowerCase();
+	return text === "1" || text === "true" || text === "yes";
+}
+
 /**
  * Gets the image URL for an item, supporting Discord CDN links and other direct URLs.
  * @param {string} imageIdentifier - A direct image URL (Discord CDN, etc.) or Google Drive file ID.
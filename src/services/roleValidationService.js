@@ -0,0 +1,141 @@
+/**
+ * Role Validation Service - Checks whether the bot can hand out a role
+ */
+
+import { getGuildRoles, getGuildMember } from "./discordApiService.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+// Guild roles change rarely, so the shop reuses a recent snapshot instead of
+// calling Discord twice on every page turn.
+const ROLE_CONTEXT_TTL_MS = 60 * 1000;
+const roleContextCache = new Map();
+
+/**
+ * Checks that a role can be sold in the shop: it must exist, be assignable
+ * (not @everyone or managed by an integration), the bot must have Manage Roles
+ * and the role must sit below the bot's highest role, since Discord only lets
+ * the bot assign roles under its own.
+ * Always fetches fresh data so admins see the effect of fixes right away.
+ * @param {string} roleId - The role ID to check.
+ * @param {string} guildId - The guild (server) ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<{valid: boolean, reason: string|null}>} Whether the role is usable and, if not, why.
+ */
+export async function validateShopRole(roleId, guildId, env) {
+	const context = await getRoleContext(guildId, env, false);
+
+	if (!context) {
+		return {
+			valid: false,
+			reason:
+				"Couldn't load the server's roles from Discord. Please try again.",
+		};
+	}
+
+	const reason = findRoleProblem(roleId, guildId, context);
+	return { valid: !reason, reason };
+}
+
+/**
+ * Flags shop items whose role the bot can't currently assign.
+ * Each returned item has an `unavailable_reason` (null if it can be sold). If
+ * Discord can't be reached the items are returned unflagged with
+ * `role_checked: false`, so an API hiccup doesn't empty the shop.
+ * @param {Array<object>} items - The shop items.
+ * @param {string} guildId - The guild (server) ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {boolean} [useCache=true] - Whether a recent snapshot of the guild's roles may be used.
+ * @returns {Promise<Array<object>>} The items with `unavailable_reason` and `role_checked` set.
+ */
+export async function checkShopItems(items, guildId, env, useCache = true) {
+	const context = await getRoleContext(guildId, env, useCache);
+
+	return items.map((item) => ({
+		...item,
+		unavailable_reason: context
+			? findRoleProblem(item.role_id, guildId, context)
+			: null,
+		role_checked: Boolean(context),
+	}));
+}
+
+/**
+ * Loads the guild's roles and the bot's own roles.
+ * @param {string} guildId - The guild (server) ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @param {boolean} useCache - Whether a recent snapshot may be used.
+ * @returns {Promise<{roles: Array<object>, botRoleIds: Array<string>}|null>} The role context, or null if Discord couldn't be reached.
+ */
+async function getRoleContext(guildId, env, useCache) {
+	const cached = roleContextCache.get(guildId);
+	if (
+		useCache &&
+		cached &&
+		Date.now() - cached.fetchedAt < ROLE_CONTEXT_TTL_MS
+	) {
+		return cached;
+	}
+
+	const [roles, botMember] = await Promise.all([
+		getGuildRoles(guildId, env),
+		getGuildMember(guildId, env.DISCORD_CLIENT_ID, env),
+	]);
+
+	if (!roles || !botMember) {
+		return null;
+	}
+
+	const context = {
+		roles,
+		// Every member implicitly has @everyone, whose ID is the guild ID
+		botRoleIds: [...botMember.roles, guildId],
+		fetchedAt: Date.now(),
+	};
+	roleContextCache.set(guildId, context);
+	return context;
+}
+
+/**
+ * Explains why the bot can't assign a role, if it can't.
+ * @param {string} roleId - The role ID to check.
+ * @param {string} guildId - The guild (server) ID.
+ * @param {object} context - The role context from getRoleContext.
+ * @returns {string|null} The problem, or null if the role can be assigned.
+ */
+function findRoleProblem(roleId, guildId, context) {
+	const role = context.roles.find((r) => r.id === roleId);
+	if (!role) {
+		return "That role doesn't exist in this server.";
+	}
+	if (role.id === guildId) {
+		return "@everyone can't be sold in the shop.";
+	}
+	if (role.managed) {
+		return `<@&${roleId}> is managed by an integration and can't be assigned.`;
+	}
+
+	const botRoles = context.roles.filter((r) =>
+		context.botRoleIds.includes(r.id)
+	);
+
+	const canManageRoles = botRoles.some((r) => {
+		const permissions = parseInt(r.permissions);
+		return (
+			(permissions & PERMISSIONS.ADMINISTRATOR) === PERMISSIONS.ADMINISTRATOR ||
+			(permissions & PERMISSIONS.MANAGE_ROLES) === PERMISSIONS.MANAGE_ROLES
+		);
+	});
+	if (!canManageRoles) {
+		return "The bot is missing the Manage Roles permission.";
+	}
+
+	const botPosition = botRoles.reduce(
+		(highest, r) => Math.max(highest, r.position),
+		0
+	);
+	if (role.position >= botPosition) {
+		return `<@&${roleId}> is not below the bot's highest role. Move the bot's role above it in Server Settings → Roles.`;
+	}
+
+	return null;
+}
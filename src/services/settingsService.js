@@ -0,0 +1,417 @@
+/**
+ * Settings Service - Per-server economy settings changed through /config
+ *
+ * Every setting has a built-in default. Some can also be overridden for the
+ * whole deployment with an environment variable. A value saved with /config
+ * takes precedence over both, for its server only.
+ */
+
+import { getStorage } from "../storage/index.js";
+import { isValidTimeZone } from "../utils/cooldowns.js";
+
+// Saved settings rarely change, so cache them per server to avoid a storage
+// read on every command. /config clears the entry for its own isolate; other
+// isolates pick a change up once their entry expires.
+const SETTINGS_CACHE_TTL_MS = 60 * 1000;
+const settingsCache = new Map();
+
+/**
+ * Every setting /config can change. Integer settings are validated against
+ * min and max, choice settings against their choices; milestone lists are
+ * "day:coins" pairs, timezones are IANA names and bet limits are coins, a
+ * percentage of the balance or "none".
+ */
+export const SETTINGS = {
+	dailyReward: {
+		label: "Daily reward",
+		description: "Coins paid by every /daily claim",
+		type: "integer",
+		min: 0,
+		max: 1000000,
+		defaultValue: 10,
+		envVar: "DAILY_BASE_REWARD",
+	},
+	dailyCooldownHours: {
+		label: "Daily cooldown (hours)",
+		description: "How long users wait between /daily claims",
+		type: "integer",
+		min: 1,
+		max: 168,
+		defaultValue: 24,
+	},
+	dailyResetMode: {
+		label: "Daily reset mode",
+		description:
+			"rolling = the cooldown starts at each claim, midnight = claims reset at midnight in the reset timezone",
+		type: "choice",
+		choices: ["rolling", "midnight"],
+		defaultValue: "rolling",
+	},
+	dailyStreakBonus: {
+		label: "Daily streak bonus",
+		description: "Extra coins per streak day after the first",
+		type: "integer",
+		min: 0,
+		max: 1000000,
+		defaultValue: 2,
+		envVar: "DAILY_STREAK_BONUS",
+	},
+	dailyMaxStreakBonus: {
+		label: "Daily streak bonus cap",
+		description: "The most the streak bonus can add to a claim",
+		type: "integer",
+		min: 0,
+		max: 1000000,
+		defaultValue: 40,
+		envVar: "DAILY_MAX_STREAK_BONUS",
+	},
+	dailyStreakGraceHours: {
+		label: "Daily streak grace (hours)",
+		description:
+			"How long after the cooldown ends a claim still continues the streak",
+		type: "integer",
+		min: 0,
+		max: 168,
+		defaultValue: 24,
+		envVar: "DAILY_STREAK_GRACE_HOURS",
+	},
+	dailyStreakMilestones: {
+		label: "Daily streak milestones",
+		description: 'One-off bonuses as "day:coins" pairs, or "none"',
+		type: "milestones",
+		defaultValue: { 7: 50, 30: 250, 100: 1000 },
+		envVar: "DAILY_STREAK_MILESTONES",
+	},
+	coinflipCooldownHours: {
+		label: "Coinflip cooldown (hours)",
+		description:
+			"How long after their first coinflip users get their flips back",
+		type: "integer",
+		min: 0,
+		max: 168,
+		defaultValue: 24,
+	},
+	coinflipResetMode: {
+		label: "Coinflip reset mode",
+		description:
+			"rolling = the cooldown starts at each flip, midnight = flips reset at midnight in the reset timezone",
+		type: "choice",
+		choices: ["rolling", "midnight"],
+		defaultValue: "rolling",
+	},
+	resetTimezone: {
+		label: "Reset timezone",
+		description: 'Timezone for midnight resets, like "Europe/Berlin"',
+		type: "timezone",
+		defaultValue: "UTC",
+	},
+	coinflipPayoutPercent: {
+		label: "Coinflip payout (%)",
+		description:
+			"Winnings as a percentage of the bet (100 = double or nothing)",
+		type: "integer",
+		min: 1,
+		max: 1000,
+		defaultValue: 100,
+	},
+	coinflipHouseEdgePercent: {
+		label: "Coinflip house edge (%)",
+		description:
+			"Lowers the win chance to 50% minus half of this (0 = a fair flip, 10 = a 45% win chance)",
+		type: "integer",
+		min: 0,
+		max: 50,
+		defaultValue: 0,
+	},
+	coinflipMaxBet: {
+		label: "Coinflip max bet",
+		description:
+			'The largest bet, in coins ("500"), as a share of the balance ("25%"), or "none"',
+		type: "betLimit",
+		defaultValue: null,
+	},
+	coinflipDailyPlays: {
+		label: "Coinflips per day",
+		description:
+			"How many coinflips users get before the coinflip cooldown (or midnight reset)",
+		type: "integer",
+		min: 1,
+		max: 100,
+		defaultValue: 1,
+	},
+	winnerCooldownDays: {
+		label: "Giveaway winner cooldown (days)",
+		description:
+			"How long giveaway winners sit out later draws, unless the giveaway sets its own",
+		type: "integer",
+		min: 0,
+		max: 365,
+		defaultValue: 60,
+		envVar: "WINNER_COOLDOWN_DAYS",
+	},
+};
+
+/**
+ * Parses a raw setting value and checks it against the setting's rules.
+ * @param {string} key - The setting key.
+ * @param {string} rawValue - The value as typed (or stored).
+ * @returns {{value: any}|{error: string}} The parsed value, or why it's invalid.
+ */
+export function parseSettingValue(key, rawValue) {
+	const setting = SETTINGS[key];
+	if (!setting) {
+		return { error: `Unknown setting \`${key}\`.` };
+	}
+
+	const text = String(rawValue ?? "").trim();
+
+	if (setting.type === "choice") {
+		const value = text.toLowerCase();
+		if (!setting.choices.includes(value)) {
+			return {
+				error: `${setting.label} must be one of: ${setting.choices
+					.map((choice) => `\`${choice}\``)
+					.join(", ")}.`,
+			};
+		}
+		return { value };
+	}
+
+	if (setting.type === "timezone") {
+		if (!text || !isValidTimeZone(text)) {
+			return {
+				error: `\`${text}\` isn't a known timezone. Use a name like \`Europe/Berlin\` or \`America/New_York\`.`,
+			};
+		}
+		// Store the canonical spelling ("europe/berlin" -> "Europe/Berlin")
+		return {
+			value: new Intl.DateTimeFormat("en-US", {
+				timeZone: text,
+			}).resolvedOptions().timeZone,
+		};
+	}
+
+	if (setting.type === "milestones") {
+		if (text.toLowerCase() === "none") {
+			return { value: {} };
+		}
+
+		const milestones = {};
+		for (const pair of text.split(",")) {
+			const match = pair.trim().match(/^(\d+)\s*:\s*(\d+)$/);
+			if (!match || parseInt(match[1], 10) < 1) {
+				return {
+					error: `Use "day:coins" pairs separated by commas (for example \`7:50,30:250\`), or \`none\`.`,
+				};
+			}
+			milestones[parseInt(match[1], 10)] = parseInt(match[2], 10);
+		}
+		return { value: milestones };
+	}
+
+	if (setting.type === "betLimit") {
+		if (text.toLowerCase() === "none") {
+			return { value: null };
+		}
+
+		const percent = text.match(/^(\d+)\s*%$/);
+		if (percent) {
+			const value = parseInt(percent[1], 10);
+			if (value < 1 || value > 100) {
+				return { error: `${setting.label} must be between 1% and 100%.` };
+			}
+			return { value: { percent: value } };
+		}
+
+		const coins = text.replace(/,/g, "");
+		if (!/^\d+$/.test(coins) || parseInt(coins, 10) < 1) {
+			return {
+				error: `Use a number of coins (for example \`500\`), a share of the balance (for example \`25%\`), or \`none\`.`,
+			};
+		}
+		return { value: { coins: parseInt(coins, 10) } };
+	}
+
+	// Allow thousands separators ("1,000")
+	const number = text.replace(/,/g, "");
+	if (!/^-?\d+$/.test(number)) {
+		return { error: `${setting.label} must be a whole number.` };
+	}
+	const value = parseInt(number, 10);
+	if (value < setting.min || value > setting.max) {
+		return {
+			error: `${
+				setting.label
+			} must be between ${setting.min.toLocaleString()} and ${setting.max.toLocaleString()}.`,
+		};
+	}
+	return { value };
+}
+
+/**
+ * Formats a setting value for display and storage.
+ * @param {string} key - The setting key.
+ * @param {any} value - The parsed value.
+ * @returns {string} The formatted value.
+ */
+export function formatSettingValue(key, value) {
+	if (SETTINGS[key].type === "milestones") {
+		const pairs = Object.keys(value)
+			.map(Number)
+			.sort((a, b) => a - b)
+			.map((day) => `${day}:${value[day]}`);
+		return pairs.length > 0 ? pairs.join(",") : "none";
+	}
+	if (SETTINGS[key].type === "betLimit") {
+		if (!value) return "none";
+		return "percent" in value ? `${value.percent}%` : String(value.coins);
+	}
+	return String(value);
+}
+
+/**
+ * Gets the settings every server starts with: the built-in defaults, with any
+ * environment variable overrides applied.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {object} The values keyed by setting key.
+ */
+export function getDefaultSettings(env) {
+	const settings = {};
+	for (const [key, setting] of Object.entries(SETTINGS)) {
+		const envValue = setting.envVar ? env[setting.envVar] : undefined;
+		const parsed =
+			envValue === undefined ? null : parseSettingValue(key, envValue);
+
+		if (parsed && parsed.error) {
+			console.error(`Ignoring invalid ${setting.envVar}: ${parsed.error}`);
+		}
+		settings[key] =
+			parsed && !parsed.error ? parsed.value : setting.defaultValue;
+	}
+	return settings;
+}
+
+/**
+ * Gets the settings a server has saved with /config.
+ * @param {string} guildId - The Discord server ID.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<object>} The saved values keyed by setting key.
+ */
+export async function getSavedSettings(guildId, env) {
+	if (!guildId) return {};
+
+	const cached = settingsCache.get(guildId);
+	if (cached && cached.expiresAt > Date.now()) {
+		return cached.settings;
+	}
+
+	try {
+		const rows = await getStorage(env).getRows("Settings", { guildId });
+
+		const settings = {};
+		for (const row of rows) {
+			const parsed = parseSettingValue(row.key, row.value);
+			if (parsed.error) {
+				console.error(
+					`Ignoring invalid saved setting ${row.key} for ${guildId}: ${parsed.error}`
+				);
+				continue;
+			}
+			settings[row.key] = parsed.value;
+		}
+
+		settingsCache.set(guildId, {
+			settings,
+			expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS,
+		});
+		return settings;
+	} catch (e) {
+		console.error("Error in getSavedSettings:", e);
+		return {};
+	}
+}
+
+/**
+ * Gets the settings in effect for a server.
+ * @param {string} guildId - The Discord server ID (null outside a server).
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<object>} The values keyed by setting key.
+ */
+export async function getSettings(guildId, env) {
+	return {
+		...getDefaultSettings(env),
+		...(await getSavedSettings(guildId, env)),
+	};
+}
+
+/**
+ * Saves a setting for a server, then reads it back to make sure the stored
+ * text still parses to the same value, so /config never reports a save that
+ * would silently fall back to the default.
+ * @param {string} guildId - The Discord server ID.
+ * @param {string} key - The setting key.
+ * @param {any} value - The parsed value (see parseSettingValue).
+ * @param {string} actorId - The ID of the admin who changed it.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if successful.
+ */
+export async function saveSetting(guildId, key, value, actorId, env) {
+	const changes = {
+		value: formatSettingValue(key, value),
+		updatedAt: new Date().toISOString(),
+		updatedBy: actorId,
+	};
+
+	try {
+		const storage = getStorage(env);
+		settingsCache.delete(guildId);
+
+		// Update the existing value if the server has one
+		const updated = await storage.updateRows(
+			"Settings",
+			{ guildId, key },
+			changes
+		);
+		if (
+			updated === 0 &&
+			!(await storage.appendRows("Settings", [{ guildId, key, ...changes }]))
+		) {
+			return false;
+		}
+
+		const [saved] = await storage.getRows("Settings", { guildId, key });
+		const parsed = saved ? parseSettingValue(key, saved.value) : null;
+		if (
+			!parsed ||
+			parsed.error ||
+			formatSettingValue(key, parsed.value) !== changes.value
+		) {
+			console.error(
+				`Saved ${key} for ${guildId} reads back as "${saved?.value}", not "${changes.value}".`
+			);
+			return false;
+		}
+		return true;
+	} catch (e) {
+		console.error("Error in saveSetting:", e);
+		return false;
+	}
+}
+
+/**
+ * Removes a server's saved value so the setting goes back to its default.
+ * @param {string} guildId - The Discord server ID.
+ * @param {string} key - The setting key.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {Promise<boolean>} True if successful (including when nothing was saved).
+ */
+export async function resetSetting(guildId, key, env) {
+	try {
+		settingsCache.delete(guildId);
+		await getStorage(env).deleteRows("Settings", { guildId, key });
+		return true;
+	} catch (e) {
+		console.error("Error in resetSetting:", e);
+		return false;
+	}
+}
@@ -2,7 +2,7 @@
  * User Role Service - Handles user role management
  */
 
-import { getGoogleAuthToken } from "../utils/googleAuth.js";
+import { getStorage } from "../storage/index.js";
 
 /**
  * Adds a record of a purchased role for a user.
@@ -12,20 +12,8 @@ import { getGoogleAuthToken } from "../utils/googleAuth.js";
  * @returns {Promise<boolean>} True if successful.
  */
 export async function addUnlockedRole(userId, roleId, env) {
-	const sheetName = "UserRoles";
-	const token = await getGoogleAuthToken(env);
-	const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
-
 	try {
-		const response = await fetch(appendUrl, {
-			method: "POST",
-			headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({ values: [[userId, roleId]] }),
-		});
-		return response.ok;
+		return await getStorage(env).appendRows("UserRoles", [{ userId, roleId }]);
 	} catch (e) {
 		console.error("Error in addUnlockedRole:", e);
 		return false;
@@ -39,28 +27,9 @@ export async function addUnlockedRole(userId, roleId, env) {
  * @returns {Promise<Array<string>>} A list of role IDs.
  */
 export async function getUnlockedRoles(userId, env) {
-	const sheetName = "UserRoles";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}?majorDimension=COLUMNS`;
-
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		if (!data.values || data.values.length < 2) {
-			return [];
-		}
-		const userIds = data.values[0];
-		const roleIds = data.values[1];
-		const unlocked = [];
-		for (let i = 0; i < userIds.length; i++) {
-			if (userIds[i] === userId) {
-				unlocked.push(roleIds[i]);
-			}
-		}
-		return unlocked;
+		const rows = await getStorage(env).getRows("UserRoles", { userId });
+		return rows.map((row) => String(row.roleId));
 	} catch (e) {
 		console.error("Error in getUnlockedRoles:", e);
 		return [];
@@ -85,28 +54,9 @@ export async function getEquippedRole(userId, env) {
  * @returns {Promise<Array<string>>} Array of equipped role IDs.
  */
 export async function getEquippedRoles(userId, env) {
-	const sheetName = "EquippedRoles";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}?majorDimension=COLUMNS`;
-
 	try {
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
-		});
-		const data = await response.json();
-		if (!data.values || data.values.length < 2) {
-			return [];
-		}
-		const userIds = data.values[0];
-		const roleIds = data.values[1];
-		const equipped = [];
-		for (let i = 0; i < userIds.length; i++) {
-			if (userIds[i] === userId) {
-				equipped.push(roleIds[i]);
-			}
-		}
-		return equipped;
+		const rows = await getStorage(env).getRows("EquippedRoles", { userId });
+		return rows.map((row) => String(row.roleId));
 	} catch (e) {
 		console.error("Error in getEquippedRoles:", e);
 		return [];
@@ -121,21 +71,12 @@ export async function getEquippedRoles(userId, env) {
  * @returns {Promise<boolean>} True if successful.
  */
 export async function setEquippedRole(userId, roleId, env) {
-	const sheetName = "EquippedRoles";
-	const token = await getGoogleAuthToken(env);
-	const appendUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${sheetName}!A1:append?valueInputOption=USER_ENTERED`;
-
 	try {
-		const response = await fetch(appendUrl, {
-			method: "POST",
-			headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({ values: [[userId, roleId]] }),
-		});
+		const saved = await getStorage(env).appendRows("EquippedRoles", [
+			{ userId, roleId },
+		]);
 		console.log(`User ${userId} equipped role ${roleId}.`);
-		return response.ok;
+		return saved;
 	} catch (e) {
 		console.error("Error in setEquippedRole:", e);
 		return false;
@@ -150,66 +91,17 @@ export async function setEquippedRole(userId, roleId, env) {
  * @returns {Promise<boolean>} True if successful.
  */
 export async function removeEquippedRole(userId, roleId, env) {
-	const sheetName = "EquippedRoles";
-	const token = await getGoogleAuthToken(env);
-	const range = `${sheetName}!A:B`;
-	const url = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}/values/${range}`;
-
 	try {
-		// First, get all the data to find which rows to delete
-		const response = await fetch(url, {
-			headers: { Authorization: `Bearer ${token}` },
+		const deleted = await getStorage(env).deleteRows("EquippedRoles", {
+			userId,
+			roleId,
 		});
-		const data = await response.json();
-		const rows = data.values || [];
 
-		// Find the row indices that match the user and role
-		const rowsToDelete = [];
-		for (let i = 0; i < rows.length; i++) {
-			if (rows[i][0] === userId && rows[i][1] === roleId) {
-				rowsToDelete.push(i + 1); // Google Sheets is 1-indexed
-			}
-		}
-
-		if (rowsToDelete.length === 0) {
+		if (deleted === 0) {
 			console.log(`No equipped role ${roleId} found for user ${userId}`);
 			return true; // Consider it successful if the role wasn't equipped anyway
 		}
 
-		// Delete rows (start from the end to maintain indices)
-		for (let i = rowsToDelete.length - 1; i >= 0; i--) {
-			const rowIndex = rowsToDelete[i];
-			const deleteUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}:batchUpdate`;
-			const deleteResponse = await fetch(deleteUrl, {
-				method: "POST",
-				headers: {
-					Authorization: `Bearer ${token}`,
-					"Content-Type": "application/json",
-				},
-				body: JSON.stringify({
-					requests: [
-						{
-							deleteDimension: {
-								range: {
-									sheetId: 0, // Assuming first sheet
-									dimension: "ROWS",
-									startIndex: rowIndex - 1,
-									endIndex: rowIndex,
-								},
-							},
-						},
-					],
-				}),
-			});
-
-			if (!deleteResponse.ok) {
-				console.error(
-					`Failed to delete row ${rowIndex} for user ${userId} role ${roleId}`
-				);
-				return false;
-			}
-		}
-
 		console.log(`User ${userId} unequipped role ${roleId}.`);
 		return true;
 	} catch (e) {
@@ -0,0 +1,153 @@
+/**
+ * D1 Storage - Storage backend backed by a Cloudflare D1 (SQLite) database
+ *
+ * The tables are created by the SQL files in /migrations. Table and column
+ * names are the schema.js names converted to snake_case.
+ */
+
+import { getColumns, toSqlName } from "./schema.js";
+
+/**
+ * Ensures every key of an object is a known column of the table, since
+ * column names are interpolated into the SQL.
+ * @param {string} table - The table name.
+ * @param {object} values - Column/value pairs.
+ * @returns {Array<Array>} The validated [column, value] entries.
+ */
+function checkedEntries(table, values) {
+	const columns = getColumns(table);
+	const entries = Object.entries(values).filter(
+		([, value]) => value !== undefined
+	);
+	for (const [column] of entries) {
+		if (!columns.includes(column)) {
+			throw new Error(`Unknown column ${column} for table ${table}`);
+		}
+	}
+	return entries;
+}
+
+/**
+ * Builds a WHERE clause from column/value pairs.
+ * @param {string} table - The table name.
+ * @param {object} where - Column/value pairs that must all match.
+ * @returns {{sql: string, params: Array}} The clause and its bound parameters.
+ */
+function buildWhere(table, where = {}) {
+	const entries = checkedEntries(table, where);
+	if (entries.length === 0) {
+		return { sql: "", params: [] };
+	}
+
+	return {
+		sql: ` WHERE ${entries
+			.map(([column]) => `${toSqlName(column)} = ?`)
+			.join(" AND ")}`,
+		params: entries.map(([, value]) => value),
+	};
+}
+
+/**
+ * Creates a storage backend that reads and writes a D1 database.
+ * @param {object} db - The D1 database binding (e.g. env.DB).
+ * @returns {object} The storage backend.
+ */
+export function createD1Storage(db) {
+	if (!db) {
+		throw new Error("D1 storage requires a DB binding");
+	}
+
+	/**
+	 * Prepares an UPDATE of the rows matching `where` with validated entries.
+	 */
+	function prepareUpdate(table, where, entries) {
+		const { sql, params } = buildWhere(table, where);
+		return db
+			.prepare(
+				`UPDATE ${toSqlName(table)} SET ${entries
+					.map(([column]) => `${toSqlName(column)} = ?`)
+					.join(", ")}${sql}`
+			)
+			.bind(...entries.map(([, value]) => value), ...params);
+	}
+
+	return {
+		async getRows(table, where = {}) {
+			const select = getColumns(table)
+				.map((column) => `${toSqlName(column)} AS ${column}`)
+				.join(", ");
+			const { sql, params } = buildWhere(table, where);
+
+			// Order by insertion to match the row order of the other backends
+			const { results } = await db
+				.prepare(`SELECT ${select} FROM ${toSqlName(table)}${sql} ORDER BY rowid`)
+				.bind(...params)
+				.all();
+			return results;
+		},
+
+		async appendRows(table, rows) {
+			if (rows.length === 0) return true;
+
+			const statements = rows.map((row) => {
+				const entries = checkedEntries(table, row);
+				const columns = entries.map(([column]) => toSqlName(column));
+				return db
+					.prepare(
+						`INSERT INTO ${toSqlName(table)} (${columns.join(
+							", "
+						)}) VALUES (${columns.map(() => "?").join(", ")})`
+					)
+					.bind(...entries.map(([, value]) => value));
+			});
+
+			// batch() runs the statements in a single transaction
+			await db.batch(statements);
+			return true;
+		},
+
+		async updateRows(table, where, changes) {
+			const entries = checkedEntries(table, changes);
+			if (entries.length === 0) return 0;
+
+			const result = await prepareUpdate(table, where, entries).run();
+			return result.meta.changes;
+		},
+
+		async updateRowsAndAppend(table, where, changes, appendTable, rows) {
+			const entries = checkedEntries(table, changes);
+			if (entries.length === 0) return 0;
+
+			// Each INSERT only runs if the statement before it changed a row,
+			// so nothing is appended when the update matched nothing
+			const statements = [
+				prepareUpdate(table, where, entries),
+				...rows.map((row) => {
+					const rowEntries = checkedEntries(appendTable, row);
+					return db
+						.prepare(
+							`INSERT INTO ${toSqlName(appendTable)} (${rowEntries
+								.map(([column]) => toSqlName(column))
+								.join(", ")}) SELECT ${rowEntries
+								.map(() => "?")
+								.join(", ")} WHERE changes() > 0`
+						)
+						.bind(...rowEntries.map(([, value]) => value));
+				}),
+			];
+
+			// batch() runs the statements in a single transaction
+			const [result] = await db.batch(statements);
+			return result.meta.changes;
+		},
+
+		async deleteRows(table, where) {
+			const { sql, params } = buildWhere(table, where);
+			const result = await db
+				.prepare(`DELETE FROM ${toSqlName(table)}${sql}`)
+				.bind(...params)
+				.run();
+			return result.meta.changes;
+		},
+	};
+}
@@ -0,0 +1,217 @@
+/**
+ * Google Sheets Storage - Storage backend backed by the Google Sheets REST API
+ *
+ * Each table is a sheet whose first row is a header. Data rows start at row 2.
+ * Values are written RAW so text typed by members (a /pay note, a /config
+ * value) is stored as-is instead of being parsed as a formula, date or time.
+ */
+
+import { getGoogleAuthToken } from "../utils/googleAuth.js";
+import { getColumns, rowMatches } from "./schema.js";
+
+// Sheet (tab) IDs rarely change, so cache them per spreadsheet to avoid a
+// metadata request on every delete.
+const sheetIdCache = new Map();
+
+/**
+ * Converts a 1-based column number to its sheet letter (1 -> A, 27 -> AA).
+ * @param {number} columnNumber - The 1-based column number.
+ * @returns {string} The column letter.
+ */
+function columnLetter(columnNumber) {
+	let letter = "";
+	let n = columnNumber;
+	while (n > 0) {
+		const remainder = (n - 1) % 26;
+		letter = String.fromCharCode(65 + remainder) + letter;
+		n = Math.floor((n - 1) / 26);
+	}
+	return letter;
+}
+
+/**
+ * Converts a raw sheet row into an object keyed by column name.
+ * @param {Array<string>} values - The raw cell values.
+ * @param {Array<string>} columns - The table columns.
+ * @returns {object} The row object.
+ */
+function toRowObject(values, columns) {
+	const row = {};
+	columns.forEach((column, index) => {
+		row[column] = values[index] ?? "";
+	});
+	return row;
+}
+
+/**
+ * Converts a row object into the raw values written to the sheet. Plain
+ * numbers are written as numbers so balances stay summable in the sheet;
+ * longer digit strings (Discord IDs) stay text so they keep every digit.
+ * @param {object} row - The row object.
+ * @param {Array<string>} columns - The table columns.
+ * @returns {Array<string|number>} The raw cell values.
+ */
+function toRowValues(row, columns) {
+	return columns.map((column) => {
+		const value = row[column];
+		if (value === undefined || value === null) return "";
+		if (typeof value === "number") return value;
+		return /^-?\d{1,15}$/.test(String(value)) ? Number(value) : String(value);
+	});
+}
+
+/**
+ * Creates a storage backend that reads and writes the bot's Google Sheet.
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {object} The storage backend.
+ */
+export function createSheetsStorage(env) {
+	const baseUrl = `https://sheets.googleapis.com/v4/spreadsheets/${env.SPREADSHEET_ID}`;
+
+	async function request(url, options = {}) {
+		const token = await getGoogleAuthToken(env);
+		const response = await fetch(url, {
+			...options,
+			headers: {
+				Authorization: `Bearer ${token}`,
+				"Content-Type": "application/json",
+				...options.headers,
+			},
+		});
+
+		if (!response.ok) {
+			const errorText = await response.text();
+			throw new Error(`Sheets API HTTP ${response.status}: ${errorText}`);
+		}
+
+		return await response.json();
+	}
+
+	/**
+	 * Reads every data row of a sheet along with its 1-based sheet row number.
+	 */
+	async function readTable(table) {
+		const columns = getColumns(table);
+		const range = `${table}!A:${columnLetter(columns.length)}`;
+		const data = await request(`${baseUrl}/values/${range}`);
+		const values = data.values || [];
+
+		// Skip the header row
+		return values.slice(1).map((rowValues, index) => ({
+			sheetRow: index + 2,
+			row: toRowObject(rowValues, columns),
+		}));
+	}
+
+	async function getSheetId(table) {
+		const cacheKey = `${env.SPREADSHEET_ID}:${table}`;
+		if (sheetIdCache.has(cacheKey)) {
+			return sheetIdCache.get(cacheKey);
+		}
+
+		const data = await request(`${baseUrl}?fields=sheets.properties`);
+		for (const sheet of data.sheets || []) {
+			sheetIdCache.set(
+				`${env.SPREADSHEET_ID}:${sheet.properties.title}`,
+				sheet.properties.sheetId
+			);
+		}
+
+		if (!sheetIdCache.has(cacheKey)) {
+			throw new Error(`Sheet ${table} not found in spreadsheet`);
+		}
+		return sheetIdCache.get(cacheKey);
+	}
+
+	return {
+		async getRows(table, where = {}) {
+			const entries = await readTable(table);
+			return entries
+				.map((entry) => entry.row)
+				.filter((row) => rowMatches(row, where));
+		},
+
+		async appendRows(table, rows) {
+			if (rows.length === 0) return true;
+
+			const columns = getColumns(table);
+			await request(
+				`${baseUrl}/values/${table}!A1:append?valueInputOption=RAW`,
+				{
+					method: "POST",
+					body: JSON.stringify({
+						values: rows.map((row) => toRowValues(row, columns)),
+					}),
+				}
+			);
+			return true;
+		},
+
+		async updateRows(table, where, changes) {
+			const columns = getColumns(table);
+			const lastColumn = columnLetter(columns.length);
+			const matches = (await readTable(table)).filter((entry) =>
+				rowMatches(entry.row, where)
+			);
+
+			if (matches.length === 0) return 0;
+
+			await request(`${baseUrl}/values:batchUpdate`, {
+				method: "POST",
+				body: JSON.stringify({
+					valueInputOption: "RAW",
+					data: matches.map((entry) => ({
+						range: `${table}!A${entry.sheetRow}:${lastColumn}${entry.sheetRow}`,
+						values: [toRowValues({ ...entry.row, ...changes }, columns)],
+					})),
+				}),
+			});
+			return matches.length;
+		},
+
+		async updateRowsAndAppend(table, where, changes, appendTable, rows) {
+			const updated = await this.updateRows(table, where, changes);
+			if (updated === 0) return 0;
+
+			// The Sheets API can't do both in one request. The update has already
+			// been written, so a failed append is only logged.
+			try {
+				await this.appendRows(appendTable, rows);
+			} catch (e) {
+				console.error(`Error appending to ${appendTable} after update:`, e);
+			}
+			return updated;
+		},
+
+		async deleteRows(table, where) {
+			const matches = (await readTable(table)).filter((entry) =>
+				rowMatches(entry.row, where)
+			);
+
+			if (matches.length === 0) return 0;
+
+			const sheetId = await getSheetId(table);
+
+			// Delete from the bottom up so earlier deletions don't shift later rows
+			const requests = matches
+				.map((entry) => entry.sheetRow)
+				.sort((a, b) => b - a)
+				.map((sheetRow) => ({
+					deleteDimension: {
+						range: {
+							sheetId,
+							dimension: "ROWS",
+							startIndex: sheetRow - 1,
+							endIndex: sheetRow,
+						},
+					},
+				}));
+
+			await request(`${baseUrl}:batchUpdate`, {
+				method: "POST",
+				body: JSON.stringify({ requests }),
+			});
+			return matches.length;
+		},
+	};
+}
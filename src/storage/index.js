@@ -0,0 +1,57 @@
+/**
+ * Storage - Resolves the storage backend used by the services
+ *
+ * Every backend implements the same interface, with rows as plain objects
+ * keyed by the column names in schema.js:
+ *   getRows(table, where)             -> Promise<Array<object>>
+ *   appendRows(table, rows)           -> Promise<boolean>
+ *   updateRows(table, where, changes) -> Promise<number> (rows updated)
+ *   deleteRows(table, where)          -> Promise<number> (rows deleted)
+ *   updateRowsAndAppend(table, where, changes, appendTable, rows)
+ *                                     -> Promise<number> (rows updated)
+ * `where` is an object of column/value pairs that must all match.
+ * updateRowsAndAppend only appends the rows if the update matched something.
+ * On D1 both happen in one transaction; on Sheets they are two requests, so a
+ * failure in between leaves the update without the appended rows.
+ * Backends throw on failure; services decide how to recover.
+ */
+
+import { createSheetsStorage } from "./googleSheetsStorage.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+import { createD1Storage } from "./d1Storage.js";
+
+export { TABLES } from "./schema.js";
+export { createSheetsStorage, createMemoryStorage, createD1Storage };
+
+// Shared in-memory store for STORAGE_BACKEND=memory, kept for the isolate's lifetime.
+let sharedMemoryStorage = null;
+
+/**
+ * Gets the storage backend for the current environment.
+ * An object injected as `env.STORAGE` takes precedence, otherwise
+ * `env.STORAGE_BACKEND` selects a built-in backend: "sheets" (default),
+ * "d1" (uses the `env.DB` binding) or "memory".
+ * @param {object} env - The Cloudflare Worker environment variables.
+ * @returns {object} The storage backend.
+ */
+export function getStorage(env) {
+	if (env.STORAGE) {
+		return env.STORAGE;
+	}
+
+	const backend = (env.STORAGE_BACKEND || "sheets").toLowerCase();
+
+	switch (backend) {
+		case "sheets":
+			return createSheetsStorage(env);
+		case "d1":
+			return createD1Storage(env.DB);
+		case "memory":
+			if (!sharedMemoryStorage) {
+				sharedMemoryStorage = createMemoryStorage();
+			}
+			return sharedMemoryStorage;
+		default:
+			throw new Error(`Unknown storage backend: ${backend}`);
+	}
+}
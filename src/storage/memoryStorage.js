@@ -0,0 +1,76 @@
+/**
+ * Memory Storage - In-memory storage backend for tests and local development
+ *
+ * Data lives only as long as the object returned by createMemoryStorage.
+ */
+
+import { getColumns, rowMatches } from "./schema.js";
+
+/**
+ * Creates a storage backend that keeps every table in memory.
+ * @param {object} [initialData={}] - Optional rows to seed, keyed by table name.
+ * @returns {object} The storage backend.
+ */
+export function createMemoryStorage(initialData = {}) {
+	const tables = new Map();
+
+	function getTable(table) {
+		getColumns(table); // Reject unknown tables like the other backends
+		if (!tables.has(table)) {
+			tables.set(table, []);
+		}
+		return tables.get(table);
+	}
+
+	function normalize(table, row) {
+		const normalized = {};
+		for (const column of getColumns(table)) {
+			normalized[column] = row[column] ?? "";
+		}
+		return normalized;
+	}
+
+	for (const [table, rows] of Object.entries(initialData)) {
+		getTable(table).push(...rows.map((row) => normalize(table, row)));
+	}
+
+	return {
+		async getRows(table, where = {}) {
+			return getTable(table)
+				.filter((row) => rowMatches(row, where))
+				.map((row) => ({ ...row }));
+		},
+
+		async appendRows(table, rows) {
+			getTable(table).push(...rows.map((row) => normalize(table, row)));
+			return true;
+		},
+
+		async updateRows(table, where, changes) {
+			let updated = 0;
+			for (const row of getTable(table)) {
+				if (rowMatches(row, where)) {
+					Object.assign(row, normalize(table, { ...row, ...changes }));
+					updated++;
+				}
+			}
+			return updated;
+		},
+
+		async updateRowsAndAppend(table, where, changes, appendTable, rows) {
+			const updated = await this.updateRows(table, where, changes);
+			if (updated > 0) {
+				await this.appendRows(appendTable, rows);
+			}
+			return updated;
+		},
+
+		async deleteRows(table, where) {
+			const rows = getTable(table);
+			const remaining = rows.filter((row) => !rowMatches(row, where));
+			const deleted = rows.length - remaining.length;
+			tables.set(table, remaining);
+			return deleted;
+		},
+	};
+}
@@ -0,0 +1,128 @@
+/**
+ * Storage Schema - Column layout of every table the bot uses
+ *
+ * Column order matches the Google Sheets layout (first entry is column A).
+ * Every backend exposes rows as objects keyed by these column names.
+ */
+
+export const TABLES = {
+	Currency: ["userId", "balance"],
+	Transactions: [
+		"id",
+		"userId",
+		"amount",
+		"reason",
+		"referenceId",
+		"balanceAfter",
+		"createdAt",
+		"note",
+	],
+	Items: [
+		"name",
+		"price",
+		"roleId",
+		"imageFilename",
+		"description",
+		"disabled",
+	],
+	UserRoles: ["userId", "roleId"],
+	EquippedRoles: ["userId", "roleId"],
+	DailyRewards: ["userId", "lastClaimDate", "currentStreak", "bestStreak"],
+	CoinflipUsage: ["userId", "lastUsageDate", "periodStartDate", "playsUsed"],
+	Leaderboard: ["userId", "totalEarned", "dailyClaims"],
+	Giveaways: [
+		"id",
+		"title",
+		"description",
+		"prize",
+		"winnersCount",
+		"endTime",
+		"channelId",
+		"messageId",
+		"creatorId",
+		"createdAt",
+		"status",
+		"requiredRoleIds",
+		"excludedRoleIds",
+		"minBalance",
+		"minMemberDays",
+		"entryCost",
+		"maxTickets",
+		"prizeType",
+		"prizeValue",
+		"winnerCooldownDays",
+		"guildId",
+		"endingAt",
+	],
+	GiveawayParticipants: [
+		"giveawayId",
+		"userId",
+		"joinedAt",
+		"tickets",
+		"coinsPaid",
+	],
+	GiveawayWinners: [
+		"giveawayId",
+		"userId",
+		"winDate",
+		"prizeStatus",
+		"drawSeed",
+		"snapshotHash",
+		"excludedUserIds",
+		"supersededAt",
+	],
+	Settings: ["guildId", "key", "value", "updatedAt", "updatedBy"],
+	DailyRoleBonuses: [
+		"guildId",
+		"roleId",
+		"multiplier",
+		"flatBonus",
+		"updatedAt",
+		"updatedBy",
+	],
+	AuditLog: [
+		"id",
+		"actorId",
+		"action",
+		"targetId",
+		"details",
+		"reason",
+		"createdAt",
+	],
+};
+
+/**
+ * Gets the column names for a table.
+ * @param {string} table - The table (sheet) name.
+ * @returns {Array<string>} The column names in sheet order.
+ */
+export function getColumns(table) {
+	const columns = TABLES[table];
+	if (!columns) {
+		throw new Error(`Unknown storage table: ${table}`);
+	}
+	return columns;
+}
+
+/**
+ * Checks whether a row matches every column/value pair in a filter.
+ * Values are compared as strings so numeric IDs and balances match regardless
+ * of how the backend returns them.
+ * @param {object} row - The row object.
+ * @param {object} where - Column/value pairs that must all match.
+ * @returns {boolean} True if the row matches.
+ */
+export function rowMatches(row, where = {}) {
+	return Object.entries(where).every(
+		([column, value]) => String(row[column] ?? "") === String(value)
+	);
+}
+
+/**
+ * Converts a table or column name to its SQL name (GiveawayWinners -> giveaway_winners).
+ * @param {string} name - The table or column name.
+ * @returns {string} The snake_case SQL name.
+ */
+export function toSqlName(name) {
+	return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+}
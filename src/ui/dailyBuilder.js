@@ -0,0 +1,187 @@
+/**
+ * Daily UI Builder - Creates the daily reward and streak embeds
+ */
+
+import { getNextMilestone } from "../services/dailyRewardService.js";
+
+const PROGRESS_BAR_LENGTH = 10;
+
+/**
+ * Builds a text progress bar.
+ * @param {number} value - The progress so far.
+ * @param {number} total - The value that fills the bar.
+ * @returns {string} The progress bar.
+ */
+function progressBar(value, total) {
+	const filled = Math.min(
+		PROGRESS_BAR_LENGTH,
+		Math.round((value / total) * PROGRESS_BAR_LENGTH)
+	);
+	return "▰".repeat(filled) + "▱".repeat(PROGRESS_BAR_LENGTH - filled);
+}
+
+/**
+ * Formats a timestamp (in milliseconds) as a Discord timestamp.
+ * @param {number} time - The timestamp.
+ * @param {string} style - The Discord timestamp style (R = relative, f = full).
+ * @returns {string} The Discord timestamp markup.
+ */
+function discordTimestamp(time, style) {
+	return `<t:${Math.floor(time / 1000)}:${style}>`;
+}
+
+/**
+ * Describes a role bonus, like "×1.5", "+20" or "×1.5 +20".
+ * @param {{multiplier: number, flatBonus: number}} bonus - The role bonus.
+ * @returns {string} The description.
+ */
+export function formatRoleBonus(bonus) {
+	const parts = [];
+	if (bonus.multiplier !== 1) parts.push(`×${bonus.multiplier}`);
+	if (bonus.flatBonus > 0) parts.push(`+${bonus.flatBonus.toLocaleString()}`);
+	return parts.join(" ");
+}
+
+/**
+ * Builds the streak field: the current day, the best streak and the progress
+ * towards the next milestone.
+ * @param {number} currentStreak - The current streak.
+ * @param {number} bestStreak - The best streak.
+ * @param {object} settings - The daily reward settings.
+ * @returns {object} The embed field.
+ */
+function buildStreakField(currentStreak, bestStreak, settings) {
+	let value = `**Day ${currentStreak}** (best: ${Math.max(
+		bestStreak,
+		currentStreak
+	)})`;
+
+	const nextMilestone = getNextMilestone(currentStreak, settings);
+	if (nextMilestone) {
+		value += `\n${progressBar(
+			currentStreak,
+			nextMilestone.day
+		)} **+${nextMilestone.bonus.toLocaleString()} coins** on day ${
+			nextMilestone.day
+		}`;
+	}
+
+	return { name: "🔥 Streak", value, inline: false };
+}
+
+/**
+ * Builds the embed shown after a successful daily claim.
+ * @param {object} user - The Discord user who claimed.
+ * @param {object} reward - The reward breakdown from calculateDailyReward.
+ * @param {number} newBalance - The user's balance after the claim.
+ * @param {{currentStreak: number, bestStreak: number, breaksAt: number}} streak - The streak after the claim.
+ * @param {number} nextClaimTime - When the next claim is available.
+ * @param {object} settings - The daily reward settings.
+ * @returns {object} The embed.
+ */
+export function buildDailyClaimedEmbed(
+	user,
+	reward,
+	newBalance,
+	streak,
+	nextClaimTime,
+	settings
+) {
+	let rewardValue = `**+${reward.total.toLocaleString()} coins**`;
+	const roleBonuses = reward.roleBonuses.filter((bonus) => bonus.amount > 0);
+	if (
+		reward.streakBonus > 0 ||
+		reward.milestoneBonus > 0 ||
+		roleBonuses.length > 0
+	) {
+		rewardValue += `\n${reward.baseReward.toLocaleString()} daily`;
+		if (reward.streakBonus > 0) {
+			rewardValue += `\n+${reward.streakBonus.toLocaleString()} streak bonus`;
+		}
+		for (const bonus of roleBonuses) {
+			rewardValue += `\n+${bonus.amount.toLocaleString()} from <@&${
+				bonus.roleId
+			}> (${formatRoleBonus(bonus)})`;
+		}
+		if (reward.milestoneBonus > 0) {
+			rewardValue += `\n+${reward.milestoneBonus.toLocaleString()} for a ${
+				streak.currentStreak
+			}-day streak 🏅`;
+		}
+	}
+
+	return {
+		title: "🎁 Daily Reward Claimed!",
+		description: `**${user.username}** claimed their daily reward!`,
+		color: 0x4caf50, // Green
+		thumbnail: {
+			url: `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png`,
+		},
+		fields: [
+			{ name: "💰 Reward", value: rewardValue, inline: true },
+			{
+				name: "💳 New Balance",
+				value: `**${newBalance.toLocaleString()} coins**`,
+				inline: true,
+			},
+			buildStreakField(streak.currentStreak, streak.bestStreak, settings),
+			{
+				name: "⏰ Next Reward",
+				value: `Available ${discordTimestamp(nextClaimTime, "R")}`,
+				inline: true,
+			},
+			{
+				name: "⚠️ Streak Ends",
+				value: `Claim before ${discordTimestamp(streak.breaksAt, "f")}`,
+				inline: true,
+			},
+		],
+		footer: { text: "Come back tomorrow to keep your streak going!" },
+		timestamp: new Date().toISOString(),
+	};
+}
+
+/**
+ * Builds the embed shown when the daily reward was already claimed.
+ * @param {object} user - The Discord user.
+ * @param {number} nextClaimTime - When the next claim is available.
+ * @param {{currentStreak: number, bestStreak: number, breaksAt: number|null}} streak - The user's streak.
+ * @param {object} settings - The daily reward settings.
+ * @returns {object} The embed.
+ */
+export function buildDailyAlreadyClaimedEmbed(
+	user,
+	nextClaimTime,
+	streak,
+	settings
+) {
+	const fields = [
+		{
+			name: "Next Claim Available",
+			value: discordTimestamp(nextClaimTime, "R"),
+			inline: false,
+		},
+	];
+
+	if (streak.currentStreak > 0) {
+		fields.push(
+			buildStreakField(streak.currentStreak, streak.bestStreak, settings),
+			{
+				name: "⚠️ Streak Ends",
+				value: `Claim before ${discordTimestamp(streak.breaksAt, "f")}`,
+				inline: false,
+			}
+		);
+	}
+
+	return {
+		title: "⏰ Daily Reward Already Claimed",
+		description: `You've already claimed your daily reward today!`,
+		color: 0xff6b6b, // Red
+		thumbnail: {
+			url: `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png`,
+		},
+		fields,
+		footer: { text: "Come back tomorrow for your next reward!" },
+	};
+}
@@ -0,0 +1,597 @@
+/**
+ * Giveaway UI Builder - Creates giveaway posts and result embeds
+ */
+
+/**
+ * Builds the public giveaway post while the giveaway is running.
+ * @param {object} giveaway - The giveaway details.
+ * @param {number} participantCount - How many users have entered so far.
+ * @param {number} [ticketCount=participantCount] - How many tickets they hold in total.
+ * @returns {object} The message payload (embeds and components).
+ */
+export function buildGiveawayMessage(
+	giveaway,
+	participantCount,
+	ticketCount = participantCount
+) {
+	const endTime = new Date(giveaway.endTime);
+	const requirements = describeRequirements(giveaway.requirements);
+	const isPaid = giveaway.entryCost > 0;
+
+	const fields = [
+		{
+			name: "👥 Participants",
+			value: `${participantCount}`,
+			inline: true,
+		},
+	];
+	if (isPaid) {
+		fields.push(
+			{
+				name: "🎟️ Ticket Price",
+				value: `${giveaway.entryCost.toLocaleString()} coins (max ${
+					giveaway.maxTickets
+				} per person)`,
+				inline: true,
+			},
+			{ name: "🎫 Tickets Sold", value: `${ticketCount}`, inline: true }
+		);
+	}
+
+	return {
+		embeds: [
+			{
+				title: `🎉 ${giveaway.title}`,
+				description: `${giveaway.description}\n\n**Prize:** ${
+					giveaway.prize
+				}\n**Winners:** ${giveaway.winnersCount}\n**Ends:** <t:${Math.floor(
+					endTime.getTime() / 1000
+				)}:R>${
+					requirements.length > 0
+						? `\n\n**Requirements:**\n${requirements.join("\n")}`
+						: ""
+				}`,
+				color: 0xff6b6b,
+				fields,
+				footer: {
+					text: isPaid
+						? "Each ticket is another chance to win. Click 🎟️ Buy Ticket to enter!"
+						: "Click 🎉 Enter Giveaway to join!",
+				},
+				timestamp: endTime.toISOString(),
+			},
+		],
+		components: [
+			{
+				type: 1,
+				components: [
+					{
+						type: 2,
+						style: 1,
+						label: isPaid
+							? `🎟️ Buy Ticket (${giveaway.entryCost.toLocaleString()} coins)`
+							: "🎉 Enter Giveaway",
+						custom_id: `giveaway_enter_${giveaway.id}`,
+					},
+				],
+			},
+		],
+	};
+}
+
+/**
+ * Lists a giveaway's entry requirements as embed lines.
+ * @param {object} [requirements] - The giveaway's requirements.
+ * @returns {Array<string>} One line per requirement (empty if there are none).
+ */
+function describeRequirements(requirements) {
+	if (!requirements) return [];
+
+	const lines = [];
+	if (requirements.requiredRoleIds.length > 0) {
+		lines.push(
+			`• Must have: ${requirements.requiredRoleIds
+				.map((roleId) => `<@&${roleId}>`)
+				.join(", ")}`
+		);
+	}
+	if (requirements.excludedRoleIds.length > 0) {
+		lines.push(
+			`• Can't have: ${requirements.excludedRoleIds
+				.map((roleId) => `<@&${roleId}>`)
+				.join(", ")}`
+		);
+	}
+	if (requirements.minBalance > 0) {
+		lines.push(`• At least ${requirements.minBalance.toLocaleString()} coins`);
+	}
+	if (requirements.minMemberDays > 0) {
+		lines.push(
+			`• Member of the server for ${requirements.minMemberDays}+ day${
+				requirements.minMemberDays > 1 ? "s" : ""
+			}`
+		);
+	}
+	return lines;
+}
+
+/**
+ * Builds the public giveaway post once the giveaway has ended, with the
+ * winners listed and the enter button disabled.
+ * @param {object} giveaway - The giveaway details.
+ * @param {Array<string>} winners - The winner user IDs.
+ * @param {number} participantCount - How many users entered.
+ * @returns {object} The message payload (embeds and components).
+ */
+export function buildEndedGiveawayMessage(giveaway, winners, participantCount) {
+	const winnerText =
+		winners.length > 0
+			? winners.map((id) => `<@${id}>`).join(", ")
+			: "none (not enough participants)";
+
+	return {
+		embeds: [
+			{
+				title: `🎉 ${giveaway.title}`,
+				description: `${giveaway.description}\n\n**Prize:** ${giveaway.prize}\n**Ended — winners:** ${winnerText}`,
+				color: 0x808080, // Grey
+				fields: [
+					{
+						name: "👥 Participants",
+						value: `${participantCount}`,
+						inline: true,
+					},
+				],
+				footer: {
+					text: "This giveaway has ended.",
+				},
+				timestamp: new Date(giveaway.endTime).toISOString(),
+			},
+		],
+		components: [
+			{
+				type: 1,
+				components: [
+					{
+						type: 2,
+						style: 2,
+						label: "Giveaway Ended",
+						custom_id: `giveaway_enter_${giveaway.id}`,
+						disabled: true,
+					},
+				],
+			},
+		],
+	};
+}
+
+/**
+ * Builds the public giveaway post once the giveaway has been cancelled.
+ * @param {object} giveaway - The giveaway details.
+ * @returns {object} The message payload (embeds and components).
+ */
+export function buildCancelledGiveawayMessage(giveaway) {
+	return {
+		embeds: [
+			{
+				title: `🎉 ${giveaway.title}`,
+				description: `${giveaway.description}\n\n**Prize:** ${
+					giveaway.prize
+				}\n**Cancelled** — no winners will be drawn.${
+					giveaway.entryCost > 0 ? " All ticket purchases were refunded." : ""
+				}`,
+				color: 0x808080, // Grey
+				footer: {
+					text: "This giveaway was cancelled.",
+				},
+			},
+		],
+		components: [
+			{
+				type: 1,
+				components: [
+					{
+						type: 2,
+						style: 2,
+						label: "Giveaway Cancelled",
+						custom_id: `giveaway_enter_${giveaway.id}`,
+						disabled: true,
+					},
+				],
+			},
+		],
+	};
+}
+
+/**
+ * Builds the embed announcing a giveaway's winners.
+ * @param {object} giveaway - The giveaway details.
+ * @param {Array<string>} winners - The winner user IDs.
+ * @param {number} participantCount - How many users entered.
+ * @param {object} [delivery=null] - Prize delivery results from deliverGiveawayPrizes.
+ * @param {boolean} [cooldownRelaxed=false] - Whether the winner cooldown was ignored for this draw.
+ * @returns {object} The results embed.
+ */
+export function buildGiveawayResultsEmbed(
+	giveaway,
+	winners,
+	participantCount,
+	delivery = null,
+	cooldownRelaxed = false
+) {
+	const embed = {
+		title: `🎉 Giveaway Ended: ${giveaway.title}`,
+		description: `**Prize:** ${giveaway.prize}\n**Total Participants:** ${participantCount}`,
+		color: 0x4caf50,
+		fields: [],
+		footer: { text: `Giveaway ID: ${giveaway.id}` },
+		timestamp: new Date().toISOString(),
+	};
+
+	if (winners.length > 0) {
+		embed.fields.push({
+			name: `🏆 Winner${winners.length > 1 ? "s" : ""}`,
+			value: winners.map((id) => `<@${id}>`).join("\n"),
+			inline: false,
+		});
+		embed.description += `\n**Winner${
+			winners.length > 1 ? "s" : ""
+		}:** ${winners.map((id) => `<@${id}>`).join(", ")}`;
+	} else {
+		embed.fields.push({
+			name: "❌ No Winners",
+			value: "Not enough participants to select winners.",
+			inline: false,
+		});
+	}
+
+	if (cooldownRelaxed && winners.length > 0) {
+		embed.fields.push(buildCooldownRelaxedField());
+	}
+
+	const deliveryField = buildPrizeDeliveryField(giveaway, delivery);
+	if (deliveryField) {
+		embed.fields.push(deliveryField);
+	}
+
+	return embed;
+}
+
+/**
+ * Builds the embed field explaining that the winner cooldown was ignored.
+ * @returns {object} The field.
+ */
+export function buildCooldownRelaxedField() {
+	return {
+		name: "⏳ Cooldown Relaxed",
+		value:
+			"Everyone eligible is still on the winner cooldown, so recent winners could win this draw.",
+		inline: false,
+	};
+}
+
+/**
+ * Builds the embed field summarizing automatic prize delivery.
+ * @param {object} giveaway - The giveaway details.
+ * @param {object|null} delivery - Prize delivery results from deliverGiveawayPrizes.
+ * @returns {object|null} The field, or null if the prize isn't delivered automatically.
+ */
+export function buildPrizeDeliveryField(giveaway, delivery) {
+	if (!giveaway.prizeType || !delivery) {
+		return null;
+	}
+
+	const prize =
+		giveaway.prizeType === "coins"
+			? `${(parseInt(giveaway.prizeValue, 10) || 0).toLocaleString()} coins`
+			: `the <@&${giveaway.prizeValue}> role`;
+
+	const lines = [];
+	if (delivery.delivered.length > 0) {
+		lines.push(
+			`✅ Sent ${prize} to ${delivery.delivered
+				.map((id) => `<@${id}>`)
+				.join(", ")}`
+		);
+	}
+	if (delivery.skipped.length > 0) {
+		lines.push(
+			`↪️ Already received: ${delivery.skipped
+				.map((id) => `<@${id}>`)
+				.join(", ")}`
+		);
+	}
+	if (delivery.exhausted.length > 0) {
+		lines.push(
+			`🚫 Not sent to ${delivery.exhausted
+				.map((id) => `<@${id}>`)
+				.join(", ")}: every prize was already handed out`
+		);
+	}
+	if (delivery.failed.length > 0) {
+		lines.push(
+			`⚠️ Delivery failed for ${delivery.failed
+				.map((id) => `<@${id}>`)
+				.join(", ")}; ${
+				giveaway.prizeType === "coins"
+					? "use `/eco give` to pay them manually."
+					: "please grant the role manually."
+			}`
+		);
+	}
+
+	if (lines.length === 0) {
+		return null;
+	}
+
+	return { name: "🎁 Prize Delivery", value: lines.join("\n"), inline: false };
+}
+
+/**
+ * Builds the embed showing whether a giveaway's draws can be reproduced.
+ * @param {object} giveaway - The giveaway details.
+ * @param {Array<object>} draws - The results of verifyGiveawayDraws.
+ * @returns {object} The verification embed.
+ */
+export function buildGiveawayVerifyEmbed(giveaway, draws) {
+	const verifiable = draws.filter((draw) => draw.seed);
+	const allPass = verifiable.every(
+		(draw) => draw.hashMatches && draw.winnersMatch
+	);
+
+	const embed = {
+		title: `🔍 Draw Verification: ${giveaway.title}`,
+		description:
+			draws.length === 0
+				? "No winners have been drawn for this giveaway yet."
+				: verifiable.length === 0
+				? "These winners were drawn before draws were recorded, so they can't be verified."
+				: allPass
+				? "✅ Every recorded draw was recomputed from its seed and matches."
+				: "❌ At least one draw doesn't match what was recorded.",
+		color: draws.length === 0 || allPass ? 0x4caf50 : 0xf44336,
+		fields: [],
+		footer: { text: `Giveaway ID: ${giveaway.id}` },
+		timestamp: new Date().toISOString(),
+	};
+
+	draws.forEach((draw, index) => {
+		const name = index === 0 ? "Draw" : `Reroll ${index}`;
+		const drawnAt = `Drawn <t:${Math.floor(
+			new Date(draw.drawnAt).getTime() / 1000
+		)}:f>`;
+		const winners = draw.recordedWinners.map((id) => `<@${id}>`).join(", ");
+
+		if (!draw.seed) {
+			embed.fields.push({
+				name,
+				value: `${drawnAt}\nWinners: ${winners}\nNot verifiable (no seed recorded)`,
+				inline: false,
+			});
+			return;
+		}
+
+		const lines = [
+			drawnAt,
+			`Winners: ${winners}`,
+			`Seed: \`${draw.seed}\``,
+			`Snapshot: \`${draw.snapshotHash}\``,
+			draw.hashMatches
+				? "✅ Participants unchanged since the draw"
+				: `❌ Participants changed (now \`${draw.recomputedHash}\`)`,
+			draw.winnersMatch
+				? "✅ Reshuffle picks the same winners"
+				: `❌ Reshuffle picks ${draw.recomputedWinners
+						.map((id) => `<@${id}>`)
+						.join(", ")}`,
+		];
+		embed.fields.push({ name, value: lines.join("\n"), inline: false });
+	});
+
+	return embed;
+}
+
+const PARTICIPANTS_PER_PAGE = 20;
+
+// How each giveaway status is shown in lists
+const STATUS_LABELS = {
+	active: "🟢 Active",
+	ending: "⏳ Ending",
+	ended: "🏁 Ended",
+	cancelled: "🚫 Cancelled",
+};
+
+/**
+ * Formats a date as a Discord timestamp.
+ * @param {string} date - An ISO date string.
+ * @param {string} style - The timestamp style (e.g. "R" for relative).
+ * @returns {string} The timestamp markup.
+ */
+function discordTimestamp(date, style) {
+	return `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
+}
+
+/**
+ * Builds the /giveaway list embed: every active giveaway and the most recent finished ones.
+ * @param {Array<object>} giveaways - All giveaways, newest first.
+ * @param {number} [recentCount=10] - How many finished giveaways to show.
+ * @returns {object} The list embed.
+ */
+export function buildGiveawayListEmbed(giveaways, recentCount = 10) {
+	const active = giveaways.filter((giveaway) => giveaway.status === "active");
+	const recent = giveaways
+		.filter((giveaway) => giveaway.status !== "active")
+		.slice(0, recentCount);
+
+	// Finished giveaways may have been ended early, so show when they started
+	const describe = (giveaway) =>
+		`**${giveaway.title}** • \`${giveaway.id}\`\n└ ${giveaway.prize} • ${
+			giveaway.status === "active"
+				? `ends ${discordTimestamp(giveaway.endTime, "R")}`
+				: `started ${discordTimestamp(giveaway.createdAt, "R")}`
+		}`;
+
+	return {
+		title: "🎉 Giveaways",
+		color: 0xff6b6b,
+		fields: [
+			{
+				name: `Active (${active.length})`,
+				value:
+					active.length > 0
+						? active.map(describe).join("\n").slice(0, 1024)
+						: "No active giveaways.",
+				inline: false,
+			},
+			{
+				name: "Recently finished",
+				value:
+					recent.length > 0
+						? recent
+								.map(
+									(giveaway) =>
+										`${describe(giveaway)} • ${
+											STATUS_LABELS[giveaway.status] || giveaway.status
+										}`
+								)
+								.join("\n")
+								.slice(0, 1024)
+						: "None yet.",
+				inline: false,
+			},
+		],
+		footer: { text: "Use the ID with /giveaway info, end, reroll or edit" },
+	};
+}
+
+/**
+ * Builds the /giveaway info embed.
+ * @param {object} giveaway - The giveaway details.
+ * @param {Array<{userId: string, tickets: number}>} entries - The giveaway's entries.
+ * @param {Array<string>} winners - The winners of the latest draw.
+ * @returns {object} The info embed.
+ */
+export function buildGiveawayInfoEmbed(giveaway, entries, winners) {
+	const ticketCount = entries.reduce((sum, entry) => sum + entry.tickets, 0);
+	const requirements = describeRequirements(giveaway.requirements);
+
+	const fields = [
+		{
+			name: "Status",
+			value: STATUS_LABELS[giveaway.status] || giveaway.status,
+			inline: true,
+		},
+		{
+			name: giveaway.status === "active" ? "Ends" : "Scheduled End",
+			value: discordTimestamp(giveaway.endTime, "f"),
+			inline: true,
+		},
+		{ name: "Winners", value: `${giveaway.winnersCount}`, inline: true },
+		{ name: "Participants", value: `${entries.length}`, inline: true },
+		{ name: "Host", value: `<@${giveaway.creatorId}>`, inline: true },
+		{ name: "Channel", value: `<#${giveaway.channelId}>`, inline: true },
+	];
+
+	if (giveaway.entryCost > 0) {
+		fields.push({
+			name: "Tickets",
+			value: `${ticketCount} sold at ${giveaway.entryCost.toLocaleString()} coins (max ${
+				giveaway.maxTickets
+			} per person)`,
+			inline: false,
+		});
+	}
+	if (requirements.length > 0) {
+		fields.push({
+			name: "Requirements",
+			value: requirements.join("\n"),
+			inline: false,
+		});
+	}
+	if (winners.length > 0) {
+		fields.push({
+			name: "🏆 Latest Winners",
+			value: winners.map((id) => `<@${id}>`).join(", "),
+			inline: false,
+		});
+	}
+
+	return {
+		title: `🎉 ${giveaway.title}`,
+		description: `${giveaway.description}\n\n**Prize:** ${giveaway.prize}`,
+		color: 0xff6b6b,
+		fields,
+		footer: { text: `Giveaway ID: ${giveaway.id}` },
+		timestamp: new Date(giveaway.createdAt).toISOString(),
+	};
+}
+
+/**
+ * Builds one page of a giveaway's participant list with page buttons.
+ * @param {object} giveaway - The giveaway details.
+ * @param {Array<{userId: string, tickets: number}>} entries - The giveaway's entries, in join order.
+ * @param {number} page - The current page number (0-indexed).
+ * @returns {object} An object containing the embed and components.
+ */
+export function buildGiveawayParticipantsMessage(giveaway, entries, page) {
+	const totalPages = Math.max(
+		1,
+		Math.ceil(entries.length / PARTICIPANTS_PER_PAGE)
+	);
+	const pageIndex = Math.max(0, Math.min(page, totalPages - 1)); // Clamp page index
+	const ticketCount = entries.reduce((sum, entry) => sum + entry.tickets, 0);
+	const isPaid = giveaway.entryCost > 0;
+
+	const lines = entries
+		.slice(
+			pageIndex * PARTICIPANTS_PER_PAGE,
+			(pageIndex + 1) * PARTICIPANTS_PER_PAGE
+		)
+		.map((entry, index) => {
+			const position = pageIndex * PARTICIPANTS_PER_PAGE + index + 1;
+			return isPaid
+				? `${position}. <@${entry.userId}> — ${entry.tickets} ticket${
+						entry.tickets === 1 ? "" : "s"
+				  } (${((entry.tickets / ticketCount) * 100).toFixed(1)}%)`
+				: `${position}. <@${entry.userId}>`;
+		});
+
+	const embed = {
+		title: `👥 Participants: ${giveaway.title}`,
+		description:
+			lines.length > 0 ? lines.join("\n") : "Nobody has entered yet.",
+		color: 0xff6b6b,
+		footer: {
+			text: `Page ${pageIndex + 1}/${totalPages} • ${
+				entries.length
+			} participant${entries.length === 1 ? "" : "s"}${
+				isPaid ? ` • ${ticketCount} tickets` : ""
+			}`,
+		},
+	};
+
+	const components = [];
+	if (totalPages > 1) {
+		components.push({
+			type: 1, // Action Row component type
+			components: [
+				{
+					type: 2,
+					style: 2,
+					label: "◀️ Previous",
+					custom_id: `gw_participants_prev_${giveaway.id}_${pageIndex}`,
+					disabled: pageIndex === 0,
+				},
+				{
+					type: 2,
+					style: 2,
+					label: "Next ▶️",
+					custom_id: `gw_participants_next_${giveaway.id}_${pageIndex}`,
+					disabled: pageIndex >= totalPages - 1,
+				},
+			],
+		});
+	}
+
+	return { embed, components };
+}
@@ -6,7 +6,7 @@ import { getImageUrl } from "../services/itemService.js";
 
 /**
  * Constructs the shop embed and buttons for a specific page.
- * @param {Array} items - The list of all shop items.
+ * @param {Array} items - The list of all shop items (optionally flagged by checkShopItems).
  * @param {number} balance - The user's current coin balance.
  * @param {number} page - The current page number (0-indexed, -1 for summary).
  * @returns {object} An object containing the embed and components.
@@ -53,7 +53,9 @@ export async function buildShopMessage(items, balance, page) {
 			fieldValue += `\n**Description:** ${item.description}`;
 		}
 
-		if (balance < item.price) {
+		if (item.unavailable_reason) {
+			fieldValue += "\n⚠️ *Currently unavailable*";
+		} else if (balance < item.price) {
 			fieldValue += "\n❌ *Not enough coins*";
 		} else {
 			fieldValue += "\n✅ *Available for purchase*";
@@ -74,13 +76,7 @@ export async function buildShopMessage(items, balance, page) {
 		}
 	}
 
-	const itemComponents = pageItems.map((item) => ({
-		type: 2, // Button component type
-		style: balance >= item.price ? 3 : 4, // 3 = Green (Success), 4 = Red (Destructive)
-		label: `Buy ${item.name} (${item.price.toLocaleString()} coins)`,
-		custom_id: `buy_${item.role_id}`,
-		disabled: balance < item.price,
-	}));
+	const itemComponents = pageItems.map((item) => buildBuyButton(item, balance));
 
 	const navigationButtons = {
 		type: 1, // Action Row component type
@@ -117,6 +113,32 @@ export async function buildShopMessage(items, balance, page) {
 	return { embed, components };
 }
 
+/**
+ * Builds the buy button for an item's detail page.
+ * @param {object} item - The shop item.
+ * @param {number} balance - The user's current coin balance.
+ * @returns {object} The button component.
+ */
+function buildBuyButton(item, balance) {
+	if (item.unavailable_reason) {
+		return {
+			type: 2,
+			style: 2, // Secondary (grey)
+			label: `${item.name} is unavailable`,
+			custom_id: `buy_${item.role_id}`,
+			disabled: true,
+		};
+	}
+
+	return {
+		type: 2, // Button component type
+		style: balance >= item.price ? 3 : 4, // 3 = Green (Success), 4 = Red (Destructive)
+		label: `Buy ${item.name} (${item.price.toLocaleString()} coins)`,
+		custom_id: `buy_${item.role_id}`,
+		disabled: balance < item.price,
+	};
+}
+
 /**
  * Builds the summary page showing all items at once.
  * @param {Array} items - The list of all shop items.
@@ -152,7 +174,10 @@ async function buildSummaryPage(items, balance) {
 	for (let i = 0; i < items.length; i++) {
 		const item = items[i];
 		const canAfford = balance >= item.price;
-		const statusIcon = canAfford ? "✅" : "❌";
+		let statusIcon = canAfford ? "✅" : "❌";
+		if (item.unavailable_reason) {
+			statusIcon = "⚠️ *unavailable*";
+		}
 
 		let fieldValue = `<@&${
 			item.role_id
@@ -192,7 +217,7 @@ async function buildSummaryPage(items, balance) {
 
 	// Add quick buy buttons for affordable items (max 5 buttons per row, max 25 total)
 	const affordableItems = items
-		.filter((item) => balance >= item.price)
+		.filter((item) => !item.unavailable_reason && balance >= item.price)
 		.slice(0, 20);
 
 	if (affordableItems.length > 0) {
@@ -0,0 +1,117 @@
+/**
+ * Transactions UI Builder - Creates the coin history interface
+ */
+
+const TRANSACTIONS_PER_PAGE = 10;
+
+// Human-readable labels for the ledger reasons
+const REASON_LABELS = {
+	daily: "🎁 Daily reward",
+	daily_reversal: "↩️ Daily reward reversed",
+	coinflip_bet: "🪙 Coinflip bet",
+	coinflip_win: "🎉 Coinflip win",
+	coinflip_refund: "↩️ Coinflip refund",
+	shop_purchase: "🛒 Shop purchase",
+	shop_refund: "↩️ Shop refund",
+	pay_sent: "💸 Sent",
+	pay_received: "💰 Received",
+	pay_refund: "↩️ Payment refund",
+	giveaway_entry: "🎟️ Giveaway ticket",
+	giveaway_refund: "↩️ Giveaway refund",
+	giveaway_prize: "🏆 Giveaway prize",
+	admin_give: "🛠️ Given by admin",
+	admin_take: "🛠️ Taken by admin",
+	admin_set: "🛠️ Set by admin",
+	admin_reset: "🛠️ Reset by admin",
+};
+
+/**
+ * Formats a single ledger entry as one line of the history.
+ * @param {object} transaction - The ledger entry.
+ * @returns {string} The formatted line.
+ */
+function formatTransaction(transaction) {
+	const timestamp = Math.floor(
+		new Date(transaction.createdAt).getTime() / 1000
+	);
+	const sign = transaction.amount >= 0 ? "+" : "";
+	let label = REASON_LABELS[transaction.reason] || transaction.reason;
+
+	// Shop entries reference the role that was bought
+	if (transaction.reason.startsWith("shop_") && transaction.referenceId) {
+		label += ` (<@&${transaction.referenceId}>)`;
+	}
+
+	// Payment entries reference the other user, admin entries the acting admin
+	if (
+		(transaction.reason.startsWith("pay_") ||
+			transaction.reason.startsWith("admin_")) &&
+		transaction.referenceId
+	) {
+		label += ` (<@${transaction.referenceId}>)`;
+	}
+
+	if (transaction.note) {
+		label += ` — *${transaction.note}*`;
+	}
+
+	return `<t:${timestamp}:R> **${sign}${transaction.amount.toLocaleString()}** ${label}\n└ Balance: ${transaction.balanceAfter.toLocaleString()} coins`;
+}
+
+/**
+ * Constructs the transaction history embed and buttons for a specific page.
+ * @param {Array} transactions - The user's ledger entries, newest first.
+ * @param {number} page - The current page number (0-indexed).
+ * @returns {object} An object containing the embed and components.
+ */
+export function buildTransactionsMessage(transactions, page) {
+	const totalPages = Math.max(
+		1,
+		Math.ceil(transactions.length / TRANSACTIONS_PER_PAGE)
+	);
+	const pageIndex = Math.max(0, Math.min(page, totalPages - 1)); // Clamp page index
+
+	const pageTransactions = transactions.slice(
+		pageIndex * TRANSACTIONS_PER_PAGE,
+		(pageIndex + 1) * TRANSACTIONS_PER_PAGE
+	);
+
+	const embed = {
+		title: "📜 Your Transactions",
+		description:
+			pageTransactions.length > 0
+				? pageTransactions.map(formatTransaction).join("\n\n")
+				: "No transactions yet. Use /daily to start earning coins!",
+		color: 0xbd89f4,
+		footer: {
+			text: `Page ${pageIndex + 1}/${totalPages} • ${
+				transactions.length
+			} transaction${transactions.length === 1 ? "" : "s"}`,
+		},
+	};
+
+	const components = [];
+	if (totalPages > 1) {
+		components.push({
+			type: 1, // Action Row component type
+			components: [
+				{
+					type: 2,
+					style: 2,
+					label: "◀️ Previous",
+					custom_id: `tx_prev_page_${pageIndex}`,
+					disabled: pageIndex === 0,
+				},
+				{
+					type: 2,
+					style: 2,
+					label: "Next ▶️",
+					custom_id: `tx_next_page_${pageIndex}`,
+					disabled: pageIndex >= totalPages - 1,
+				},
+			],
+		});
+	}
+
+	return { embed, components };
+}
@@ -0,0 +1,100 @@
+/**
+ * Cooldown Utilities - When /daily and /coinflip become available again
+ *
+ * A cooldown either runs for a fixed number of hours after each use
+ * ("rolling") or ends at the next midnight in a given timezone ("midnight").
+ */
+
+/**
+ * Checks whether a timezone name is one the runtime knows (e.g. "Europe/Berlin").
+ * @param {string} timeZone - The IANA timezone name.
+ * @returns {boolean} True if the timezone is valid.
+ */
+export function isValidTimeZone(timeZone) {
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Gets how far a timezone is ahead of UTC at a given moment.
+ * @param {number} time - The moment (milliseconds since the epoch).
+ * @param {string} timeZone - The IANA timezone name.
+ * @returns {number} The offset in milliseconds.
+ */
+function getTimeZoneOffset(time, timeZone) {
+	const parts = {};
+	for (const part of new Intl.DateTimeFormat("en-US", {
+		timeZone,
+		hourCycle: "h23",
+		year: "numeric",
+		month: "numeric",
+		day: "numeric",
+		hour: "numeric",
+		minute: "numeric",
+		second: "numeric",
+	}).formatToParts(time)) {
+		parts[part.type] = parseInt(part.value, 10);
+	}
+
+	const localAsUtc = Date.UTC(
+		parts.year,
+		parts.month - 1,
+		parts.day,
+		parts.hour,
+		parts.minute,
+		parts.second
+	);
+	return localAsUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Gets the first midnight in a timezone after a given moment. When a DST change
+ * skips that midnight, this is the first moment of the new day instead.
+ * @param {number} time - The moment (milliseconds since the epoch).
+ * @param {string} timeZone - The IANA timezone name.
+ * @returns {number} The next midnight (milliseconds since the epoch).
+ */
+export function getNextMidnight(time, timeZone) {
+	const local = new Date(time + getTimeZoneOffset(time, timeZone));
+	const nextMidnightAsUtc = Date.UTC(
+		local.getUTCFullYear(),
+		local.getUTCMonth(),
+		local.getUTCDate() + 1
+	);
+
+	// A DST change can fall in between, or skip midnight entirely (clocks jump
+	// from 23:59 to 01:00), so try the offsets on both sides and keep the
+	// earliest moment that is on or after midnight locally
+	const offsetBefore = getTimeZoneOffset(time, timeZone);
+	const offsetAfter = getTimeZoneOffset(
+		nextMidnightAsUtc - offsetBefore,
+		timeZone
+	);
+	const candidates = [
+		nextMidnightAsUtc - offsetBefore,
+		nextMidnightAsUtc - offsetAfter,
+	].filter(
+		(candidate) =>
+			candidate + getTimeZoneOffset(candidate, timeZone) >= nextMidnightAsUtc
+	);
+	return Math.min(...candidates);
+}
+
+/**
+ * Gets when a cooldown that started at a given moment ends.
+ * @param {number} lastUsedAt - When the command was last used (milliseconds since the epoch).
+ * @param {number} cooldownHours - The rolling cooldown in hours.
+ * @param {string} resetMode - "rolling" or "midnight".
+ * @param {string} timeZone - The IANA timezone for midnight resets.
+ * @returns {number} When the command can be used again (milliseconds since the epoch).
+ */
+export function getCooldownEnd(lastUsedAt, cooldownHours, resetMode, timeZone) {
+	if (resetMode === "midnight") {
+		return getNextMidnight(lastUsedAt, timeZone);
+	}
+	return lastUsedAt + cooldownHours * 60 * 60 * 1000;
+}
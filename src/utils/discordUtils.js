@@ -7,6 +7,7 @@
  * @param {object} interaction - The interaction object from Discord.
  * @param {object} env - The Cloudflare Worker environment variables.
  * @param {object} data - The new message data.
+ * @returns {Promise<object|null>} The edited message (including its ID), or null if the edit failed.
  */
 export async function editInteractionResponse(interaction, env, data) {
 	const url = `https://discord.com/api/v10/webhooks/${env.DISCORD_CLIENT_ID}/${interaction.token}/messages/@original`;
@@ -27,8 +28,12 @@ export async function editInteractionResponse(interaction, env, data) {
 				response.status,
 				errorText
 			);
+			return null;
 		}
+
+		return await response.json();
 	} catch (error) {
 		console.error("Error editing interaction response:", error);
+		return null;
 	}
 }
@@ -0,0 +1,133 @@
+/**
+ * Fair Draw Utility - Reproducible, verifiable giveaway draws
+ *
+ * A draw is fully determined by its seed and the pool it was drawn from:
+ * 1. The pool is sorted by user ID and written as "userId:tickets" pairs
+ *    joined by commas. Its SHA-256 (hex) is the snapshot hash.
+ * 2. Every ticket becomes one slot, in pool order.
+ * 3. The slots are shuffled with Fisher–Yates. Random numbers come from
+ *    SHA-256(`${seed}:${block}`) for block = 0, 1, 2, ..., read as big-endian
+ *    32-bit integers, with rejection sampling so every index is equally likely.
+ * 4. Winners are the first distinct users in the shuffled slots, which gives
+ *    each user odds proportional to their tickets without replacement.
+ */
+
+/**
+ * Creates a new random draw seed.
+ * @returns {string} 32 random bytes as hex.
+ */
+export function createDrawSeed() {
+	return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Hashes the pool a draw is made from.
+ * @param {Array<{userId: string, tickets: number}>} entries - The pool.
+ * @returns {Promise<string>} The SHA-256 snapshot hash as hex.
+ */
+export async function hashDrawPool(entries) {
+	const snapshot = sortPool(entries)
+		.map((entry) => `${entry.userId}:${entry.tickets}`)
+		.join(",");
+	return await sha256Hex(snapshot);
+}
+
+/**
+ * Draws winners from a pool, weighted by tickets, without replacement.
+ * @param {Array<{userId: string, tickets: number}>} entries - The pool.
+ * @param {number} winnersCount - How many winners to draw.
+ * @param {string} seed - The draw seed.
+ * @returns {Promise<Array<string>>} The winner user IDs, in draw order.
+ */
+export async function drawWinners(entries, winnersCount, seed) {
+	const slots = [];
+	for (const entry of sortPool(entries)) {
+		for (let i = 0; i < entry.tickets; i++) {
+			slots.push(entry.userId);
+		}
+	}
+
+	const random = createRandomStream(seed);
+	for (let i = slots.length - 1; i > 0; i--) {
+		const j = await random.nextInt(i + 1);
+		[slots[i], slots[j]] = [slots[j], slots[i]];
+	}
+
+	const winners = [];
+	for (const userId of slots) {
+		if (winners.length >= winnersCount) break;
+		if (!winners.includes(userId)) {
+			winners.push(userId);
+		}
+	}
+	return winners;
+}
+
+/**
+ * Sorts a pool into its canonical order (by user ID).
+ * @param {Array<{userId: string, tickets: number}>} entries - The pool.
+ * @returns {Array<{userId: string, tickets: number}>} A sorted copy.
+ */
+function sortPool(entries) {
+	return [...entries].sort((a, b) =>
+		a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0
+	);
+}
+
+/**
+ * Creates a deterministic stream of random integers from a seed.
+ * @param {string} seed - The draw seed.
+ * @returns {{nextInt: function(number): Promise<number>}} The stream.
+ */
+function createRandomStream(seed) {
+	let block = 0;
+	let words = [];
+
+	async function nextWord() {
+		if (words.length === 0) {
+			const digest = await crypto.subtle.digest(
+				"SHA-256",
+				new TextEncoder().encode(`${seed}:${block++}`)
+			);
+			const view = new DataView(digest);
+			for (let offset = 0; offset < digest.byteLength; offset += 4) {
+				words.push(view.getUint32(offset));
+			}
+		}
+		return words.shift();
+	}
+
+	return {
+		async nextInt(max) {
+			// Reject the top sliver of values so the modulo isn't biased
+			const limit = Math.floor(0x100000000 / max) * max;
+			let word = await nextWord();
+			while (word >= limit) {
+				word = await nextWord();
+			}
+			return word % max;
+		},
+	};
+}
+
+/**
+ * Hashes text with SHA-256.
+ * @param {string} text - The text to hash.
+ * @returns {Promise<string>} The hash as hex.
+ */
+async function sha256Hex(text) {
+	const digest = await crypto.subtle.digest(
+		"SHA-256",
+		new TextEncoder().encode(text)
+	);
+	return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Converts bytes to a hex string.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The hex string.
+ */
+function toHex(bytes) {
+	return [...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,4 @@
+import { applyD1Migrations, env } from "cloudflare:test";
+
+// Each test file starts from an empty local D1 database with every migration applied
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
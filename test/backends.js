@@ -0,0 +1,18 @@
+/**
+ * Test helpers - The storage backends every storage-dependent test runs against
+ */
+
+import { env } from "cloudflare:test";
+import { createMemoryStorage, createD1Storage } from "../src/storage/index.js";
+
+/**
+ * Lists the backends to run a suite against: a fresh in-memory store and the
+ * local D1 database (reset between tests by the Workers test pool).
+ * @returns {Array<[string, function(): object]>} Backend names and factories.
+ */
+export function storageBackends() {
+	return [
+		["memory", () => createMemoryStorage()],
+		["d1", () => createD1Storage(env.DB)],
+	];
+}
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { storageBackends } from "../backends.js";
+import {
+	getCurrency,
+	creditCurrency,
+	debitCurrency,
+	transferCurrency,
+} from "../../src/services/currencyService.js";
+
+const ALICE = "111111111111111111";
+const BOB = "222222222222222222";
+
+describe.each(storageBackends())(
+	"currencyService on %s",
+	(_name, createStorage) => {
+		let storage;
+		let env;
+
+		beforeEach(() => {
+			storage = createStorage();
+			env = { STORAGE: storage };
+		});
+
+		it("records every balance change in the ledger", async () => {
+			await creditCurrency(ALICE, 100, "daily", env);
+			const debit = await debitCurrency(ALICE, 30, "shop_purchase", env);
+
+			expect(debit).toMatchObject({ success: true, balance: 70 });
+			expect(await getCurrency(ALICE, env)).toBe(70);
+
+			const ledger = await storage.getRows("Transactions", { userId: ALICE });
+			expect(
+				ledger.map((row) => Number(row.amount)).sort((a, b) => a - b)
+			).toEqual([-30, 100]);
+		});
+
+		it("refuses to go below zero", async () => {
+			await creditCurrency(ALICE, 10, "daily", env);
+
+			expect(
+				await debitCurrency(ALICE, 11, "shop_purchase", env)
+			).toMatchObject({
+				success: false,
+				balance: 10,
+				error: "insufficient_funds",
+			});
+			expect(await getCurrency(ALICE, env)).toBe(10);
+		});
+
+		it("retries the compare-and-set when the balance changed concurrently", async () => {
+			await creditCurrency(ALICE, 100, "daily", env);
+
+			// Another isolate pays Alice 5 coins between the read and the write
+			let raced = false;
+			env.STORAGE = {
+				...storage,
+				async updateRowsAndAppend(...args) {
+					if (!raced) {
+						raced = true;
+						await storage.updateRows(
+							"Currency",
+							{ userId: ALICE },
+							{ balance: 105 }
+						);
+					}
+					return await storage.updateRowsAndAppend(...args);
+				},
+			};
+
+			const debit = await debitCurrency(ALICE, 30, "shop_purchase", env);
+
+			expect(debit).toMatchObject({
+				success: true,
+				balance: 75,
+				previousBalance: 105,
+			});
+			expect(await getCurrency(ALICE, env)).toBe(75);
+			const entries = await storage.getRows("Transactions", {
+				reason: "shop_purchase",
+			});
+			expect(entries).toHaveLength(1);
+			expect(Number(entries[0].balanceAfter)).toBe(75);
+		});
+
+		it("gives up after repeated conflicts without changing the balance", async () => {
+			await creditCurrency(ALICE, 100, "daily", env);
+			env.STORAGE = { ...storage, updateRowsAndAppend: async () => 0 };
+
+			expect(
+				await debitCurrency(ALICE, 30, "shop_purchase", env)
+			).toMatchObject({
+				success: false,
+				error: "conflict",
+			});
+			expect(await getCurrency(ALICE, { STORAGE: storage })).toBe(100);
+		});
+
+		it("moves coins between users", async () => {
+			await creditCurrency(ALICE, 100, "daily", env);
+
+			expect(
+				await transferCurrency(ALICE, BOB, 40, "lunch", env)
+			).toMatchObject({
+				success: true,
+				balance: 60,
+			});
+			expect(await getCurrency(BOB, env)).toBe(40);
+		});
+
+		it("sends a transfer with the same ID only once", async () => {
+			await creditCurrency(ALICE, 100, "daily", env);
+
+			const first = await transferCurrency(
+				ALICE,
+				BOB,
+				40,
+				null,
+				env,
+				"transfer-1"
+			);
+			const repeat = await transferCurrency(
+				ALICE,
+				BOB,
+				40,
+				null,
+				env,
+				"transfer-1"
+			);
+
+			expect(first.success).toBe(true);
+			expect(repeat).toMatchObject({ success: false, error: "already_sent" });
+			expect(await getCurrency(ALICE, env)).toBe(60);
+			expect(await getCurrency(BOB, env)).toBe(40);
+		});
+
+		it("sends nothing when it can't check the transfer ID", async () => {
+			await creditCurrency(ALICE, 100, "daily", env);
+			env.STORAGE = {
+				...storage,
+				async getRows(table, where) {
+					if (table === "Transactions") throw new Error("offline");
+					return await storage.getRows(table, where);
+				},
+			};
+
+			expect(
+				await transferCurrency(ALICE, BOB, 40, null, env, "transfer-1")
+			).toMatchObject({ success: false, error: "storage_error" });
+			expect(await getCurrency(ALICE, env)).toBe(100);
+			expect(await getCurrency(BOB, env)).toBe(0);
+		});
+	}
+);
@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import { calculateDailyReward } from "../../src/services/dailyRewardService.js";
+import { getDefaultSettings } from "../../src/services/settingsService.js";
+
+const settings = getDefaultSettings({});
+
+describe("calculateDailyReward", () => {
+	it("pays the base reward on the first day", () => {
+		expect(calculateDailyReward(1, settings)).toEqual({
+			baseReward: 10,
+			streakBonus: 0,
+			milestoneBonus: 0,
+			roleBonuses: [],
+			total: 10,
+		});
+	});
+
+	it("adds the streak bonus for each day after the first", () => {
+		expect(calculateDailyReward(5, settings)).toMatchObject({
+			streakBonus: 8,
+			total: 18,
+		});
+	});
+
+	it("caps the streak bonus", () => {
+		expect(calculateDailyReward(60, settings)).toMatchObject({
+			streakBonus: 40,
+			total: 50,
+		});
+	});
+
+	it("adds the milestone bonus on milestone days only", () => {
+		expect(calculateDailyReward(7, settings)).toMatchObject({
+			streakBonus: 12,
+			milestoneBonus: 50,
+			total: 72,
+		});
+		expect(calculateDailyReward(8, settings).milestoneBonus).toBe(0);
+	});
+
+	it("uses the server's own settings", () => {
+		const custom = {
+			...settings,
+			dailyReward: 100,
+			dailyStreakBonus: 0,
+			dailyStreakMilestones: {},
+		};
+		expect(calculateDailyReward(7, custom).total).toBe(100);
+	});
+
+	it("adds role multipliers to the base and streak, not the milestone", () => {
+		const { roleBonuses, total } = calculateDailyReward(7, settings, [
+			{ roleId: "1", multiplier: 1.5, flatBonus: 0 },
+		]);
+
+		// (10 + 12) * 0.5 = 11, on top of 22 + the 50 milestone
+		expect(roleBonuses[0].amount).toBe(11);
+		expect(total).toBe(83);
+	});
+
+	it("adds multipliers rather than compounding them, plus flat bonuses", () => {
+		const { roleBonuses, total } = calculateDailyReward(1, settings, [
+			{ roleId: "1", multiplier: 1.5, flatBonus: 0 },
+			{ roleId: "2", multiplier: 1.5, flatBonus: 3 },
+		]);
+
+		expect(roleBonuses.map((bonus) => bonus.amount)).toEqual([5, 8]);
+		expect(total).toBe(23);
+	});
+
+	it("rounds multipliers to whole percents before flooring", () => {
+		const custom = { ...settings, dailyReward: 100 };
+		const { roleBonuses } = calculateDailyReward(1, custom, [
+			{ roleId: "1", multiplier: 1.15, flatBonus: 0 },
+		]);
+
+		expect(roleBonuses[0].amount).toBe(15);
+	});
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { storageBackends } from "../backends.js";
+import {
+	createGiveaway,
+	joinGiveaway,
+	addGiveawayTicket,
+	endGiveaway,
+	verifyGiveawayDraws,
+} from "../../src/services/giveawayService.js";
+
+const USERS = [
+	"111111111111111111",
+	"222222222222222222",
+	"333333333333333333",
+	"444444444444444444",
+];
+
+describe.each(storageBackends())(
+	"verifyGiveawayDraws on %s",
+	(_name, createStorage) => {
+		let storage;
+		let env;
+
+		beforeEach(async () => {
+			storage = createStorage();
+			env = { STORAGE: storage };
+
+			const endTime = new Date(Date.now() - 60 * 1000).toISOString();
+			await createGiveaway(
+				"Test",
+				"Test giveaway",
+				"A prize",
+				2,
+				endTime,
+				"999999999999999999",
+				null,
+				"888888888888888888",
+				env,
+				"giveaway-1",
+				{},
+				{},
+				null,
+				0 // No winner cooldown, so every entrant is eligible
+			);
+			for (const userId of USERS.slice(0, 3)) {
+				await joinGiveaway("giveaway-1", userId, env);
+			}
+			await addGiveawayTicket("giveaway-1", USERS[3], 50, env);
+			await addGiveawayTicket("giveaway-1", USERS[3], 50, env);
+		});
+
+		it("recomputes the recorded draw from its seed and pool", async () => {
+			const { ended, winners } = await endGiveaway("giveaway-1", 2, env);
+			expect(ended).toBe(true);
+			expect(winners).toHaveLength(2);
+
+			const [draw] = await verifyGiveawayDraws("giveaway-1", env);
+			expect(draw.hashMatches).toBe(true);
+			expect(draw.winnersMatch).toBe(true);
+			expect([...draw.recomputedWinners].sort()).toEqual([...winners].sort());
+		});
+
+		it("flags a pool that changed after the draw", async () => {
+			await endGiveaway("giveaway-1", 2, env);
+			await addGiveawayTicket("giveaway-1", USERS[3], 50, env);
+
+			const [draw] = await verifyGiveawayDraws("giveaway-1", env);
+			expect(draw.hashMatches).toBe(false);
+		});
+
+		it("flags recorded winners the seed doesn't produce", async () => {
+			const { winners } = await endGiveaway("giveaway-1", 2, env);
+			const loser = USERS.find((userId) => !winners.includes(userId));
+			await storage.updateRows(
+				"GiveawayWinners",
+				{ giveawayId: "giveaway-1", userId: winners[0] },
+				{ userId: loser }
+			);
+
+			const [draw] = await verifyGiveawayDraws("giveaway-1", env);
+			expect(draw.winnersMatch).toBe(false);
+		});
+	}
+);
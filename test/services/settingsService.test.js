@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+	parseSettingValue,
+	formatSettingValue,
+	getDefaultSettings,
+} from "../../src/services/settingsService.js";
+
+describe("parseSettingValue", () => {
+	it("rejects unknown settings", () => {
+		expect(parseSettingValue("noSuchSetting", "1")).toHaveProperty("error");
+	});
+
+	it("parses integers with thousands separators", () => {
+		expect(parseSettingValue("dailyReward", " 1,000 ")).toEqual({
+			value: 1000,
+		});
+	});
+
+	it.each(["abc", "1.5", "", "-1", "1000001"])(
+		"rejects the integer %j",
+		(raw) => {
+			expect(parseSettingValue("dailyReward", raw)).toHaveProperty("error");
+		}
+	);
+
+	it("accepts integers at the bounds", () => {
+		expect(parseSettingValue("dailyCooldownHours", "1")).toEqual({ value: 1 });
+		expect(parseSettingValue("dailyCooldownHours", "168")).toEqual({
+			value: 168,
+		});
+		expect(parseSettingValue("dailyCooldownHours", "0")).toHaveProperty(
+			"error"
+		);
+	});
+
+	it("parses choices case-insensitively", () => {
+		expect(parseSettingValue("dailyResetMode", "Midnight")).toEqual({
+			value: "midnight",
+		});
+		expect(parseSettingValue("dailyResetMode", "weekly")).toHaveProperty(
+			"error"
+		);
+	});
+
+	it("stores timezones in their canonical spelling", () => {
+		expect(parseSettingValue("resetTimezone", "europe/berlin")).toEqual({
+			value: "Europe/Berlin",
+		});
+		expect(parseSettingValue("resetTimezone", "Mars/Olympus")).toHaveProperty(
+			"error"
+		);
+	});
+
+	it("parses milestones", () => {
+		expect(
+			parseSettingValue("dailyStreakMilestones", "7:50, 30 : 250")
+		).toEqual({ value: { 7: 50, 30: 250 } });
+		expect(parseSettingValue("dailyStreakMilestones", "none")).toEqual({
+			value: {},
+		});
+	});
+
+	it.each(["7:50,", "7-50", "0:50", "7:-50"])(
+		"rejects the milestones %j",
+		(raw) => {
+			expect(parseSettingValue("dailyStreakMilestones", raw)).toHaveProperty(
+				"error"
+			);
+		}
+	);
+
+	it("parses bet limits", () => {
+		expect(parseSettingValue("coinflipMaxBet", "none")).toEqual({
+			value: null,
+		});
+		expect(parseSettingValue("coinflipMaxBet", "25%")).toEqual({
+			value: { percent: 25 },
+		});
+		expect(parseSettingValue("coinflipMaxBet", "1,500")).toEqual({
+			value: { coins: 1500 },
+		});
+	});
+
+	it.each(["0%", "101%", "0", "lots"])("rejects the bet limit %j", (raw) => {
+		expect(parseSettingValue("coinflipMaxBet", raw)).toHaveProperty("error");
+	});
+
+	it.each([
+		["dailyStreakMilestones", "30:250,7:50"],
+		["coinflipMaxBet", "25%"],
+		["coinflipMaxBet", "none"],
+		["resetTimezone", "America/New_York"],
+	])("round-trips %s through formatSettingValue", (key, raw) => {
+		const { value } = parseSettingValue(key, raw);
+		expect(parseSettingValue(key, formatSettingValue(key, value))).toEqual({
+			value,
+		});
+	});
+});
+
+describe("getDefaultSettings", () => {
+	it("applies valid environment overrides and ignores invalid ones", () => {
+		const settings = getDefaultSettings({
+			DAILY_BASE_REWARD: "25",
+			DAILY_STREAK_BONUS: "lots",
+		});
+
+		expect(settings.dailyReward).toBe(25);
+		expect(settings.dailyStreakBonus).toBe(2);
+	});
+});
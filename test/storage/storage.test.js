@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { storageBackends } from "../backends.js";
+
+describe.each(storageBackends())("%s storage", (_name, createStorage) => {
+	let storage;
+
+	beforeEach(() => {
+		storage = createStorage();
+	});
+
+	it("appends rows and filters them by column values", async () => {
+		await storage.appendRows("Currency", [
+			{ userId: "111111111111111111", balance: 5 },
+			{ userId: "222222222222222222", balance: 7 },
+		]);
+
+		const rows = await storage.getRows("Currency", {
+			userId: "222222222222222222",
+		});
+		expect(rows).toHaveLength(1);
+		expect(String(rows[0].balance)).toBe("7");
+		expect(await storage.getRows("Currency")).toHaveLength(2);
+	});
+
+	it("updates and deletes only matching rows and returns their count", async () => {
+		await storage.appendRows("Currency", [
+			{ userId: "111111111111111111", balance: 5 },
+			{ userId: "222222222222222222", balance: 7 },
+		]);
+
+		expect(
+			await storage.updateRows(
+				"Currency",
+				{ userId: "111111111111111111", balance: 5 },
+				{ balance: 6 }
+			)
+		).toBe(1);
+		// A stale compare-and-set matches nothing
+		expect(
+			await storage.updateRows(
+				"Currency",
+				{ userId: "111111111111111111", balance: 5 },
+				{ balance: 9 }
+			)
+		).toBe(0);
+		expect(
+			await storage.deleteRows("Currency", { userId: "222222222222222222" })
+		).toBe(1);
+
+		const rows = await storage.getRows("Currency");
+		expect(rows).toHaveLength(1);
+		expect(String(rows[0].balance)).toBe("6");
+	});
+
+	it("only appends with updateRowsAndAppend when the update matched", async () => {
+		await storage.appendRows("Currency", [
+			{ userId: "111111111111111111", balance: 5 },
+		]);
+		const entry = (id) => ({
+			id,
+			userId: "111111111111111111",
+			amount: 1,
+			reason: "test",
+			balanceAfter: 6,
+			createdAt: new Date().toISOString(),
+		});
+
+		expect(
+			await storage.updateRowsAndAppend(
+				"Currency",
+				{ userId: "111111111111111111", balance: 4 },
+				{ balance: 6 },
+				"Transactions",
+				[entry("stale")]
+			)
+		).toBe(0);
+		expect(
+			await storage.updateRowsAndAppend(
+				"Currency",
+				{ userId: "111111111111111111", balance: 5 },
+				{ balance: 6 },
+				"Transactions",
+				[entry("fresh")]
+			)
+		).toBe(1);
+
+		const ledger = await storage.getRows("Transactions");
+		expect(ledger.map((row) => row.id)).toEqual(["fresh"]);
+	});
+
+	it("rejects unknown tables", async () => {
+		await expect(storage.getRows("NoSuchTable")).rejects.toThrow();
+	});
+});
+
+describe("d1 storage", () => {
+	it("rolls the update back when the append fails", async () => {
+		const [, createStorage] = storageBackends().find(([name]) => name === "d1");
+		const storage = createStorage();
+		const entry = {
+			id: "duplicate",
+			userId: "111111111111111111",
+			amount: 1,
+			reason: "test",
+			balanceAfter: 6,
+			createdAt: new Date().toISOString(),
+		};
+		await storage.appendRows("Currency", [
+			{ userId: "111111111111111111", balance: 5 },
+		]);
+		await storage.appendRows("Transactions", [entry]);
+
+		await expect(
+			storage.updateRowsAndAppend(
+				"Currency",
+				{ userId: "111111111111111111", balance: 5 },
+				{ balance: 6 },
+				"Transactions",
+				[entry]
+			)
+		).rejects.toThrow();
+
+		const [row] = await storage.getRows("Currency");
+		expect(String(row.balance)).toBe("5");
+	});
+});
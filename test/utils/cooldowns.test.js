@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { getNextMidnight, getCooldownEnd } from "../../src/utils/cooldowns.js";
+
+/**
+ * Gets the next midnight as an ISO string, for readable expectations.
+ * @param {string} time - The moment as an ISO string.
+ * @param {string} timeZone - The IANA timezone name.
+ * @returns {string} The next midnight as an ISO string.
+ */
+function nextMidnight(time, timeZone) {
+	return new Date(getNextMidnight(Date.parse(time), timeZone)).toISOString();
+}
+
+describe("getNextMidnight", () => {
+	it.each([
+		["UTC", "2026-10-19T22:30:00.000Z", "2026-10-20T00:00:00.000Z"],
+		["Asia/Kolkata", "2026-10-19T10:00:00.000Z", "2026-10-19T18:30:00.000Z"],
+		["Pacific/Chatham", "2026-10-19T10:00:00.000Z", "2026-10-19T10:15:00.000Z"],
+	])("finds midnight in %s", (timeZone, time, expected) => {
+		expect(nextMidnight(time, timeZone)).toBe(expected);
+	});
+
+	it.each([
+		// Clocks go forward at 02:00, after midnight
+		["Europe/Berlin", "2026-03-29T12:00:00.000Z", "2026-03-29T22:00:00.000Z"],
+		// Clocks go back at 03:00 on the way to the next midnight
+		["Europe/Berlin", "2026-10-24T23:30:00.000Z", "2026-10-25T23:00:00.000Z"],
+		// Just after the 02:00 fall back, in the repeated hour
+		[
+			"America/New_York",
+			"2026-11-01T03:00:00.000Z",
+			"2026-11-01T04:00:00.000Z",
+		],
+		// Clocks go back from 24:00 to 23:00, so the day ends an hour later
+		[
+			"America/Santiago",
+			"2026-04-04T12:00:00.000Z",
+			"2026-04-05T04:00:00.000Z",
+		],
+	])("handles a DST change in %s from %s", (timeZone, time, expected) => {
+		expect(nextMidnight(time, timeZone)).toBe(expected);
+	});
+
+	it("uses the start of the day when DST skips midnight", () => {
+		// Chile springs forward from 00:00 to 01:00, so the day starts at 01:00
+		expect(nextMidnight("2026-09-06T00:30:00.000Z", "America/Santiago")).toBe(
+			"2026-09-06T04:00:00.000Z"
+		);
+	});
+
+	it("is always after the given moment", () => {
+		const time = Date.parse("2026-10-20T00:00:00.000Z");
+		expect(getNextMidnight(time, "UTC")).toBe(time + 24 * 60 * 60 * 1000);
+	});
+});
+
+describe("getCooldownEnd", () => {
+	const lastUsedAt = Date.parse("2026-10-19T22:30:00.000Z");
+
+	it("adds the cooldown hours in rolling mode", () => {
+		expect(getCooldownEnd(lastUsedAt, 24, "rolling", "UTC")).toBe(
+			lastUsedAt + 24 * 60 * 60 * 1000
+		);
+	});
+
+	it("ends at the next midnight in midnight mode", () => {
+		expect(
+			new Date(getCooldownEnd(lastUsedAt, 24, "midnight", "UTC")).toISOString()
+		).toBe("2026-10-20T00:00:00.000Z");
+	});
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import { drawWinners, hashDrawPool } from "../../src/utils/fairDraw.js";
+
+const POOL = [
+	{ userId: "333333333333333333", tickets: 1 },
+	{ userId: "111111111111111111", tickets: 3 },
+	{ userId: "222222222222222222", tickets: 2 },
+];
+
+/**
+ * Hashes text with SHA-256 as hex, independently of fairDraw.js.
+ * @param {string} text - The text to hash.
+ * @returns {Promise<string>} The hash.
+ */
+async function sha256(text) {
+	const digest = await crypto.subtle.digest(
+		"SHA-256",
+		new TextEncoder().encode(text)
+	);
+	return [...new Uint8Array(digest)]
+		.map((byte) => byte.toString(16).padStart(2, "0"))
+		.join("");
+}
+
+describe("hashDrawPool", () => {
+	it("hashes the pool sorted by user ID as userId:tickets pairs", async () => {
+		expect(await hashDrawPool(POOL)).toBe(
+			await sha256(
+				"111111111111111111:3,222222222222222222:2,333333333333333333:1"
+			)
+		);
+	});
+
+	it("doesn't depend on the order of the entries", async () => {
+		expect(await hashDrawPool([...POOL].reverse())).toBe(
+			await hashDrawPool(POOL)
+		);
+	});
+
+	it("changes when a ticket count changes", async () => {
+		const changed = POOL.map((entry, index) =>
+			index === 0 ? { ...entry, tickets: 2 } : entry
+		);
+		expect(await hashDrawPool(changed)).not.toBe(await hashDrawPool(POOL));
+	});
+});
+
+describe("drawWinners", () => {
+	it("draws the same winners from the same seed and pool", async () => {
+		const winners = await drawWinners(POOL, 2, "seed-1");
+
+		expect(await drawWinners([...POOL].reverse(), 2, "seed-1")).toEqual(
+			winners
+		);
+	});
+
+	it("draws distinct winners and never more than the pool holds", async () => {
+		const winners = await drawWinners(POOL, 5, "seed-1");
+
+		expect(winners).toHaveLength(3);
+		expect(new Set(winners).size).toBe(3);
+	});
+
+	it("gives different seeds different draws", async () => {
+		const draws = new Set();
+		for (let i = 0; i < 10; i++) {
+			draws.add((await drawWinners(POOL, 3, `seed-${i}`)).join(","));
+		}
+		expect(draws.size).toBeGreaterThan(1);
+	});
+
+	it("never picks an entry without tickets", async () => {
+		const pool = [...POOL, { userId: "444444444444444444", tickets: 0 }];
+		for (let i = 0; i < 10; i++) {
+			expect(await drawWinners(pool, 3, `seed-${i}`)).not.toContain(
+				"444444444444444444"
+			);
+		}
+	});
+
+	it("weights users by their tickets", async () => {
+		const pool = [
+			{ userId: "111111111111111111", tickets: 9 },
+			{ userId: "222222222222222222", tickets: 1 },
+		];
+		let heavyWins = 0;
+		for (let i = 0; i < 200; i++) {
+			const [winner] = await drawWinners(pool, 1, `seed-${i}`);
+			if (winner === "111111111111111111") heavyWins++;
+		}
+		// Expected 180 of 200; far from the 100 an unweighted draw would give
+		expect(heavyWins).toBeGreaterThan(150);
+	});
+});
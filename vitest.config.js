@@ -0,0 +1,26 @@
+import path from "node:path";
+import {
+	defineWorkersConfig,
+	readD1Migrations,
+} from "@cloudflare/vitest-pool-workers/config";
+
+export default defineWorkersConfig(async () => {
+	const migrations = await readD1Migrations(
+		path.join(import.meta.dirname, "migrations")
+	);
+
+	return {
+		test: {
+			setupFiles: ["./test/applyMigrations.js"],
+			poolOptions: {
+				workers: {
+					singleWorker: true,
+					wrangler: { configPath: "./wrangler.example.toml" },
+					miniflare: {
+						bindings: { TEST_MIGRATIONS: migrations },
+					},
+				},
+			},
+		},
+	};
+});